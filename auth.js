@@ -0,0 +1,86 @@
+// auth.js – password hashing, bearer tokens and the requireAuth middleware
+//
+// Passwords are hashed with scrypt (random 16-byte salt). Login sessions and
+// personal API tokens are both opaque bearer tokens; only their SHA-256 is
+// stored, so a leaked database can't be replayed against the API.
+
+const crypto = require("crypto");
+
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_PREFIXES = { session: "tos_s_", api: "tos_a_", calendar: "tos_c_" };
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+// "scrypt$<salt hex>$<hash hex>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const key = await scrypt(password, Buffer.from(saltHex, "hex"));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// A fresh token for `kind` (session | api | calendar); the plain value is only ever returned here.
+function generateToken(kind) {
+  const token = TOKEN_PREFIXES[kind] + crypto.randomBytes(32).toString("base64url");
+  return { token, token_hash: hashToken(token), token_prefix: token.slice(0, 12) };
+}
+
+function bearerToken(req) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Express middleware: resolves the bearer token to a user and sets
+ * req.user, req.authToken and req.storage (task queries scoped to the user).
+ * Responds 401 when the token is missing, unknown or expired.
+ */
+function requireAuth(storage) {
+  return async (req, res, next) => {
+    try {
+      const token = bearerToken(req);
+      if (!token) {
+        return res.status(401).json({ error: "Authentication required" });
+      }
+
+      const found = await storage.findAuthToken(hashToken(token));
+      if (!found) {
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+
+      await storage.touchAuthToken(found.token.id);
+      req.user = found.user;
+      req.authToken = found.token;
+      req.storage = storage.forOwner(found.user.id);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  requireAuth,
+};
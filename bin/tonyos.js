@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+// bin/tonyos.js – command-line client for the TonyOS backend
+// Run with: tonyos <command> [options] (npm link / npm i -g, or node bin/tonyos.js).
+//
+// The backend URL and an API token (POST /tokens) come from, in order:
+//   --url / --token flags, TONYOS_URL / TONYOS_TOKEN, then the config file
+//   (TONYOS_CONFIG, default ~/.config/tonyos/config.json): { "url": "…", "token": "…" }
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const DEFAULT_URL = "http://localhost:5000";
+const BUCKETS = ["today", "this_week", "later"];
+const SORTS = ["score", "due", "created", "priority", "manual"];
+
+const USAGE = `Usage: tonyos <command> [options]
+
+Commands:
+  add <title…>     --bucket today|this_week|later  --priority 1-5  --area <name>
+                   --due <YYYY-MM-DD>  --description <text>  --estimate <minutes>
+  list             --status <open,doing,…>  --bucket <list>  --area <name>  --search <text>
+                   --sort score|due|created|priority|manual  --limit <n>  --all  --json
+  done <id>        mark a task done
+  rm <id>          delete a task (restorable from the dashboard)
+  dump [text…]     turn a brain dump into tasks; reads stdin when no text is given
+                   --bucket <default>  --area <default>  --dry-run  --json
+  ask <prompt…>    ask TonyOS about your tasks (/chat)  --thread <id>  --json
+
+Global: --url <backend>  --token <api token>  --help
+
+Config: TONYOS_URL / TONYOS_TOKEN, or ${path.join("~", ".config", "tonyos", "config.json")}
+(override with TONYOS_CONFIG) holding { "url": "…", "token": "…" }.
+Create a token with POST /tokens while signed in.`;
+
+// Thrown for bad input; main prints it with the usage hint and exits 2.
+class UsageError extends Error {}
+
+// -------------------- CONFIG --------------------
+
+function configPath(env = process.env) {
+  if (env.TONYOS_CONFIG) return env.TONYOS_CONFIG;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "tonyos", "config.json");
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${file} is not valid JSON`);
+  }
+}
+
+// { url, token } from flags, env, then the config file.
+function resolveConfig(flags, env = process.env) {
+  const file = readConfigFile(configPath(env));
+  const url = flags.url || env.TONYOS_URL || file.url || DEFAULT_URL;
+  return {
+    url: String(url).replace(/\/+$/, ""),
+    token: flags.token || env.TONYOS_TOKEN || file.token || null,
+  };
+}
+
+// -------------------- HTTP --------------------
+
+function createClient({ url, token }) {
+  if (!token) {
+    throw new UsageError(
+      `No API token. Set TONYOS_TOKEN or add "token" to ${configPath()}` +
+        " (create one with POST /tokens)."
+    );
+  }
+
+  async function request(method, apiPath, body) {
+    let res;
+    try {
+      res = await fetch(`${url}${apiPath}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "X-Actor": "cli",
+          ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      const reason = (err.cause && (err.cause.code || err.cause.message)) || err.message;
+      throw new Error(`Can't reach ${url} (${reason})`);
+    }
+    if (res.ok) return res;
+
+    let message = `HTTP ${res.status}`;
+    try {
+      const data = await res.json();
+      message = [data.error || message, ...(data.details || [])].join("\n  ");
+    } catch {
+      // not JSON – keep the status
+    }
+    if (res.status === 401) message += "\n  Check the API token (TONYOS_TOKEN or the config file).";
+    throw new Error(message);
+  }
+
+  return {
+    request,
+    async json(method, apiPath, body) {
+      const res = await request(method, apiPath, body);
+      return res.status === 204 ? null : res.json();
+    },
+  };
+}
+
+// Server-sent events from a fetch response: onEvent(event, data) per frame.
+async function readEventStream(res, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let split;
+    while ((split = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, split);
+      buffer = buffer.slice(split + 2);
+      let event = "message";
+      let data = "";
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event: ")) event = line.slice(7);
+        else if (line.startsWith("data: ")) data += line.slice(6);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// -------------------- OUTPUT --------------------
+
+function dateOnly(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+function taskLine(task) {
+  const meta = [`P${task.priority}`, task.bucket, task.area];
+  if (task.due_date) meta.push(`due ${dateOnly(task.due_date)}`);
+  return `#${task.id} ${task.title} (${meta.filter(Boolean).join(" · ")})`;
+}
+
+function printTable(tasks) {
+  if (!tasks.length) {
+    console.log("No tasks.");
+    return;
+  }
+  const rows = tasks.map((t) => [
+    String(t.id),
+    String(t.score),
+    `P${t.priority}`,
+    t.status,
+    t.bucket,
+    t.area || "",
+    dateOnly(t.due_date),
+    t.is_blocked ? `${t.title} [blocked]` : t.title,
+  ]);
+  const header = ["ID", "SCORE", "P", "STATUS", "BUCKET", "AREA", "DUE", "TITLE"];
+  const widths = header.map((h, i) =>
+    i === header.length - 1 ? 0 : Math.max(h.length, ...rows.map((r) => r[i].length))
+  );
+  // The title takes whatever is left of the terminal width.
+  const fixed = widths.reduce((sum, w) => sum + w + 2, 0);
+  const titleWidth = Math.max((process.stdout.columns || 120) - fixed, 20);
+  const format = (cells) =>
+    cells
+      .map((c, i) => {
+        if (i < cells.length - 1) return c.padEnd(widths[i]);
+        return c.length > titleWidth ? `${c.slice(0, titleWidth - 1)}…` : c;
+      })
+      .join("  ");
+
+  console.log(format(header));
+  for (const row of rows) console.log(format(row));
+}
+
+// -------------------- COMMANDS --------------------
+
+function taskId(positionals) {
+  const id = Number(positionals[0]);
+  if (positionals.length !== 1 || !Number.isInteger(id) || id < 1) {
+    throw new UsageError("Expected one task id");
+  }
+  return id;
+}
+
+function checkBucket(bucket) {
+  if (bucket !== undefined && !BUCKETS.includes(bucket)) {
+    throw new UsageError(`--bucket must be one of: ${BUCKETS.join(", ")}`);
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let text = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => (text += chunk));
+    process.stdin.on("end", () => resolve(text));
+    process.stdin.on("error", reject);
+  });
+}
+
+const COMMANDS = {
+  add: {
+    options: {
+      bucket: { type: "string", short: "b" },
+      priority: { type: "string", short: "p" },
+      area: { type: "string", short: "a" },
+      due: { type: "string", short: "d" },
+      description: { type: "string" },
+      estimate: { type: "string" },
+      json: { type: "boolean" },
+    },
+    async run(client, { values, positionals }) {
+      const title = positionals.join(" ").trim();
+      if (!title) throw new UsageError("add needs a title");
+      checkBucket(values.bucket);
+
+      const body = { title };
+      if (values.bucket) body.bucket = values.bucket;
+      if (values.area) body.area = values.area;
+      if (values.due) body.due_date = values.due;
+      if (values.description) body.description = values.description;
+      if (values.priority !== undefined) body.priority = Number(values.priority);
+      if (values.estimate !== undefined) body.estimated_minutes = Number(values.estimate);
+
+      const task = await client.json("POST", "/tasks", body);
+      if (values.json) console.log(JSON.stringify(task, null, 2));
+      else console.log(`Added ${taskLine(task)} – score ${task.score}`);
+    },
+  },
+
+  list: {
+    options: {
+      status: { type: "string", short: "s" },
+      bucket: { type: "string", short: "b" },
+      area: { type: "string", short: "a" },
+      search: { type: "string", short: "q" },
+      sort: { type: "string" },
+      limit: { type: "string", short: "n" },
+      all: { type: "boolean" },
+      json: { type: "boolean" },
+    },
+    async run(client, { values }) {
+      const sort = values.sort || "score";
+      if (!SORTS.includes(sort)) throw new UsageError(`--sort must be one of: ${SORTS.join(", ")}`);
+
+      const query = new URLSearchParams({ sort });
+      // Done tasks only show up with --all or an explicit --status.
+      if (values.status) query.set("status", values.status);
+      else if (!values.all) query.set("status", "open,doing,scheduled");
+      if (values.bucket) query.set("bucket", values.bucket);
+      if (values.area) query.set("area", values.area);
+      if (values.search) query.set("q", values.search);
+      if (values.limit) query.set("limit", values.limit);
+
+      const tasks = await client.json("GET", `/tasks?${query}`);
+      if (values.json) console.log(JSON.stringify(tasks, null, 2));
+      else printTable(tasks);
+    },
+  },
+
+  done: {
+    options: { json: { type: "boolean" } },
+    async run(client, { values, positionals }) {
+      const task = await client.json("PATCH", `/tasks/${taskId(positionals)}/complete`);
+      if (values.json) console.log(JSON.stringify(task, null, 2));
+      else console.log(`Done: ${taskLine(task)}`);
+    },
+  },
+
+  rm: {
+    options: {},
+    async run(client, { positionals }) {
+      const id = taskId(positionals);
+      await client.json("DELETE", `/tasks/${id}`);
+      console.log(`Deleted #${id}`);
+    },
+  },
+
+  dump: {
+    options: {
+      bucket: { type: "string", short: "b" },
+      area: { type: "string", short: "a" },
+      "dry-run": { type: "boolean" },
+      json: { type: "boolean" },
+    },
+    async run(client, { values, positionals }) {
+      checkBucket(values.bucket);
+      const text = positionals.length ? positionals.join(" ") : await readStdin();
+      if (!text.trim()) throw new UsageError("dump needs text (as arguments or on stdin)");
+
+      const body = { text, dry_run: Boolean(values["dry-run"]) };
+      if (values.bucket) body.default_bucket = values.bucket;
+      if (values.area) body.default_area = values.area;
+      const result = await client.json("POST", "/brain-dump", body);
+      if (values.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      if (result.proposals) {
+        for (const p of result.proposals) {
+          const match = p.match === "new" ? "new" : `${p.match} of #${p.task_id}`;
+          console.log(`  ${p.title} (${match})`);
+        }
+        console.log(`${result.proposals.length} proposal(s), nothing saved (--dry-run).`);
+        return;
+      }
+      for (const task of result.tasks) console.log(`Added ${taskLine(task)}`);
+      for (const s of result.skipped || []) {
+        console.log(`Skipped ${s.title} (${s.match} of #${s.task_id})`);
+      }
+      console.log(`${result.tasks.length} task(s) added via ${result.source}.`);
+    },
+  },
+
+  ask: {
+    options: {
+      thread: { type: "string", short: "t" },
+      json: { type: "boolean" },
+    },
+    async run(client, { values, positionals }) {
+      const prompt = positionals.join(" ").trim();
+      if (!prompt) throw new UsageError("ask needs a prompt");
+      const body = { prompt };
+      if (values.thread !== undefined) body.thread_id = Number(values.thread);
+
+      if (values.json) {
+        console.log(JSON.stringify(await client.json("POST", "/chat", body), null, 2));
+        return;
+      }
+
+      // Streamed so the answer appears as it's written.
+      const res = await client.request("POST", "/chat", { ...body, stream: true });
+      let done = null;
+      await readEventStream(res, (event, data) => {
+        if (event === "token") process.stdout.write(data.text);
+        else if (event === "actions") {
+          process.stdout.write("\n\nProposed changes (confirm them in the dashboard):\n");
+          for (const a of data.actions) process.stdout.write(`  - ${a.summary}\n`);
+        } else if (event === "error") throw new Error(data.message || data.error);
+        else if (event === "done") done = data;
+      });
+      process.stdout.write("\n");
+      if (done) console.error(`(continue this thread with --thread ${done.thread_id})`);
+    },
+  },
+};
+
+// -------------------- MAIN --------------------
+
+const GLOBAL_OPTIONS = {
+  url: { type: "string" },
+  token: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    console.log(USAGE);
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new UsageError(`Unknown command '${name}'`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await command.run(createClient(resolveConfig(parsed.values)), parsed);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  if (err instanceof UsageError) {
+    console.error(`tonyos: ${err.message}\nRun 'tonyos help' for usage.`);
+    process.exitCode = 2;
+  } else {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,94 @@
+// dedupe.js – fuzzy matching of proposed tasks (brain dump) against existing ones
+//
+// Titles are compared on normalized words (lowercase, punctuation and filler
+// words dropped) with a blend of word overlap and character-bigram overlap,
+// so "Email CPA re: 2024 taxes" still matches "email the CPA about 2024 taxes".
+
+const STOPWORDS = new Set([
+  "a", "an", "the", "to", "for", "of", "on", "in", "at", "and", "or", "with",
+  "about", "re", "my", "our", "some", "up",
+]);
+
+// Below this a proposal counts as new; at or above it's the same task.
+const MATCH_THRESHOLD = 0.6;
+
+function words(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, " ")
+    .split(/\s+/)
+    .filter((w) => w && !STOPWORDS.has(w));
+}
+
+function bigrams(text) {
+  const grams = new Set();
+  for (let i = 0; i < text.length - 1; i++) grams.add(text.slice(i, i + 2));
+  return grams;
+}
+
+function overlap(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+// 0 (nothing in common) … 1 (same normalized title).
+function titleSimilarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.length || !wb.length) return 0;
+  const wordScore = overlap(new Set(wa), new Set(wb));
+  const charScore = overlap(bigrams(wa.join(" ")), bigrams(wb.join(" ")));
+  return Math.round((0.5 * wordScore + 0.5 * charScore) * 100) / 100;
+}
+
+function sameDay(a, b) {
+  if (!a && !b) return true;
+  if (!a || !b) return false;
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+}
+
+// Fields the proposal would change on the matched task ({ field: { old, new } }).
+function proposedChanges(proposal, task) {
+  const changes = {};
+  if (proposal.bucket && proposal.bucket !== task.bucket) {
+    changes.bucket = { old: task.bucket, new: proposal.bucket };
+  }
+  if (proposal.priority && Number(proposal.priority) !== Number(task.priority)) {
+    changes.priority = { old: task.priority, new: Number(proposal.priority) };
+  }
+  if (proposal.due_date && !sameDay(proposal.due_date, task.due_date)) {
+    changes.due_date = { old: task.due_date, new: proposal.due_date };
+  }
+  if (proposal.description && proposal.description !== task.description) {
+    changes.description = { old: task.description, new: proposal.description };
+  }
+  return changes;
+}
+
+/**
+ * Classify one proposal against existing tasks:
+ *   { match: "new" }
+ *   { match: "duplicate", task_id, similarity }            nothing to change
+ *   { match: "update", task_id, similarity, changes }      same task, new details
+ */
+function matchProposal(proposal, tasks) {
+  let best = null;
+  let bestScore = 0;
+  for (const task of tasks) {
+    const score = titleSimilarity(proposal.title, task.title);
+    if (score > bestScore) {
+      best = task;
+      bestScore = score;
+    }
+  }
+  if (!best || bestScore < MATCH_THRESHOLD) return { match: "new" };
+
+  const changes = proposedChanges(proposal, best);
+  return Object.keys(changes).length
+    ? { match: "update", task_id: best.id, similarity: bestScore, changes }
+    : { match: "duplicate", task_id: best.id, similarity: bestScore };
+}
+
+module.exports = { MATCH_THRESHOLD, titleSimilarity, matchProposal };
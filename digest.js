@@ -0,0 +1,211 @@
+// digest.js – the morning briefing: what to do first, what's late, what's due
+// today and what got done yesterday (GET /digest/preview and the emailed digest)
+//
+// Takes mapped tasks (mapTaskRow plus relations, so scores and is_blocked are
+// set) and works in the reader's time zone: "today" is their local calendar
+// day. Nothing here touches storage or sends anything.
+
+const { zonedParts, zonedTimeToUtc } = require("./timezone");
+
+const TOP_COUNT = 3; // same as Highest Leverage on the dashboard
+const LIST_LIMIT = 10; // items shown per section; counts cover everything
+
+const BUCKET_LABELS = { today: "Today", this_week: "This week", later: "Later" };
+
+function ms(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function digestItem(task) {
+  return {
+    id: task.id,
+    title: task.title,
+    area: task.area || null,
+    bucket: task.bucket,
+    priority: task.priority,
+    score: task.score,
+    due_date: task.due_date || null,
+    completed_at: task.completed_at || null,
+  };
+}
+
+/**
+ * { date, time_zone, counts: { open, overdue, due_today, completed_yesterday },
+ *   top, overdue, due_today, completed_yesterday }
+ * top is the highest-scored open, unblocked tasks; overdue means due before now.
+ */
+function buildDigest(tasks, { now = new Date(), timeZone = "UTC" } = {}) {
+  const local = zonedParts(now, timeZone);
+  const day = { year: local.year, month: local.month, day: local.day };
+  const todayStart = zonedTimeToUtc(day, timeZone).getTime();
+  const tomorrowStart = zonedTimeToUtc({ ...day, day: day.day + 1 }, timeZone).getTime();
+  const yesterdayStart = zonedTimeToUtc({ ...day, day: day.day - 1 }, timeZone).getTime();
+  const nowMs = now.getTime();
+
+  const open = tasks.filter((t) => t.status !== "done");
+  const byScore = (a, b) => b.score - a.score || a.id - b.id;
+  const byDue = (a, b) => ms(a.due_date) - ms(b.due_date) || byScore(a, b);
+
+  const top = open.filter((t) => !t.is_blocked).sort(byScore);
+  const overdue = open.filter((t) => ms(t.due_date) !== null && ms(t.due_date) < nowMs);
+  const dueToday = open.filter((t) => {
+    const due = ms(t.due_date);
+    return due !== null && due >= nowMs && due < tomorrowStart;
+  });
+  const completed = tasks.filter((t) => {
+    const at = t.status === "done" ? ms(t.completed_at) : null;
+    return at !== null && at >= yesterdayStart && at < todayStart;
+  });
+
+  return {
+    date: `${day.year}-${String(day.month).padStart(2, "0")}-${String(day.day).padStart(2, "0")}`,
+    time_zone: timeZone,
+    counts: {
+      open: open.length,
+      overdue: overdue.length,
+      due_today: dueToday.length,
+      completed_yesterday: completed.length,
+    },
+    top: top.slice(0, TOP_COUNT).map(digestItem),
+    overdue: overdue.sort(byDue).slice(0, LIST_LIMIT).map(digestItem),
+    due_today: dueToday.sort(byDue).slice(0, LIST_LIMIT).map(digestItem),
+    completed_yesterday: completed
+      .sort((a, b) => ms(a.completed_at) - ms(b.completed_at))
+      .slice(0, LIST_LIMIT)
+      .map(digestItem),
+  };
+}
+
+// -------------------- RENDERING --------------------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function localDate(date, timeZone, options) {
+  return new Intl.DateTimeFormat("en-GB", { timeZone, ...options }).format(new Date(date));
+}
+
+// "P2 · Work · due Tue 20 Oct" – the parts that help decide, nothing else.
+function itemMeta(item, timeZone) {
+  const parts = [`P${item.priority}`];
+  if (item.area) parts.push(item.area);
+  if (item.due_date) {
+    const due = localDate(item.due_date, timeZone, {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    });
+    parts.push(`due ${due}`);
+  }
+  return parts.join(" · ");
+}
+
+function sections(digest) {
+  return [
+    {
+      title: "Highest leverage",
+      items: digest.top,
+      empty: "Nothing ready to start.",
+      total: digest.top.length,
+      meta: (item, tz) => `score ${item.score} · ${itemMeta(item, tz)}`,
+    },
+    {
+      title: "Overdue",
+      items: digest.overdue,
+      empty: "Nothing overdue.",
+      total: digest.counts.overdue,
+      meta: itemMeta,
+    },
+    {
+      title: "Due today",
+      items: digest.due_today,
+      empty: "Nothing else due today.",
+      total: digest.counts.due_today,
+      meta: itemMeta,
+    },
+    {
+      title: "Done yesterday",
+      items: digest.completed_yesterday,
+      empty: "Nothing completed yesterday.",
+      total: digest.counts.completed_yesterday,
+      meta: (item) => BUCKET_LABELS[item.bucket] || item.bucket,
+    },
+  ];
+}
+
+/**
+ * { subject, text, html } for a digest. summary is the optional AI
+ * paragraph; dashboardUrl adds a link back to the app.
+ */
+function renderDigest(digest, { name = "", summary = null, dashboardUrl = null } = {}) {
+  const tz = digest.time_zone;
+  const dateLabel = localDate(`${digest.date}T12:00:00Z`, "UTC", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+  });
+  const { overdue, due_today: dueToday } = digest.counts;
+  const subject =
+    `TonyOS briefing – ${dateLabel}: ` +
+    (overdue ? `${overdue} overdue, ` : "") +
+    `${dueToday} due today`;
+  const greeting = name ? `Good morning, ${name}.` : "Good morning.";
+
+  const text = [greeting, ""];
+  if (summary) text.push(summary, "");
+  for (const s of sections(digest)) {
+    text.push(`${s.title.toUpperCase()}${s.total > s.items.length ? ` (${s.total})` : ""}`);
+    if (!s.items.length) text.push(`  ${s.empty}`);
+    for (const item of s.items) text.push(`  - ${item.title} (${s.meta(item, tz)})`);
+    if (s.total > s.items.length) text.push(`  …and ${s.total - s.items.length} more`);
+    text.push("");
+  }
+  if (dashboardUrl) text.push(`Open the dashboard: ${dashboardUrl}`);
+
+  const html = [
+    '<div style="font-family:system-ui,-apple-system,sans-serif;max-width:560px;color:#111">',
+    `<h2 style="margin:0 0 4px">${escapeHtml(dateLabel)}</h2>`,
+    `<p style="margin:0 0 16px;color:#555">${escapeHtml(greeting)}</p>`,
+  ];
+  if (summary) {
+    html.push(
+      `<p style="margin:0 0 16px;padding:10px 12px;background:#f4f4f8;border-radius:6px">` +
+        `${escapeHtml(summary).replace(/\n/g, "<br>")}</p>`
+    );
+  }
+  for (const s of sections(digest)) {
+    html.push(`<h3 style="margin:16px 0 6px;font-size:15px">${escapeHtml(s.title)}</h3>`);
+    if (!s.items.length) {
+      html.push(`<p style="margin:0;color:#777">${escapeHtml(s.empty)}</p>`);
+      continue;
+    }
+    html.push('<ul style="margin:0;padding-left:18px">');
+    for (const item of s.items) {
+      html.push(
+        `<li style="margin:2px 0">${escapeHtml(item.title)} ` +
+          `<span style="color:#777;font-size:12px">${escapeHtml(s.meta(item, tz))}</span></li>`
+      );
+    }
+    if (s.total > s.items.length) {
+      html.push(`<li style="color:#777">…and ${s.total - s.items.length} more</li>`);
+    }
+    html.push("</ul>");
+  }
+  if (dashboardUrl) {
+    html.push(
+      `<p style="margin:20px 0 0"><a href="${escapeHtml(dashboardUrl)}">Open the dashboard</a></p>`
+    );
+  }
+  html.push("</div>");
+
+  return { subject, text: text.join("\n").trim() + "\n", html: html.join("\n") };
+}
+
+module.exports = { buildDigest, renderDigest };
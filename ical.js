@@ -0,0 +1,269 @@
+// ical.js – iCalendar (RFC 5545) feed for dated tasks and .ics parsing for import
+//
+// Due dates at exactly 00:00 UTC are treated as all-day (that's how date-only
+// due dates are stored); anything else is a timed entry.
+
+const { isValidTimeZone, zonedTimeToUtc } = require("./timezone");
+
+const BUCKET_LABELS = { today: "Today", this_week: "This week", later: "Later" };
+const FEED_TYPES = ["event", "todo", "both"];
+const EVENT_MINUTES = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// -------------------- WRITING --------------------
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    if (size + len > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function utcStamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function dateStamp(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function isAllDay(date) {
+  return new Date(date).getTime() % DAY_MS === 0;
+}
+
+// TonyOS P1…P5 onto iCalendar's 1 (highest) … 9 (lowest).
+function icalPriority(priority) {
+  return Math.min(Math.max(Number(priority) || 3, 1), 5) * 2 - 1;
+}
+
+function entryDescription(task) {
+  const score =
+    `TonyOS score ${task.score} (L${task.leverage_score}/U${task.urgency_score}` +
+    `/R${task.risk_score}/F${task.friction_score}` +
+    (task.unblock_score ? `/B${task.unblock_score})` : ")");
+  return task.description ? `${task.description}\n\n${score}` : score;
+}
+
+function taskEntry(task, component, stamp) {
+  const due = new Date(task.due_date);
+  const allDay = isAllDay(due);
+  const categories = [BUCKET_LABELS[task.bucket] || task.bucket, task.area].filter(Boolean);
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:tonyos-task-${task.id}${component === "VTODO" ? "-todo" : ""}@tonyos`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${utcStamp(task.updated_at || stamp)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+    `DESCRIPTION:${escapeText(entryDescription(task))}`,
+    `CATEGORIES:${categories.map(escapeText).join(",")}`,
+    `PRIORITY:${icalPriority(task.priority)}`,
+  ];
+
+  if (component === "VEVENT") {
+    if (allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${dateStamp(due)}`);
+      lines.push(`DTEND;VALUE=DATE:${dateStamp(due.getTime() + DAY_MS)}`);
+      lines.push("TRANSP:TRANSPARENT");
+    } else {
+      lines.push(`DTSTART:${utcStamp(due)}`);
+      lines.push(`DTEND:${utcStamp(due.getTime() + EVENT_MINUTES * 60 * 1000)}`);
+    }
+  } else {
+    lines.push(allDay ? `DUE;VALUE=DATE:${dateStamp(due)}` : `DUE:${utcStamp(due)}`);
+    lines.push(`STATUS:${task.status === "doing" ? "IN-PROCESS" : "NEEDS-ACTION"}`);
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * A VCALENDAR for mapped tasks that have a due date. type picks the
+ * components: "event" (calendar apps), "todo" (task apps) or "both".
+ */
+function buildCalendar(tasks, { name = "TonyOS tasks", type = "both", now = new Date() } = {}) {
+  const stamp = utcStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TonyOS//Task feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  for (const task of tasks) {
+    if (!task.due_date) continue;
+    if (type !== "todo") lines.push(...taskEntry(task, "VEVENT", stamp));
+    if (type !== "event") lines.push(...taskEntry(task, "VTODO", stamp));
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+// -------------------- READING --------------------
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+// "DTSTART;TZID=Europe/Paris:20261201T090000" → { name, params, value }
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter.
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) colon = i;
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq !== -1) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * DATE or DATE-TIME value → { date: ISO string, allDay }. UTC ("Z") and
+ * TZID times are converted; floating times and unknown zones are read as UTC.
+ */
+function parseIcalDate(value, params = {}) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, z] = m;
+  if (h === undefined || params.VALUE === "DATE") {
+    return { date: new Date(Date.UTC(+y, +mo - 1, +d)).toISOString(), allDay: true };
+  }
+
+  const wall = { year: +y, month: +mo, day: +d, hour: +h, minute: +mi, second: +s };
+  // Not an IANA zone name (e.g. Windows zone ids) – keep the wall time as UTC.
+  const date =
+    !z && params.TZID && isValidTimeZone(params.TZID)
+      ? zonedTimeToUtc(wall, params.TZID)
+      : new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+  return { date: date.toISOString(), allDay: false };
+}
+
+// RRULE → a recurrence.js rule; validateRecurrence reports what isn't supported.
+function parseRrule(value) {
+  const parts = Object.fromEntries(
+    value.split(";").map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v];
+    })
+  );
+  const rule = { freq: String(parts.FREQ || "").toLowerCase() };
+  if (parts.INTERVAL) rule.interval = Number(parts.INTERVAL);
+  if (parts.COUNT) rule.count = Number(parts.COUNT);
+  if (parts.UNTIL) {
+    const until = parseIcalDate(parts.UNTIL);
+    if (until) rule.until = until.date;
+  }
+  if (parts.BYDAY && rule.freq === "weekly") {
+    rule.by_weekday = parts.BYDAY.split(",").map((d) => d.replace(/^[+-]?\d+/, "").toLowerCase());
+  }
+  return rule;
+}
+
+/**
+ * VEVENTs and VTODOs from .ics text:
+ * [{ type, uid, summary, description, start, categories, rrule, status }]
+ * where start is { date, allDay } (DTSTART, or DUE for to-dos) or null.
+ */
+function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, "") // unfold
+    .split(/\r?\n/);
+  if (!lines.some((l) => l.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("Not an iCalendar file (no BEGIN:VCALENDAR).");
+  }
+
+  const entries = [];
+  let current = null;
+  let depth = 0; // nested components (VALARM) inside an entry are ignored
+  for (const raw of lines) {
+    const line = parseLine(raw.trim());
+    if (!line) continue;
+
+    if (line.name === "BEGIN") {
+      const type = line.value.toUpperCase();
+      if (current) depth++;
+      else if (type === "VEVENT" || type === "VTODO") {
+        current = { type: type === "VEVENT" ? "event" : "todo", categories: [] };
+      }
+      continue;
+    }
+    if (line.name === "END") {
+      if (current && depth) depth--;
+      else if (current) {
+        entries.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth) continue;
+
+    switch (line.name) {
+      case "UID":
+        current.uid = line.value.trim();
+        break;
+      case "SUMMARY":
+        current.summary = unescapeText(line.value).trim();
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(line.value).trim();
+        break;
+      case "DTSTART":
+        current.start = parseIcalDate(line.value, line.params);
+        break;
+      case "DUE":
+        if (current.type === "todo") current.start = parseIcalDate(line.value, line.params);
+        break;
+      case "CATEGORIES":
+        current.categories.push(
+          ...line.value
+            .split(/(?<!\\),/)
+            .map((c) => unescapeText(c).trim())
+            .filter(Boolean)
+        );
+        break;
+      case "RRULE":
+        current.rrule = parseRrule(line.value);
+        break;
+      case "STATUS":
+        current.status = line.value.trim().toUpperCase();
+        break;
+      default:
+        break;
+    }
+  }
+  return entries;
+}
+
+module.exports = { FEED_TYPES, buildCalendar, parseCalendar };
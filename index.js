@@ -1,26 +1,105 @@
-// index.js – TonyOS backend (industry-grade single-file version)
+// index.js – TonyOS backend (Express app + routes; storage lives in ./storage)
 
 require("dotenv").config();
+const { EventEmitter } = require("events");
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
-const { Pool } = require("pg");
-const { OpenAI } = require("openai");
+const { createStorage } = require("./storage");
+const { createLlm } = require("./llm");
+const { parseBrainDump } = require("./llm/rules");
+const { TASK_TOOLS, READ_ONLY_TOOLS } = require("./llm/tools");
+const { matchProposal } = require("./dedupe");
+const { FEED_TYPES, buildCalendar, parseCalendar } = require("./ical");
+const {
+  WEEKDAYS,
+  isValidTimeZone,
+  localTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+} = require("./timezone");
+const { STAT_GROUPS, computeStats } = require("./stats");
+const {
+  parseTimeOfDay,
+  nextRunAfter,
+  previousRunAt,
+  createDailyScheduler,
+} = require("./scheduler");
+const { buildDigest, renderDigest } = require("./digest");
+const { parseQuickAdd } = require("./quickadd");
+const { createMailer } = require("./mailer");
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  validateWebhookPayload,
+  checkWebhookTarget,
+  retryDelay,
+  sendWebhook,
+} = require("./webhooks");
+const {
+  EXPORT_FORMATS,
+  exportTasks,
+  parseExportId,
+  parseImport,
+  validateMapping,
+  mapRecord,
+} = require("./transfer");
+const {
+  DEFAULT_SCORING,
+  resolveScoring,
+  validateScoring,
+  explainScore,
+  computeScore,
+} = require("./scoring");
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+  requireAuth,
+} = require("./auth");
+const {
+  validateRecurrence,
+  normalizeRecurrence,
+  anchorRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+} = require("./recurrence");
 
 // -------------------- ENV + CONSTANTS --------------------
 
 const PORT = process.env.PORT || 5000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const DATABASE_URL = process.env.DATABASE_URL;
-
-if (!OPENAI_API_KEY) {
-  console.warn("⚠️  OPENAI_API_KEY is not set. /chat and /brain-dump will fail.");
-}
-if (!DATABASE_URL) {
-  console.warn("⚠️  DATABASE_URL is not set. Backend will not connect to Postgres.");
-}
+// Without a provider (or when it fails) /brain-dump splits lines itself;
+// set "off" to get errors instead.
+const BRAIN_DUMP_FALLBACK = process.env.BRAIN_DUMP_FALLBACK !== "off";
+// Task tools for /chat; set "off" for models without function calling.
+const CHAT_TOOLS = process.env.CHAT_TOOLS !== "off";
+
+// Login sessions expire after SESSION_TTL_DAYS; API tokens live until revoked.
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+// The first account can always register; after that only when ALLOW_SIGNUP=true.
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === "true";
+// Base URL for links handed to other apps (calendar feeds); default: the request's host.
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+// Daily bucket rollover + review at ROLLOVER_TIME ("HH:MM", or "off") in ROLLOVER_TZ
+// (default: the server's zone); the run on REVIEW_WEEKDAY (sun…sat) is the weekly review.
+// Recurring tasks with a due time keep that wall-clock time in ROLLOVER_TZ.
+const ROLLOVER_TIME = process.env.ROLLOVER_TIME || "05:00";
+const ROLLOVER_TZ = process.env.ROLLOVER_TZ || localTimeZone();
+const REVIEW_WEEKDAY = (process.env.REVIEW_WEEKDAY || "mon").slice(0, 3).toLowerCase();
+const REVIEW_KINDS = ["daily", "weekly"];
+// Emailed morning digest (SMTP_* settings, see mailer.js): sent at DIGEST_TIME in DIGEST_TZ
+// unless a user's /digest/settings say otherwise; DASHBOARD_URL adds a link to the app.
+const DIGEST_TIME = process.env.DIGEST_TIME || "07:00";
+const DIGEST_TZ = process.env.DIGEST_TZ || ROLLOVER_TZ;
+const DASHBOARD_URL = process.env.DASHBOARD_URL || null;
+// Comma-separated list of allowed origins (default: any).
+const CORS_ORIGIN = process.env.CORS_ORIGIN
+  ? process.env.CORS_ORIGIN.split(",").map((o) => o.trim())
+  : "*";
 
 // -------------------- APP SETUP --------------------
 
@@ -28,8 +107,16 @@ const app = express();
 
 // Security + basics
 app.use(helmet());
-app.use(cors({ origin: "*", methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"] }));
+app.use(
+  cors({
+    origin: CORS_ORIGIN,
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor"],
+  })
+);
 app.use(express.json({ limit: "1mb" }));
+// Calendar feed tokens travel in the query string; keep them out of the logs.
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]+/, "$1***"));
 app.use(morgan("tiny"));
 
 // Rate limits – protect AI + write-heavy endpoints
@@ -39,8 +126,8 @@ const aiLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
-app.use("/chat", aiLimiter);
-app.use("/brain-dump", aiLimiter);
+app.post("/chat", aiLimiter); // thread list / history reads aren't AI calls
+app.post("/brain-dump", aiLimiter);
 
 const writeLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -49,55 +136,59 @@ const writeLimiter = rateLimit({
   legacyHeaders: false,
 });
 app.use("/tasks", writeLimiter);
+app.use("/import", writeLimiter);
 
-// OpenAI client
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-// -------------------- POSTGRES SETUP --------------------
-
-const pool = new Pool({
-  connectionString: DATABASE_URL,
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false } // Render / managed Postgres
-      : false,
-});
-
-/**
- * Initialize DB schema. Safe to call repeatedly.
- */
-async function initDb() {
-  const ddl = `
-    CREATE TABLE IF NOT EXISTS tasks (
-      id              SERIAL PRIMARY KEY,
-      title           TEXT NOT NULL,
-      description     TEXT,
-      area            TEXT,
-      status          TEXT NOT NULL DEFAULT 'open',   -- open | doing | scheduled | done
-      bucket          TEXT NOT NULL DEFAULT 'later',  -- today | this_week | later
-      priority        INTEGER NOT NULL DEFAULT 3,     -- 1 highest, 5 lowest
-      leverage_score  INTEGER,
-      urgency_score   INTEGER,
-      risk_score      INTEGER,
-      friction_score  INTEGER,
-      due_date        TIMESTAMPTZ,
-      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    );
+// Login / register – slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use("/auth/login", authLimiter);
+app.use("/auth/register", authLimiter);
 
-    CREATE INDEX IF NOT EXISTS idx_tasks_bucket ON tasks(bucket);
-    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
-    CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
-  `;
+// LLM provider per AI route: OpenAI, any OpenAI-compatible server, or mock (see llm/index.js)
+const llm = createLlm();
 
-  await pool.query(ddl);
-  console.log("✅ Postgres initialized (TonyOS schema ready)");
-}
+// Outgoing email over SMTP; off until SMTP_HOST is set (see mailer.js)
+const mailer = createMailer();
+
+// -------------------- STORAGE SETUP --------------------
+
+// Postgres when DATABASE_URL is set, otherwise local SQLite (see storage/index.js)
+const storage = createStorage();
 
 // -------------------- SMALL HELPERS --------------------
 
+const BUCKETS = ["today", "this_week", "later"];
+
 function isValidBucket(bucket) {
-  return ["today", "this_week", "later"].includes(bucket);
+  return BUCKETS.includes(bucket);
+}
+
+// Allowed status moves. Anything not listed here is rejected by PATCH /tasks/:id.
+const STATUS_TRANSITIONS = {
+  open: ["doing", "scheduled", "done"],
+  doing: ["open", "scheduled", "done"],
+  scheduled: ["open", "doing", "done"],
+  done: ["open"],
+};
+
+function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status);
+}
+
+function canTransition(from, to) {
+  if (from === to) return true;
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+const MAX_ESTIMATE_MINUTES = 60 * 24 * 30;
+
+// A validated estimated_minutes (number, numeric string, null or "") → column value.
+function estimateMinutes(value) {
+  return value === null || value === "" || value === undefined ? null : Number(value);
 }
 
 function clampPriority(p) {
@@ -120,6 +211,10 @@ function validateTaskPayload(body, { partial = false } = {}) {
     errors.push("bucket must be one of: today, this_week, later.");
   }
 
+  if (body.status !== undefined && !isValidStatus(body.status)) {
+    errors.push("status must be one of: open, doing, scheduled, done.");
+  }
+
   if (body.priority !== undefined) {
     const p = Number(body.priority);
     if (!Number.isInteger(p) || p < 1 || p > 5) {
@@ -134,71 +229,80 @@ function validateTaskPayload(body, { partial = false } = {}) {
     }
   }
 
+  if (body.recurrence !== undefined) {
+    errors.push(...validateRecurrence(body.recurrence));
+  }
+
+  if (
+    body.estimated_minutes !== undefined &&
+    body.estimated_minutes !== null &&
+    !(
+      Number.isInteger(Number(body.estimated_minutes)) &&
+      Number(body.estimated_minutes) >= 0 &&
+      Number(body.estimated_minutes) <= MAX_ESTIMATE_MINUTES
+    )
+  ) {
+    errors.push(`estimated_minutes must be an integer between 0 and ${MAX_ESTIMATE_MINUTES}.`);
+  }
+
+  if (body.external_id !== undefined && body.external_id !== null) {
+    if (typeof body.external_id !== "string" || !body.external_id.trim()) {
+      errors.push("external_id must be a non-empty string or omitted.");
+    } else if (body.external_id.length > 200) {
+      errors.push("external_id must be at most 200 characters.");
+    }
+  }
+
   return errors;
 }
 
-// TonyOS scoring – same logic front + back (source of truth)
-function computeTonyScore(task) {
-  const now = new Date();
+// Bucket a due date falls into: within a day → today, within a week → this_week.
+function bucketForDueDate(dueDate, now = new Date()) {
+  const diffHours = (new Date(dueDate).getTime() - now.getTime()) / (1000 * 60 * 60);
+  if (diffHours <= 24) return "today";
+  if (diffHours <= 24 * 7) return "this_week";
+  return "later";
+}
 
-  // Leverage from priority (1 high → 5 low) if not set
-  const leverage =
-    typeof task.leverage_score === "number"
-      ? task.leverage_score
-      : (() => {
-          const p = clampPriority(task.priority ?? 3);
-          return 6 - p; // 1 → 5, 2 → 4, ...
-        })();
-
-  // Urgency (due date + bucket)
-  let urgency = 1;
-  if (task.due_date) {
-    const d = new Date(task.due_date);
-    if (!Number.isNaN(d.getTime())) {
-      const diffHours = (d.getTime() - now.getTime()) / (1000 * 60 * 60);
-      if (diffHours < 0) urgency = 5;
-      else if (diffHours <= 24) urgency = 4;
-      else if (diffHours <= 72) urgency = 3;
-      else if (diffHours <= 24 * 7) urgency = 2;
-      else urgency = 1;
-    }
-  } else if (task.bucket === "today") urgency = 3;
-  else if (task.bucket === "this_week") urgency = 2;
-
-  const risk =
-    typeof task.risk_score === "number"
-      ? task.risk_score
-      : urgency >= 4
-      ? 4
-      : urgency === 3
-      ? 3
-      : 2;
-
-  let friction = 2;
-  if (typeof task.friction_score === "number") friction = task.friction_score;
-  else {
-    const desc = (task.description || "").toLowerCase();
-    if (!desc) friction = 2;
-    else if (desc.includes("tax") || desc.includes("accounting") || desc.includes("legal"))
-      friction = 3;
-    else if (desc.includes("call") || desc.includes("email")) friction = 1;
-    else friction = 2;
-  }
-
-  const score = leverage + urgency + risk - friction;
+// Scoring rules for the repo's owner (the defaults until they customize them).
+async function scoringFor(repo) {
+  const stored = await repo.getScoringRules();
+  return resolveScoring(stored && stored.rules);
+}
 
+// Score columns stored on a task, from the rules alone (stale stored values ignored).
+function scoreColumns(task, rules) {
+  const scores = computeScore(
+    {
+      description: task.description,
+      area: task.area,
+      bucket: task.bucket,
+      priority: task.priority,
+      due_date: task.due_date,
+      estimated_minutes: task.estimated_minutes,
+      tracked_minutes: (task.tracked_seconds || 0) / 60,
+    },
+    rules
+  );
   return {
-    leverage_score: leverage,
-    urgency_score: urgency,
-    risk_score: risk,
-    friction_score: friction,
-    tony_score: score,
+    leverage_score: scores.leverage_score,
+    urgency_score: scores.urgency_score,
+    risk_score: scores.risk_score,
+    friction_score: scores.friction_score,
   };
 }
 
+// A row as the scoring rules read it: effort is banked time only, not a running timer.
+function scoringInput(row) {
+  return { ...row, tracked_minutes: (row.tracked_seconds || 0) / 60 };
+}
+
 // Normalize a raw DB row into the JSON shape the frontend already expects
-function mapTaskRow(row) {
-  const scores = computeTonyScore(row);
+function mapTaskRow(row, rules = DEFAULT_SCORING) {
+  const scores = computeScore(scoringInput(row), rules);
+  const runningSeconds = row.timer_started_at
+    ? Math.max((Date.now() - new Date(row.timer_started_at).getTime()) / 1000, 0)
+    : 0;
   return {
     id: row.id,
     title: row.title,
@@ -208,21 +312,566 @@ function mapTaskRow(row) {
     bucket: row.bucket,
     priority: row.priority,
     due_date: row.due_date,
+    recurrence: row.recurrence || null,
+    recurrence_summary: describeRecurrence(row.recurrence),
+    next_due_date: row.recurrence
+      ? nextOccurrence(
+          anchorRecurrence(row.recurrence, row.due_date, { timeZone: ROLLOVER_TZ }),
+          row.due_date || new Date(),
+          row.occurrence || 1,
+          { timeZone: ROLLOVER_TZ }
+        )
+      : null,
+    series_id: row.series_id ?? null,
+    occurrence: row.occurrence ?? 1,
+    external_id: row.external_id ?? null,
     created_at: row.created_at,
     updated_at: row.updated_at,
+    completed_at: row.completed_at ?? null,
+    estimated_minutes: row.estimated_minutes ?? null,
+    tracked_minutes: Math.round(((row.tracked_seconds || 0) + runningSeconds) / 60),
+    timer_started_at: row.timer_started_at ?? null,
+    manual_rank: row.manual_rank ?? null,
+    carry_over_count: row.carry_over_count || 0,
     leverage_score: scores.leverage_score,
     urgency_score: scores.urgency_score,
     risk_score: scores.risk_score,
     friction_score: scores.friction_score,
+    unblock_score: scores.unblock_score,
     score: scores.tony_score,
+    parent_id: row.parent_id ?? null,
+    subtasks: row.subtasks || { total: 0, done: 0 },
+    blocked_by: row.blocked_by || [],
+    blocks: row.blocks || [],
+    is_blocked: Boolean(row.is_blocked),
+  };
+}
+
+/**
+ * Decorate rows with subtask progress and blocker edges so mapTaskRow can
+ * report them (and the score can reward tasks that unblock others).
+ */
+async function withRelations(repo, rows) {
+  const [edges, counts] = await Promise.all([repo.listDependencies(), repo.subtaskCounts()]);
+  const countByParent = new Map(counts.map((c) => [c.parent_id, c]));
+
+  return rows.map((row) => {
+    const blockedBy = edges.filter((e) => e.blocked_id === row.id);
+    const blocks = edges.filter((e) => e.blocker_id === row.id);
+    const progress = countByParent.get(row.id);
+    return {
+      ...row,
+      blocked_by: blockedBy.map((e) => e.blocker_id),
+      blocks: blocks.map((e) => e.blocked_id),
+      is_blocked: blockedBy.some((e) => e.blocker_status !== "done"),
+      unblocks_count:
+        row.status === "done" ? 0 : blocks.filter((e) => e.blocked_status !== "done").length,
+      subtasks: progress ? { total: progress.total, done: progress.done } : { total: 0, done: 0 },
+    };
+  });
+}
+
+async function mapTaskWithRelations(repo, row) {
+  const [decorated] = await withRelations(repo, [row]);
+  return mapTaskRow(decorated, await scoringFor(repo));
+}
+
+async function mapTasksWithRelations(repo, rows) {
+  const [decorated, rules] = await Promise.all([withRelations(repo, rows), scoringFor(repo)]);
+  return decorated.map((row) => mapTaskRow(row, rules));
+}
+
+// Would the edge blocker → blocked close a loop? (blocked already leads to blocker)
+function createsDependencyCycle(edges, blockerId, blockedId) {
+  const stack = [blockedId];
+  const seen = new Set();
+  while (stack.length) {
+    const id = stack.pop();
+    if (id === blockerId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    for (const e of edges) {
+      if (e.blocker_id === id) stack.push(e.blocked_id);
+    }
+  }
+  return false;
+}
+
+// Would making parentId the parent of childId put childId above itself?
+async function createsParentCycle(repo, childId, parentId) {
+  const seen = new Set();
+  let current = parentId;
+  while (current !== null && current !== undefined) {
+    if (current === childId) return true;
+    if (seen.has(current)) return true;
+    seen.add(current);
+    const row = await repo.getTask(current);
+    current = row ? row.parent_id : null;
+  }
+  return false;
+}
+
+// -------------------- HISTORY (task_events) --------------------
+
+const HISTORY_FIELDS = [
+  "title",
+  "description",
+  "area",
+  "status",
+  "bucket",
+  "priority",
+  "due_date",
+  "recurrence",
+  "parent_id",
+  "deleted_at",
+  "estimated_minutes",
+  "tracked_seconds",
+  "timer_started_at",
+  "manual_rank",
+  "carry_over_count",
+];
+
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+// { field: { old, new } } for every tracked field that differs.
+function diffTask(before, after) {
+  const changes = {};
+  for (const field of HISTORY_FIELDS) {
+    const oldValue = before ? before[field] ?? null : null;
+    const newValue = after ? after[field] ?? null : null;
+    if (comparable(oldValue) !== comparable(newValue)) {
+      changes[field] = { old: oldValue, new: newValue };
+    }
+  }
+  return changes;
+}
+
+// Who made the change: the signed-in user, plus the client's X-Actor header if sent.
+function actorFrom(req) {
+  const header = (req.get("X-Actor") || "").trim().slice(0, 100);
+  if (!req.user) return header || "anonymous";
+  return header ? `${req.user.email} (${header})` : req.user.email;
+}
+
+function recordTaskEvent(repo, { type, actor, before = null, after = null, changes }) {
+  const task = after || before;
+  return repo.recordEvent({
+    task_id: task.id,
+    type,
+    actor,
+    changes: changes || diffTask(before, after),
+    snapshot: task,
+  });
+}
+
+function mapEventRow(row) {
+  return {
+    id: row.id,
+    task_id: row.task_id,
+    type: row.type,
+    actor: row.actor,
+    changes: row.changes || {},
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * For a recurring task that was just completed, create the next occurrence
+ * with a shifted due date and a bucket matching it. Occurrences that would
+ * already be overdue are skipped. A task that was reopened and completed again
+ * already has its successor, so nothing is created. Returns the new row or null.
+ */
+async function createNextOccurrence(repo, task, actor) {
+  if (!task.recurrence) return null;
+  if (await repo.getLaterOccurrence(task.series_id || task.id, task.occurrence || 1)) {
+    return null;
+  }
+
+  // Pinned to this due date's day so month-end series don't drift (Jan 31 → Feb 28 → Mar 31).
+  // Timed due dates keep their ROLLOVER_TZ wall-clock time.
+  const zone = { timeZone: ROLLOVER_TZ };
+  const recurrence = anchorRecurrence(task.recurrence, task.due_date, zone);
+  const now = new Date();
+  let occurrence = task.occurrence || 1;
+  let nextDue = nextOccurrence(recurrence, task.due_date || now, occurrence, zone);
+  while (nextDue && nextDue <= now) {
+    occurrence += 1;
+    nextDue = nextOccurrence(recurrence, nextDue, occurrence, zone);
+  }
+  if (!nextDue) return null;
+
+  const dueDate = nextDue.toISOString();
+  const bucket = bucketForDueDate(dueDate, now);
+  const scores = scoreColumns(
+    { ...task, bucket, due_date: dueDate, tracked_seconds: 0 },
+    await scoringFor(repo)
+  );
+
+  const row = await repo.createTask({
+    title: task.title,
+    description: task.description,
+    area: task.area,
+    status: "open",
+    bucket,
+    priority: task.priority,
+    ...scores,
+    due_date: dueDate,
+    recurrence,
+    series_id: task.series_id || task.id,
+    occurrence: occurrence + 1,
+    estimated_minutes: task.estimated_minutes ?? null,
+  });
+  await recordTaskEvent(repo, { type: "created", actor, after: row });
+  return row;
+}
+
+// -------------------- TASK WRITES (routes + chat actions) --------------------
+
+/**
+ * Create a task from an already-validated payload (see validateTaskPayload)
+ * and record its "created" event. parent_id and external_id must already be
+ * checked. New tasks start open unless the payload sets a status (imports).
+ */
+async function createTaskFromPayload(repo, body, actor) {
+  const title = body.title.trim();
+  const description = body.description ? String(body.description).trim() : null;
+  const area = body.area ? String(body.area).trim() : null;
+  const bucket = isValidBucket(body.bucket) ? body.bucket : "later";
+  const priority = clampPriority(Number(body.priority ?? 3));
+  const dueDate =
+    body.due_date && body.due_date !== ""
+      ? new Date(body.due_date).toISOString()
+      : null;
+
+  const scores = scoreColumns(
+    {
+      description,
+      area,
+      bucket,
+      priority,
+      due_date: dueDate,
+      estimated_minutes: estimateMinutes(body.estimated_minutes),
+    },
+    await scoringFor(repo)
+  );
+
+  const status = isValidStatus(body.status) ? body.status : "open";
+  const row = await repo.createTask({
+    title,
+    description,
+    area,
+    status,
+    bucket,
+    priority,
+    ...scores,
+    due_date: dueDate,
+    recurrence: normalizeRecurrence(body.recurrence),
+    parent_id: body.parent_id ?? null,
+    external_id: body.external_id ? body.external_id.trim() : null,
+    completed_at: status === "done" ? new Date().toISOString() : null,
+    estimated_minutes: estimateMinutes(body.estimated_minutes),
+  });
+  await recordTaskEvent(repo, { type: "created", actor, after: row });
+  return row;
+}
+
+/**
+ * Column updates for an already-validated partial payload.
+ * Returns { updates } or { status, error, allowed? } when the change isn't allowed.
+ */
+function prepareTaskUpdates(current, body) {
+  const updates = {};
+  if (body.title !== undefined) updates.title = body.title.trim();
+  if (body.description !== undefined) {
+    updates.description =
+      body.description && String(body.description).trim()
+        ? String(body.description).trim()
+        : null;
+  }
+  if (body.area !== undefined) {
+    updates.area = body.area && String(body.area).trim() ? String(body.area).trim() : null;
+  }
+  if (body.bucket !== undefined) updates.bucket = body.bucket;
+  if (body.priority !== undefined) updates.priority = clampPriority(Number(body.priority));
+  if (body.due_date !== undefined) {
+    updates.due_date =
+      body.due_date && body.due_date !== "" ? new Date(body.due_date).toISOString() : null;
+  }
+  if (body.status !== undefined) {
+    if (!canTransition(current.status, body.status)) {
+      return {
+        status: 409,
+        error: `Cannot move task from '${current.status}' to '${body.status}'`,
+        allowed: STATUS_TRANSITIONS[current.status] || [],
+      };
+    }
+    updates.status = body.status;
+  }
+  if (body.recurrence !== undefined) {
+    updates.recurrence = normalizeRecurrence(body.recurrence);
+  } else if (updates.due_date !== undefined && current.recurrence?.month_day) {
+    // A moved due date is the series' new day of the month.
+    updates.recurrence = { ...current.recurrence };
+    delete updates.recurrence.month_day;
+  }
+  if (body.estimated_minutes !== undefined) {
+    updates.estimated_minutes = estimateMinutes(body.estimated_minutes);
+  }
+
+  if (!Object.keys(updates).length) {
+    return { status: 400, error: "No editable fields in payload" };
+  }
+  return { updates };
+}
+
+/**
+ * Apply prepared updates: recompute scores, write, record the event and
+ * spawn the next occurrence when a recurring task was just completed.
+ * Stopping the timer (timer_started_at: null, or completing the task) banks
+ * the session as a time entry. Run inside a transaction; returns
+ * { row, nextRow, timeEntry }.
+ */
+async function applyTaskUpdates(repo, current, updates, actor) {
+  let entry = null;
+  const stopsTimer =
+    current.timer_started_at && (updates.timer_started_at === null || updates.status === "done");
+  if (stopsTimer) {
+    const endedAt = new Date();
+    const startedAt = new Date(current.timer_started_at);
+    const seconds = Math.max(Math.round((endedAt - startedAt) / 1000), 0);
+    updates = {
+      ...updates,
+      timer_started_at: null,
+      tracked_seconds: (current.tracked_seconds || 0) + seconds,
+    };
+    entry = {
+      task_id: current.id,
+      started_at: startedAt.toISOString(),
+      ended_at: endedAt.toISOString(),
+      seconds,
+    };
+  }
+
+  // Recompute from the merged task, ignoring the stale stored scores.
+  const fields = {
+    ...updates,
+    ...scoreColumns({ ...current, ...updates }, await scoringFor(repo)),
+  };
+  // Moved to another column without a position: it joins the unplaced tasks there.
+  // Its carry-over count starts again in the new bucket.
+  if (updates.bucket !== undefined && updates.bucket !== current.bucket) {
+    fields.manual_rank = updates.manual_rank ?? null;
+    fields.carry_over_count = 0;
+  }
+  // completed_at follows the status: stamped on done, cleared on reopen.
+  if (updates.status !== undefined && updates.status !== current.status) {
+    fields.completed_at = updates.status === "done" ? new Date().toISOString() : null;
+    if (updates.status === "done") fields.carry_over_count = 0;
+  }
+
+  const row = await repo.updateTask(current.id, fields);
+  const justCompleted = current.status !== "done" && row.status === "done";
+  await recordTaskEvent(repo, {
+    type: justCompleted ? "completed" : "updated",
+    actor,
+    before: current,
+    after: row,
+  });
+  return {
+    row,
+    nextRow: justCompleted ? await createNextOccurrence(repo, row, actor) : null,
+    timeEntry: entry ? await repo.addTimeEntry({ ...entry, actor }) : null,
   };
 }
 
+/**
+ * Optimistic concurrency for task writes. A client that sends
+ * If-Unmodified-Since: <the task's updated_at as it last saw it> gets a 409
+ * carrying the current task instead of overwriting a newer change. Without
+ * the header nothing is checked. Route middleware: sets req.unmodifiedSince
+ * (ms, or null when absent) or responds 400 when the header doesn't parse.
+ * Routes compare it with the task they read inside their write transaction.
+ */
+function unmodifiedSince(req, res, next) {
+  const header = req.get("If-Unmodified-Since");
+  const since = header ? Date.parse(header) : null;
+  if (Number.isNaN(since)) {
+    return res.status(400).json({ error: "If-Unmodified-Since must be a timestamp" });
+  }
+  req.unmodifiedSince = since;
+  next();
+}
+
+function isStale(current, since) {
+  return since !== null && new Date(current.updated_at).getTime() > since;
+}
+
+async function sendTaskConflict(res, repo, current) {
+  res.status(409).json({
+    error: "Task was changed since you loaded it",
+    details: [`It was last updated at ${new Date(current.updated_at).toISOString()}.`],
+    task: await mapTaskWithRelations(repo, current),
+  });
+}
+
+// -------------------- TASK LIST QUERY (filter / sort / paginate) --------------------
+
+const MAX_PAGE_SIZE = 200;
+const FAR_FUTURE_MS = 8.64e15; // max Date value – keeps "no due date" last
+
+function toMs(value, fallback) {
+  if (!value) return fallback;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? fallback : t;
+}
+
+// Each sort maps a mapped task to a tuple compared left to right; id breaks ties.
+const TASK_SORTS = {
+  default: (t) => [
+    t.status === "done" ? 1 : 0,
+    t.bucket,
+    t.priority,
+    toMs(t.due_date, FAR_FUTURE_MS),
+    toMs(t.created_at, 0),
+  ],
+  score: (t) => [-t.score, toMs(t.due_date, FAR_FUTURE_MS)],
+  due: (t) => [toMs(t.due_date, FAR_FUTURE_MS), t.priority],
+  created: (t) => [-toMs(t.created_at, 0)],
+  priority: (t) => [t.priority, -t.score],
+  // Pipeline order: column by column, dragged positions first, the rest by score.
+  manual: (t) => [
+    BUCKETS.indexOf(t.bucket),
+    t.manual_rank ?? Number.MAX_SAFE_INTEGER,
+    -t.score,
+  ],
+};
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Array.isArray(key) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+function splitList(value) {
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse GET /tasks query params into { errors, filters }.
+ * Supported: status, bucket (comma lists), area, due_before, due_after,
+ * q (search title + description), blocked, sort, limit, cursor.
+ */
+function parseTaskListQuery(query) {
+  const errors = [];
+  const filters = { sort: "default", limit: null, cursor: null };
+
+  if (query.status !== undefined) {
+    filters.status = splitList(query.status);
+    if (filters.status.some((s) => !isValidStatus(s))) {
+      errors.push("status must be a comma list of: open, doing, scheduled, done.");
+    }
+  }
+
+  if (query.bucket !== undefined) {
+    filters.bucket = splitList(query.bucket);
+    if (filters.bucket.some((b) => !isValidBucket(b))) {
+      errors.push("bucket must be a comma list of: today, this_week, later.");
+    }
+  }
+
+  if (query.area !== undefined && String(query.area).trim()) {
+    filters.area = String(query.area).trim();
+  }
+
+  for (const key of ["due_before", "due_after"]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const d = new Date(query[key]);
+    if (Number.isNaN(d.getTime())) errors.push(`${key} must be a valid date.`);
+    else filters[key] = d.toISOString();
+  }
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    filters.q = String(query.q).trim();
+  }
+
+  if (query.blocked !== undefined) {
+    if (!["true", "false"].includes(String(query.blocked))) {
+      errors.push("blocked must be true or false.");
+    } else {
+      filters.blocked = String(query.blocked) === "true";
+    }
+  }
+
+  if (query.sort !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(TASK_SORTS, query.sort) || query.sort === "default") {
+      errors.push("sort must be one of: score, due, created, priority, manual.");
+    } else {
+      filters.sort = query.sort;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    filters.cursor = decodeCursor(query.cursor);
+    if (!filters.cursor) errors.push("cursor is invalid.");
+  }
+
+  return { errors, filters };
+}
+
+/**
+ * Sort mapped tasks (scores come from scoring.js via mapTaskRow) and
+ * cut one page after the cursor. Returns { tasks, nextCursor, total }.
+ */
+function paginateTasks(tasks, { sort, limit, cursor }) {
+  const keyOf = (t) => [...TASK_SORTS[sort](t), t.id];
+  const keyed = tasks.map((t) => ({ t, key: keyOf(t) }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key));
+
+  const start = cursor ? keyed.filter((k) => compareKeys(k.key, cursor) > 0) : keyed;
+  const page = limit ? start.slice(0, limit) : start;
+  const nextCursor =
+    limit && start.length > limit ? encodeCursor(page[page.length - 1].key) : null;
+
+  return { tasks: page.map((k) => k.t), nextCursor, total: tasks.length };
+}
+
 // -------------------- ROUTES: HEALTH --------------------
 
 app.get("/health", async (req, res, next) => {
   try {
-    await pool.query("SELECT 1");
+    await storage.ping();
     res.json({
       status: "ok",
       uptime: process.uptime(),
@@ -233,218 +882,2791 @@ app.get("/health", async (req, res, next) => {
   }
 });
 
-// -------------------- ROUTES: TASKS --------------------
+// -------------------- ROUTES: AUTH --------------------
 
-// GET /tasks – list all tasks
-app.get("/tasks", async (req, res, next) => {
-  try {
-    const result = await pool.query(
-      `SELECT *
-       FROM tasks
-       ORDER BY
-         status = 'done',
-         bucket,
-         priority,
-         COALESCE(due_date, '9999-12-31'::timestamptz),
-         created_at`
-    );
-    const tasks = result.rows.map(mapTaskRow);
-    res.json(tasks);
-  } catch (err) {
-    next(err);
+function normalizeEmail(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+function validateProfile(body) {
+  const errors = [];
+  if (body.name !== undefined && (typeof body.name !== "string" || !body.name.trim())) {
+    errors.push("name must be a non-empty string.");
   }
-});
+  if (
+    body.profile !== undefined &&
+    body.profile !== null &&
+    (typeof body.profile !== "string" || body.profile.length > 2000)
+  ) {
+    errors.push("profile must be a string of at most 2000 characters.");
+  }
+  return errors;
+}
 
-// POST /tasks – create a new task
-app.post("/tasks", async (req, res, next) => {
+async function startSession(user) {
+  const { token, token_hash, token_prefix } = generateToken("session");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  await storage.createAuthToken({
+    user_id: user.id,
+    kind: "session",
+    token_hash,
+    token_prefix,
+    expires_at: expiresAt,
+  });
+  return { token, expires_at: expiresAt, user };
+}
+
+// POST /auth/register – { email, password, name, profile? } → session
+app.post("/auth/register", async (req, res, next) => {
   try {
     const body = req.body || {};
-    const errors = validateTaskPayload(body, { partial: false });
+    const email = normalizeEmail(body.email);
+    const errors = validateProfile(body);
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) errors.push("email must be a valid address.");
+    if (typeof body.password !== "string" || body.password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if (typeof body.name !== "string") errors.push("name is required.");
     if (errors.length) {
-      return res.status(400).json({ error: "Invalid task payload", details: errors });
+      return res.status(400).json({ error: "Invalid registration", details: errors });
     }
 
-    const title = body.title.trim();
-    const description = body.description ? String(body.description).trim() : null;
-    const area = body.area ? String(body.area).trim() : null;
-    const bucket = isValidBucket(body.bucket) ? body.bucket : "later";
-    const priority = clampPriority(Number(body.priority ?? 3));
-    const dueDate =
-      body.due_date && body.due_date !== ""
-        ? new Date(body.due_date).toISOString()
-        : null;
+    const isFirstUser = (await storage.countUsers()) === 0;
+    if (!isFirstUser && !ALLOW_SIGNUP) {
+      return res.status(403).json({ error: "Sign-up is closed" });
+    }
+    if (await storage.getUserCredentials(email)) {
+      return res.status(409).json({ error: "An account with that email already exists" });
+    }
 
-    const scoreObj = computeTonyScore({
-      title,
-      description,
-      area,
-      bucket,
-      priority,
-      due_date: dueDate,
+    const passwordHash = await hashPassword(body.password);
+    const user = await storage.transaction(async (tx) => {
+      const created = await tx.createUser({
+        email,
+        name: body.name.trim(),
+        profile: body.profile || null,
+        password_hash: passwordHash,
+      });
+      // Tasks from before accounts existed go to the first account.
+      if (isFirstUser) await tx.adoptOrphanTasks(created.id);
+      return created;
     });
 
-    const result = await pool.query(
-      `INSERT INTO tasks
-        (title, description, area, status, bucket, priority,
-         leverage_score, urgency_score, risk_score, friction_score,
-         due_date, created_at, updated_at)
-       VALUES
-        ($1, $2, $3, 'open', $4, $5,
-         $6, $7, $8, $9,
-         $10, NOW(), NOW())
-       RETURNING *`,
-      [
-        title,
-        description,
-        area,
-        bucket,
-        priority,
-        scoreObj.leverage_score,
-        scoreObj.urgency_score,
-        scoreObj.risk_score,
-        scoreObj.friction_score,
-        dueDate,
-      ]
-    );
-
-    const task = mapTaskRow(result.rows[0]);
-    res.status(201).json(task);
+    res.status(201).json(await startSession(user));
   } catch (err) {
     next(err);
   }
 });
 
-// PATCH /tasks/:id/complete – mark as done
-app.patch("/tasks/:id/complete", async (req, res, next) => {
+// POST /auth/login – { email, password } → session
+app.post("/auth/login", async (req, res, next) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id)) {
-      return res.status(400).json({ error: "Invalid task id" });
+    const body = req.body || {};
+    const row = await storage.getUserCredentials(normalizeEmail(body.email));
+    const ok =
+      row &&
+      typeof body.password === "string" &&
+      (await verifyPassword(body.password, row.password_hash));
+    if (!ok) {
+      return res.status(401).json({ error: "Invalid email or password" });
     }
 
-    const result = await pool.query(
-      `UPDATE tasks
-       SET status = 'done',
-           updated_at = NOW()
-       WHERE id = $1
-       RETURNING *`,
-      [id]
-    );
+    res.json(await startSession(await storage.getUser(row.id)));
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Task not found" });
-    }
+// Everything below needs a bearer token (session or personal API token).
+const authenticate = requireAuth(storage);
+app.use(
+  [
+    "/auth/logout",
+    "/me",
+    "/tokens",
+    "/tasks",
+    "/time",
+    "/scoring",
+    "/import",
+    "/export",
+    "/calendar/feeds",
+    "/reviews",
+    "/stats",
+    "/events",
+    "/webhooks",
+    "/digest",
+    "/chat",
+    "/brain-dump",
+  ],
+  authenticate
+);
+
+// A successful write may have recorded task events: wake the user's change feeds.
+app.use((req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.on("finish", () => {
+      if (req.user && res.statusCode < 400) notifyTaskChanges(req.user.id);
+    });
+  }
+  next();
+});
 
-    const task = mapTaskRow(result.rows[0]);
-    res.json(task);
+// POST /auth/logout – revoke the token used for this request
+app.post("/auth/logout", async (req, res, next) => {
+  try {
+    await storage.deleteAuthToken(req.user.id, req.authToken.id);
+    res.status(204).send();
   } catch (err) {
     next(err);
   }
 });
 
-// DELETE /tasks/:id – delete a task
-app.delete("/tasks/:id", async (req, res, next) => {
+// GET /me – the signed-in user
+app.get("/me", (req, res) => {
+  res.json(req.user);
+});
+
+// PATCH /me – { name?, profile?, password?, current_password? }; a new password
+// signs out the user's other sessions (API tokens stay valid)
+app.patch("/me", async (req, res, next) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id)) {
-      return res.status(400).json({ error: "Invalid task id" });
+    const body = req.body || {};
+    const errors = validateProfile(body);
+    if (body.password !== undefined) {
+      if (typeof body.password !== "string" || body.password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      }
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid profile", details: errors });
     }
 
-    const result = await pool.query(
-      `DELETE FROM tasks
-       WHERE id = $1
-       RETURNING *`,
-      [id]
-    );
+    const updates = {};
+    if (body.name !== undefined) updates.name = body.name.trim();
+    if (body.profile !== undefined) updates.profile = body.profile || null;
+    if (body.password !== undefined) {
+      const row = await storage.getUserCredentials(req.user.email);
+      if (!(await verifyPassword(String(body.current_password || ""), row.password_hash))) {
+        return res.status(401).json({ error: "current_password is incorrect" });
+      }
+      updates.password_hash = await hashPassword(body.password);
+    }
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: "Task not found" });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
     }
 
-    res.status(204).send(); // No content
+    const user = await storage.transaction(async (tx) => {
+      if (updates.password_hash) await tx.deleteOtherSessions(req.user.id, req.authToken.id);
+      return tx.updateUser(req.user.id, updates);
+    });
+    res.json(user);
   } catch (err) {
     next(err);
   }
 });
 
-// -------------------- ROUTES: CHAT --------------------
+// GET /tokens – personal API tokens (prefix only; the secret is shown once at creation)
+app.get("/tokens", async (req, res, next) => {
+  try {
+    res.json(await storage.listAuthTokens(req.user.id, "api"));
+  } catch (err) {
+    next(err);
+  }
+});
 
-app.post("/chat", async (req, res, next) => {
+// POST /tokens – { name } → { token, ... } for scripts and integrations
+app.post("/tokens", async (req, res, next) => {
   try {
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ error: "OPENAI_API_KEY not configured" });
+    const name = req.body && typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
     }
 
-    const prompt = (req.body && req.body.prompt) || "";
-    if (!prompt.trim()) {
-      return res.status(400).json({ error: "prompt is required" });
-    }
+    const { token, token_hash, token_prefix } = generateToken("api");
+    const row = await storage.createAuthToken({
+      user_id: req.user.id,
+      kind: "api",
+      name: name.slice(0, 100),
+      token_hash,
+      token_prefix,
+    });
+    res.status(201).json({ ...row, token });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /tokens/:id – revoke a personal API token
+app.delete("/tokens/:id", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid token id" });
+    }
+
+    const removed = await storage.deleteAuthToken(req.user.id, id);
+    if (!removed) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: TASKS --------------------
+
+// GET /tasks – list tasks with optional filters, search, sort and cursor paging
+app.get("/tasks", async (req, res, next) => {
+  try {
+    const { errors, filters } = parseTaskListQuery(req.query || {});
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query", details: errors });
+    }
+
+    let mapped = await mapTasksWithRelations(req.storage, await req.storage.listTasks(filters));
+    if (filters.blocked !== undefined) {
+      mapped = mapped.filter((t) => t.is_blocked === filters.blocked);
+    }
+    const { tasks, nextCursor, total } = paginateTasks(mapped, filters);
+
+    res.set("X-Total-Count", String(total));
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    res.json(tasks);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /tasks – create a new task
+app.post("/tasks", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const errors = validateTaskPayload(body, { partial: false });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid task payload", details: errors });
+    }
+
+    let parentId = null;
+    if (body.parent_id !== undefined && body.parent_id !== null) {
+      parentId = Number(body.parent_id);
+      if (!Number.isInteger(parentId) || !(await req.storage.getTask(parentId))) {
+        return res.status(400).json({ error: "parent_id must reference an existing task" });
+      }
+    }
+
+    const existing = body.external_id
+      ? await req.storage.getTaskByExternalId(body.external_id.trim())
+      : null;
+    if (existing) {
+      // The task comes back so a client retrying a create can pick it up.
+      return res.status(409).json({
+        error: "A task with this external_id already exists",
+        task: await mapTaskWithRelations(req.storage, existing),
+      });
+    }
+
+    const actor = actorFrom(req);
+    const row = await req.storage.transaction((tx) =>
+      createTaskFromPayload(tx, { ...body, parent_id: parentId }, actor)
+    );
+
+    const task = mapTaskRow(row, await scoringFor(req.storage));
+    res.status(201).json(task);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const MAX_QUICK_ADD_LENGTH = 500;
+
+// POST /tasks/parse – { text, tz? }: Quick Add's inline syntax ("Call CPA
+// tomorrow 3pm !1 #Finance @this_week") as task fields, without saving. The
+// bucket follows the due date unless the text names one; an area matching
+// an existing one (any case) takes its spelling. title_missing flags text
+// that is all inline syntax, which can't be saved as is.
+app.post("/tasks/parse", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const timeZone = body.tz || ROLLOVER_TZ;
+    const errors = [];
+    if (typeof body.text !== "string" || !body.text.trim()) {
+      errors.push("text must be a non-empty string.");
+    } else if (body.text.length > MAX_QUICK_ADD_LENGTH) {
+      errors.push(`text must be at most ${MAX_QUICK_ADD_LENGTH} characters.`);
+    }
+    if (!isValidTimeZone(timeZone)) errors.push(`Unknown time zone '${timeZone}'.`);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid parse request", details: errors });
+    }
+
+    const now = new Date();
+    const parsed = parseQuickAdd(body.text, { now, timeZone });
+    if (!parsed.bucket && parsed.due_date) parsed.bucket = bucketForDueDate(parsed.due_date, now);
+    if (parsed.area) {
+      const wanted = parsed.area.toLowerCase();
+      const known = (await req.storage.listAreas()).find((a) => a.toLowerCase() === wanted);
+      if (known) parsed.area = known;
+    }
+
+    res.json({ ...parsed, time_zone: timeZone });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /tasks/reorder – { bucket, task_ids }: the listed tasks take positions
+// 0, 1, … in that pipeline column, moving over any that sit in another one.
+// Other placed tasks in the column follow in their old order; unplaced ones
+// stay unplaced. Each task whose position changes is an edit (updated_at,
+// history, change feed). All or nothing; responds with the column's placed
+// tasks in their new order.
+app.post("/tasks/reorder", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const ids = body.task_ids;
+    const errors = [];
+    if (!isValidBucket(body.bucket)) {
+      errors.push("bucket must be one of: today, this_week, later.");
+    }
+    if (
+      !Array.isArray(ids) ||
+      !ids.length ||
+      ids.length > MAX_PAGE_SIZE ||
+      !ids.every((id) => Number.isInteger(id) && id > 0)
+    ) {
+      errors.push(`task_ids must be an array of 1-${MAX_PAGE_SIZE} task ids.`);
+    } else if (new Set(ids).size !== ids.length) {
+      errors.push("task_ids must not repeat.");
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid reorder payload", details: errors });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const tasks = [];
+      for (const id of ids) {
+        const task = await tx.getTask(id, { forUpdate: true });
+        if (!task) return { missing: id };
+        tasks.push(task);
+      }
+      const rest = (await tx.listTasks({ bucket: [body.bucket] }))
+        .filter((t) => t.manual_rank !== null && !ids.includes(t.id))
+        .sort((a, b) => a.manual_rank - b.manual_rank || a.id - b.id);
+
+      const rows = [];
+      for (const [rank, task] of [...tasks, ...rest].entries()) {
+        if (task.bucket === body.bucket && task.manual_rank === rank) {
+          rows.push(task);
+          continue;
+        }
+        const updates = { bucket: body.bucket, manual_rank: rank };
+        rows.push((await applyTaskUpdates(tx, task, updates, actor)).row);
+      }
+      return { rows };
+    });
+
+    if (result.missing) {
+      const details = [`Task ${result.missing} doesn't exist.`];
+      return res.status(404).json({ error: "Task not found", details });
+    }
+
+    res.json({
+      bucket: body.bucket,
+      tasks: await mapTasksWithRelations(req.storage, result.rows),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /tasks/:id/complete – mark as done
+app.patch("/tasks/:id/complete", unmodifiedSince, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id, { forUpdate: true });
+      if (!current) return null;
+      if (isStale(current, req.unmodifiedSince)) return { conflict: current };
+      if (current.status === "done") return { row: current, nextRow: null };
+      return applyTaskUpdates(tx, current, { status: "done" }, actor);
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (result.conflict) return sendTaskConflict(res, req.storage, result.conflict);
+
+    const task = await mapTaskWithRelations(req.storage, result.row);
+    res.json({
+      ...task,
+      next_occurrence: result.nextRow
+        ? await mapTaskWithRelations(req.storage, result.nextRow)
+        : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// PATCH /tasks/:id – edit any subset of a task's fields
+app.patch("/tasks/:id", unmodifiedSince, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const body = req.body || {};
+    const errors = validateTaskPayload(body, { partial: true });
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid task payload", details: errors });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id, { forUpdate: true });
+      if (!current) return null;
+      if (isStale(current, req.unmodifiedSince)) return { conflict: current };
+      const prepared = prepareTaskUpdates(current, body);
+      if (prepared.error) return { prepared };
+      return applyTaskUpdates(tx, current, prepared.updates, actor);
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (result.conflict) return sendTaskConflict(res, req.storage, result.conflict);
+    if (result.prepared) {
+      const { status, ...payload } = result.prepared;
+      return res.status(status).json(payload);
+    }
+
+    const task = await mapTaskWithRelations(req.storage, result.row);
+    res.json({
+      ...task,
+      next_occurrence: result.nextRow
+        ? await mapTaskWithRelations(req.storage, result.nextRow)
+        : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /tasks/:id – soft delete (restore with POST /tasks/:id/restore)
+app.delete("/tasks/:id", unmodifiedSince, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id, { forUpdate: true });
+      if (!current) return null;
+      if (isStale(current, req.unmodifiedSince)) return { conflict: current };
+      const deleted = await tx.deleteTask(id);
+      await recordTaskEvent(tx, { type: "deleted", actor, before: current, after: deleted });
+      return { row: deleted };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (result.conflict) return sendTaskConflict(res, req.storage, result.conflict);
+
+    res.status(204).send(); // No content
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /tasks/:id/restore – undo a soft delete
+app.post("/tasks/:id/restore", unmodifiedSince, async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id, { includeDeleted: true, forUpdate: true });
+      if (!current || !current.deleted_at) return null;
+      if (isStale(current, req.unmodifiedSince)) return { conflict: current };
+      const restored = await tx.restoreTask(id);
+      await recordTaskEvent(tx, { type: "restored", actor, before: current, after: restored });
+      return { row: restored };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Deleted task not found" });
+    }
+    if (result.conflict) return sendTaskConflict(res, req.storage, result.conflict);
+
+    res.json(await mapTaskWithRelations(req.storage, result.row));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /tasks/:id/history – every recorded change, oldest first
+app.get("/tasks/:id/history", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const task = await req.storage.getTask(id, { includeDeleted: true });
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    const events = await req.storage.listEvents(id);
+    res.json(events.map(mapEventRow));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /tasks/:id/score/explain – the task's score, component by component
+app.get("/tasks/:id/score/explain", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const task = await req.storage.getTask(id);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    const [decorated] = await withRelations(req.storage, [task]);
+    const stored = await req.storage.getScoringRules();
+    res.json({
+      task_id: id,
+      ...explainScore(scoringInput(decorated), resolveScoring(stored && stored.rules)),
+      customized: Boolean(stored),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: SUBTASKS + BLOCKERS --------------------
+
+function parseIdParam(value) {
+  const id = Number(value);
+  return Number.isInteger(id) ? id : null;
+}
+
+// POST /tasks/:id/blockers – { blocker_id }: :id can't start until blocker_id is done
+app.post("/tasks/:id/blockers", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const blockerId = parseIdParam(req.body && req.body.blocker_id);
+    if (id === null || blockerId === null) {
+      return res.status(400).json({ error: "Invalid task id or blocker_id" });
+    }
+    if (id === blockerId) {
+      return res.status(400).json({ error: "A task cannot block itself" });
+    }
+
+    // Checked and added in one transaction: edges of deleted tasks count, since
+    // restoring the task would bring a cycle through it back.
+    const outcome = await req.storage.transaction(async (tx) => {
+      await tx.lockDependencies();
+      const [task, blocker] = await Promise.all([tx.getTask(id), tx.getTask(blockerId)]);
+      if (!task || !blocker) return { status: 404 };
+
+      const edges = await tx.listDependencies({ includeDeleted: true });
+      if (createsDependencyCycle(edges, blockerId, id)) return { status: 409 };
+
+      if (await tx.addDependency(blockerId, id)) {
+        const before = (await tx.listDependencies())
+          .filter((e) => e.blocked_id === id && e.blocker_id !== blockerId)
+          .map((e) => e.blocker_id);
+        await recordTaskEvent(tx, {
+          type: "updated",
+          actor: actorFrom(req),
+          after: task,
+          changes: { blocked_by: { old: before, new: [...before, blockerId] } },
+        });
+      }
+      return { task };
+    });
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (outcome.status === 409) {
+      return res.status(409).json({
+        error: `Task ${id} already (indirectly) blocks task ${blockerId}; ` +
+          "this would create a cycle",
+      });
+    }
+    res.status(201).json(await mapTaskWithRelations(req.storage, outcome.task));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /tasks/:id/blockers/:blockerId – remove a blocker edge
+app.delete("/tasks/:id/blockers/:blockerId", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const blockerId = parseIdParam(req.params.blockerId);
+    if (id === null || blockerId === null) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    if (!(await req.storage.getTask(id))) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    const edges = await req.storage.listDependencies();
+    const before = edges.filter((e) => e.blocked_id === id).map((e) => e.blocker_id);
+    const removed = await req.storage.transaction(async (tx) => {
+      if (!(await tx.removeDependency(blockerId, id))) return false;
+      await recordTaskEvent(tx, {
+        type: "updated",
+        actor: actorFrom(req),
+        after: await tx.getTask(id),
+        changes: { blocked_by: { old: before, new: before.filter((b) => b !== blockerId) } },
+      });
+      return true;
+    });
+    if (!removed) {
+      return res.status(404).json({ error: "Dependency not found" });
+    }
+
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /tasks/:id/subtasks – { task_id }: make an existing task a subtask of :id
+app.post("/tasks/:id/subtasks", async (req, res, next) => {
+  try {
+    const parentId = parseIdParam(req.params.id);
+    const childId = parseIdParam(req.body && req.body.task_id);
+    if (parentId === null || childId === null) {
+      return res.status(400).json({ error: "Invalid task id or task_id" });
+    }
+
+    const [parent, child] = await Promise.all([
+      req.storage.getTask(parentId),
+      req.storage.getTask(childId),
+    ]);
+    if (!parent || !child) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    if (await createsParentCycle(req.storage, childId, parentId)) {
+      return res.status(409).json({
+        error: `Task ${childId} is task ${parentId} or one of its ancestors; ` +
+          "this would create a cycle",
+      });
+    }
+
+    const row = await req.storage.transaction(async (tx) => {
+      const updated = await tx.updateTask(childId, { parent_id: parentId });
+      await recordTaskEvent(tx, {
+        type: "updated",
+        actor: actorFrom(req),
+        before: child,
+        after: updated,
+      });
+      return updated;
+    });
+    res.status(201).json(await mapTaskWithRelations(req.storage, row));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /tasks/:id/subtasks/:childId – detach a subtask (the task itself stays)
+app.delete("/tasks/:id/subtasks/:childId", async (req, res, next) => {
+  try {
+    const parentId = parseIdParam(req.params.id);
+    const childId = parseIdParam(req.params.childId);
+    if (parentId === null || childId === null) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const child = await req.storage.getTask(childId);
+    if (!child || child.parent_id !== parentId) {
+      return res.status(404).json({ error: "Subtask not found" });
+    }
+
+    await req.storage.transaction(async (tx) => {
+      const updated = await tx.updateTask(childId, { parent_id: null });
+      await recordTaskEvent(tx, {
+        type: "updated",
+        actor: actorFrom(req),
+        before: child,
+        after: updated,
+      });
+    });
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: TIME TRACKING --------------------
+
+// POST /tasks/:id/timer/start – start tracking (stops any other running timer; task → doing)
+app.post("/tasks/:id/timer/start", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id);
+      if (!current) return { status: 404, error: "Task not found" };
+      if (current.status === "done") {
+        return { status: 409, error: "Task is done; reopen it before tracking time" };
+      }
+      if (current.timer_started_at) return { row: current, stopped: null };
+
+      // One timer at a time: starting this one banks the other.
+      const running = await tx.getRunningTimerTask();
+      const stopped = running
+        ? (await applyTaskUpdates(tx, running, { timer_started_at: null }, actor)).row
+        : null;
+
+      const updates = { timer_started_at: new Date().toISOString() };
+      if (current.status !== "doing") updates.status = "doing";
+      const { row } = await applyTaskUpdates(tx, current, updates, actor);
+      return { row, stopped };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({
+      task: await mapTaskWithRelations(req.storage, result.row),
+      stopped: result.stopped ? await mapTaskWithRelations(req.storage, result.stopped) : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /tasks/:id/timer/stop – stop the running timer and record the time entry
+app.post("/tasks/:id/timer/stop", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const actor = actorFrom(req);
+    const result = await req.storage.transaction(async (tx) => {
+      const current = await tx.getTask(id);
+      if (!current) return { status: 404, error: "Task not found" };
+      if (!current.timer_started_at) return { status: 409, error: "No timer is running" };
+      return applyTaskUpdates(tx, current, { timer_started_at: null }, actor);
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({
+      task: await mapTaskWithRelations(req.storage, result.row),
+      entry: result.timeEntry,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /tasks/:id/time – estimate, tracked total and the recorded sessions
+app.get("/tasks/:id/time", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null) {
+      return res.status(400).json({ error: "Invalid task id" });
+    }
+
+    const row = await req.storage.getTask(id, { includeDeleted: true });
+    if (!row) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+
+    const task = mapTaskRow(row);
+    res.json({
+      task_id: task.id,
+      estimated_minutes: task.estimated_minutes,
+      tracked_minutes: task.tracked_minutes,
+      timer_started_at: task.timer_started_at,
+      entries: await req.storage.listTimeEntries(id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Tracked vs estimated minutes; ratio only over tasks that have both.
+function timeTotals(tasks) {
+  const both = tasks.filter((t) => t.estimated_minutes && t.tracked_minutes);
+  const sum = (list, key) => list.reduce((total, t) => total + (t[key] || 0), 0);
+  const estimatedBoth = sum(both, "estimated_minutes");
+  return {
+    tasks: tasks.length,
+    estimated_minutes: sum(tasks, "estimated_minutes"),
+    tracked_minutes: sum(tasks, "tracked_minutes"),
+    tracked_vs_estimate: estimatedBoth
+      ? Math.round((sum(both, "tracked_minutes") / estimatedBoth) * 100) / 100
+      : null,
+  };
+}
+
+/**
+ * GET /time/summary?area=… – actual vs estimated time per task and per area,
+ * over tasks that have an estimate or tracked time.
+ */
+app.get("/time/summary", async (req, res, next) => {
+  try {
+    const area =
+      typeof req.query.area === "string" && req.query.area.trim() ? req.query.area.trim() : null;
+    const rules = await scoringFor(req.storage);
+    const tasks = (await req.storage.listTasks(area ? { area } : {}))
+      .map((row) => mapTaskRow(row, rules))
+      .filter((t) => t.estimated_minutes || t.tracked_minutes || t.timer_started_at);
+
+    const byArea = new Map();
+    for (const t of tasks) {
+      const key = t.area || "No area";
+      byArea.set(key, [...(byArea.get(key) || []), t]);
+    }
+
+    res.json({
+      totals: timeTotals(tasks),
+      areas: [...byArea.entries()]
+        .map(([name, list]) => ({ area: name, ...timeTotals(list) }))
+        .sort((a, b) => b.tracked_minutes - a.tracked_minutes),
+      tasks: tasks
+        .map((t) => ({
+          id: t.id,
+          title: t.title,
+          area: t.area,
+          status: t.status,
+          estimated_minutes: t.estimated_minutes,
+          tracked_minutes: t.tracked_minutes,
+          timer_started_at: t.timer_started_at,
+          over_estimate_minutes:
+            t.estimated_minutes && t.tracked_minutes
+              ? t.tracked_minutes - t.estimated_minutes
+              : null,
+        }))
+        .sort((a, b) => b.tracked_minutes - a.tracked_minutes || a.id - b.id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: SCORING --------------------
+
+// Re-store the rule-derived scores on every task after the rules change.
+async function rescoreTasks(repo, rules) {
+  const rows = await repo.listTasks({});
+  for (const row of rows) {
+    await repo.setTaskScores(row.id, scoreColumns(row, rules));
+  }
+  return rows.length;
+}
+
+// stored: { rules, updated_at } as saved, or null for the defaults.
+function scoringPayload(stored) {
+  return {
+    rules: resolveScoring(stored && stored.rules),
+    custom: stored ? stored.rules : null,
+    customized: Boolean(stored),
+    updated_at: stored ? stored.updated_at : null,
+  };
+}
+
+// GET /scoring – the rules in effect (custom keys merged over the defaults)
+app.get("/scoring", async (req, res, next) => {
+  try {
+    const stored = await req.storage.getScoringRules();
+    res.json({ ...scoringPayload(stored), defaults: DEFAULT_SCORING });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PUT /scoring – replace the custom rules; keys left out use the defaults.
+ * { weights, urgency: { overdue, due_within, due_later, buckets },
+ *   friction: { default, rules: [{ keywords, score }], effort_within: [{ minutes, score }],
+ *               effort_over }, area_multipliers, max_unblock }
+ * Every task is re-scored with the new rules.
+ */
+app.put("/scoring", async (req, res, next) => {
+  try {
+    const errors = validateScoring(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid scoring rules", details: errors });
+    }
+
+    const rules = resolveScoring(req.body);
+    const result = await req.storage.transaction(async (tx) => {
+      const stored = await tx.saveScoringRules(req.body);
+      return { stored, rescored: await rescoreTasks(tx, rules) };
+    });
+
+    res.json({ ...scoringPayload(result.stored), rescored: result.rescored });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /scoring – back to the default rules (tasks are re-scored)
+app.delete("/scoring", async (req, res, next) => {
+  try {
+    const rescored = await req.storage.transaction(async (tx) => {
+      await tx.deleteScoringRules();
+      return rescoreTasks(tx, resolveScoring(null));
+    });
+
+    res.json({ ...scoringPayload(null), rescored });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: IMPORT / EXPORT --------------------
+
+const IMPORT_MODES = ["create", "upsert"];
+const MAX_IMPORT_ROWS = 2000;
+
+// GET /export?format=csv|json|md – every task (done included) as a file download
+app.get("/export", async (req, res, next) => {
+  try {
+    const format = req.query.format || "json";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "format must be one of: csv, json, md" });
+    }
+
+    const rows = await req.storage.listTasks({});
+    const tasks = await mapTasksWithRelations(req.storage, rows.sort((a, b) => a.id - b.id));
+    const file = exportTasks(tasks, format);
+    const day = new Date().toISOString().slice(0, 10);
+
+    res.set("Content-Type", file.contentType);
+    res.set("Content-Disposition", `attachment; filename="tonyos-tasks-${day}.${file.extension}"`);
+    res.send(file.body);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * The task an import external_id refers to: the task stored with it, else for
+ * an exported "tonyos:<id>:<created>" the task with that id and creation time,
+ * if it has no external_id. Any other value is an ordinary external_id.
+ */
+async function findImportTarget(repo, externalId) {
+  const existing = await repo.getTaskByExternalId(externalId);
+  const exported = existing ? null : parseExportId(externalId);
+  if (!exported) return existing;
+  const task = await repo.getTask(exported.id, { includeDeleted: true });
+  const sameTask =
+    task && !task.external_id && new Date(task.created_at).getTime() === exported.createdMs;
+  return sameTask ? task : null;
+}
+
+/**
+ * Plan one import row: { action: "create", payload }, { action: "update",
+ * current, updates }, { action: "unchanged", current } or { errors }.
+ * In upsert mode a row whose external_id exists updates that task; in create
+ * mode an existing external_id is an error.
+ */
+async function planImportRow(repo, payload, mode) {
+  const errors = validateTaskPayload(payload, { partial: true });
+  const existing =
+    payload.external_id && !errors.length
+      ? await findImportTarget(repo, payload.external_id.trim())
+      : null;
+
+  if (!existing) {
+    const createErrors = validateTaskPayload(payload, { partial: false });
+    return createErrors.length ? { errors: createErrors } : { action: "create", payload };
+  }
+  if (errors.length) return { errors };
+  if (mode === "create") {
+    return { errors: [`external_id '${payload.external_id}' already exists (use mode upsert).`] };
+  }
+  if (existing.deleted_at) {
+    return { errors: [`external_id '${payload.external_id}' belongs to a deleted task.`] };
+  }
+
+  const { external_id, ...fields } = payload;
+  const prepared = prepareTaskUpdates(existing, fields);
+  if (prepared.status === 409) return { errors: [prepared.error] };
+  const changed =
+    !prepared.error && Object.keys(diffTask(existing, { ...existing, ...prepared.updates })).length;
+  if (!changed) return { action: "unchanged", current: existing };
+  return { action: "update", current: existing, updates: prepared.updates };
+}
+
+/**
+ * Plan every { row, payload } (invalid rows are reported by row number), then
+ * save the valid ones in one transaction unless dryRun. Returns the report
+ * { dry_run, total, created, updated, unchanged, errors }; created ids are
+ * null in a dry run.
+ */
+async function runImport(req, rows, { mode, dryRun }) {
+  const plan = [];
+  const errors = [];
+  const seen = new Set();
+  for (const { row, payload } of rows) {
+    const externalId = payload.external_id && payload.external_id.trim();
+    if (externalId && seen.has(externalId)) {
+      errors.push({ row, errors: [`external_id '${externalId}' appears more than once.`] });
+      continue;
+    }
+    if (externalId) seen.add(externalId);
+
+    const step = await planImportRow(req.storage, payload, mode);
+    if (step.errors) errors.push({ row, errors: step.errors });
+    else plan.push({ row, ...step });
+  }
+
+  const createdIds = new Map();
+  if (!dryRun) {
+    const actor = `${req.user.email} (import)`;
+    await req.storage.transaction(async (tx) => {
+      for (const step of plan) {
+        if (step.action === "create") {
+          const row = await createTaskFromPayload(tx, step.payload, actor);
+          createdIds.set(step.row, row.id);
+        } else if (step.action === "update") {
+          await applyTaskUpdates(tx, step.current, step.updates, actor);
+        }
+      }
+    });
+  }
+
+  const report = (action, idOf) =>
+    plan
+      .filter((step) => step.action === action)
+      .map((step) => ({ row: step.row, id: idOf(step) }));
+  return {
+    dry_run: dryRun,
+    total: rows.length,
+    created: report("create", (step) => createdIds.get(step.row) ?? null),
+    updated: report("update", (step) => step.current.id),
+    unchanged: report("unchanged", (step) => step.current.id),
+    errors,
+  };
+}
+
+/**
+ * POST /import – { format: csv|json|md, data, mapping?, mode?: create|upsert, dry_run? }
+ * data is the file contents (JSON may also be the parsed array). mapping
+ * renames columns ({ "Wedding": "title", "Date": "due_date", "Notes": null });
+ * columns named like task fields map themselves. Each row is validated on its
+ * own: valid rows are saved in one transaction, invalid ones are reported
+ * under errors with their 1-based row number. dry_run reports without saving.
+ */
+app.post("/import", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const format = body.format || "json";
+    const mode = body.mode || "create";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "format must be one of: csv, json, md" });
+    }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: "mode must be one of: create, upsert" });
+    }
+    const mappingErrors = validateMapping(body.mapping);
+    if (mappingErrors.length) {
+      return res.status(400).json({ error: "Invalid mapping", details: mappingErrors });
+    }
+    if (body.data === undefined || (format !== "json" && typeof body.data !== "string")) {
+      return res.status(400).json({ error: "data must be the file contents" });
+    }
+
+    let records;
+    try {
+      records = parseImport(format, body.data);
+    } catch (err) {
+      return res.status(400).json({ error: "Could not read import data", details: [err.message] });
+    }
+    if (!records.length) {
+      return res.status(400).json({ error: "No rows to import" });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Too many rows (max ${MAX_IMPORT_ROWS})` });
+    }
+
+    const rows = records.map((record, i) => ({
+      row: i + 1,
+      payload: mapRecord(record, body.mapping || {}),
+    }));
+    res.json(await runImport(req, rows, { mode, dryRun: body.dry_run === true }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+const ICS_STATUSES = { "IN-PROCESS": "doing", COMPLETED: "done" };
+
+/**
+ * Task payload for one calendar entry, or { skip: reason }. A recurring
+ * event that started in the past moves to its next occurrence.
+ */
+function calendarEntryPayload(entry, { area, includePast, now = new Date() }) {
+  if (entry.status === "CANCELLED") return { skip: "cancelled" };
+
+  let due = entry.start ? new Date(entry.start.date) : null;
+  let recurrence = entry.rrule || undefined;
+  if (due && due <= now && recurrence && !validateRecurrence(recurrence).length && !includePast) {
+    const zone = { timeZone: ROLLOVER_TZ };
+    const rule = anchorRecurrence(normalizeRecurrence(recurrence), due, zone);
+    let occurrence = 1;
+    while (due && due <= now) {
+      due = nextOccurrence(rule, due, occurrence, zone);
+      occurrence += 1;
+    }
+    if (rule.count) rule.count -= occurrence - 1;
+    recurrence = rule;
+  }
+  if (!due && entry.start) return { skip: "series ended" };
+  if (due && due < now && !includePast) return { skip: "in the past" };
+
+  return {
+    payload: {
+      external_id: entry.uid ? `ics:${entry.uid}` : undefined,
+      title: entry.summary || "",
+      description: entry.description || undefined,
+      area: area || entry.categories[0] || undefined,
+      bucket: due ? bucketForDueDate(due, now) : "later",
+      status: ICS_STATUSES[entry.status],
+      due_date: due ? due.toISOString() : undefined,
+      recurrence,
+    },
+  };
+}
+
+/**
+ * POST /import/ics – { data, area?, include_past?, dry_run? }
+ * Events (and to-dos) from an .ics file become tasks, keyed by UID so
+ * importing the same calendar again updates them. Cancelled entries and
+ * ones already over are skipped unless include_past is set.
+ */
+app.post("/import/ics", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (typeof body.data !== "string" || !body.data.trim()) {
+      return res.status(400).json({ error: "data must be the .ics file contents" });
+    }
+    const area = typeof body.area === "string" && body.area.trim() ? body.area.trim() : null;
+
+    let entries;
+    try {
+      entries = parseCalendar(body.data);
+    } catch (err) {
+      return res.status(400).json({ error: "Could not read calendar", details: [err.message] });
+    }
+    if (entries.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Too many entries (max ${MAX_IMPORT_ROWS})` });
+    }
+
+    const rows = [];
+    const skipped = [];
+    const includePast = body.include_past === true;
+    entries.forEach((entry, i) => {
+      const row = i + 1;
+      const mapped = calendarEntryPayload(entry, { area, includePast });
+      if (mapped.skip) skipped.push({ row, title: entry.summary || null, reason: mapped.skip });
+      else rows.push({ row, payload: mapped.payload });
+    });
+
+    const report = await runImport(req, rows, { mode: "upsert", dryRun: body.dry_run === true });
+    res.json({ ...report, total: entries.length, skipped });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: CALENDAR FEED --------------------
+
+function feedUrl(req, token) {
+  const base = PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base}/calendar.ics?token=${encodeURIComponent(token)}`;
+}
+
+// GET /calendar/feeds – feed tokens (prefix only; the URL is shown once at creation)
+app.get("/calendar/feeds", async (req, res, next) => {
+  try {
+    res.json(await storage.listCalendarFeeds(req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /calendar/feeds – { name? } → { ..., token, url } to paste into a calendar app
+app.post("/calendar/feeds", async (req, res, next) => {
+  try {
+    const name =
+      req.body && typeof req.body.name === "string" && req.body.name.trim()
+        ? req.body.name.trim().slice(0, 100)
+        : "Calendar";
+
+    const { token, token_hash, token_prefix } = generateToken("calendar");
+    const feed = await storage.createCalendarFeed({
+      user_id: req.user.id,
+      name,
+      token_hash,
+      token_prefix,
+    });
+    res.status(201).json({ ...feed, token, url: feedUrl(req, token) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /calendar/feeds/:id – revoke a feed URL
+app.delete("/calendar/feeds/:id", async (req, res, next) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid feed id" });
+    }
+
+    const removed = await storage.deleteCalendarFeed(req.user.id, id);
+    if (!removed) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Calendar apps can't send headers: a feed token in ?token=, else a normal bearer token.
+async function calendarAuth(req, res, next) {
+  try {
+    const token = typeof req.query.token === "string" ? req.query.token : null;
+    if (!token) return authenticate(req, res, next);
+
+    const found = await storage.findCalendarFeed(hashToken(token));
+    if (!found) {
+      return res.status(401).json({ error: "Invalid calendar feed token" });
+    }
+    await storage.touchCalendarFeed(found.feed.id);
+    req.user = found.user;
+    req.storage = storage.forOwner(found.user.id);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /calendar.ics?token=…&area=…&type=event|todo|both
+ * Open tasks with a due date as an iCalendar feed: VEVENTs for calendar apps,
+ * VTODOs for task apps (both by default), optionally for one area.
+ */
+app.get("/calendar.ics", calendarAuth, async (req, res, next) => {
+  try {
+    const type = req.query.type || "both";
+    if (!FEED_TYPES.includes(type)) {
+      return res.status(400).json({ error: "type must be one of: event, todo, both" });
+    }
+    const area =
+      typeof req.query.area === "string" && req.query.area.trim() ? req.query.area.trim() : null;
+
+    const rows = await req.storage.listTasks({
+      status: ["open", "doing", "scheduled"],
+      ...(area ? { area } : {}),
+    });
+    const dated = rows
+      .filter((row) => row.due_date)
+      .sort((a, b) => toMs(a.due_date, 0) - toMs(b.due_date, 0));
+    const tasks = await mapTasksWithRelations(req.storage, dated);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="tonyos.ics"');
+    res.send(buildCalendar(tasks, { name: area ? `TonyOS – ${area}` : "TonyOS tasks", type }));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: REVIEWS (bucket rollover) --------------------
+
+const BUCKET_RANK = { later: 0, this_week: 1, today: 2 };
+const REVIEW_LIMIT = 50; // tasks listed per section of a review summary
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function reviewItem(row, extra = {}) {
+  return {
+    id: row.id,
+    title: row.title,
+    bucket: row.bucket,
+    status: row.status,
+    due_date: row.due_date,
+    ...extra,
+  };
+}
+
+/**
+ * Roll buckets forward and write a review record for the repo's owner:
+ *   - dated tasks move up (later → this_week → today) once their due date is near;
+ *     a bucket is never lowered, so a manual "today" sticks
+ *   - unfinished today items carry over into the new day: their carry_over_count
+ *     goes up (an "updated" event) so the dashboard can flag stale ones, and
+ *     they are listed. Weekly reviews carry this_week items into the new week
+ *     the same way.
+ *   - overdue tasks are listed (and pulled into today)
+ * Only due dates move tasks between buckets; undated tasks stay where the user
+ * put them and are carried over instead of promoted.
+ * Weekly reviews add created/completed counts for the last 7 days.
+ */
+async function runReview(repo, { kind = "daily", trigger = "manual", now = new Date() } = {}) {
+  return repo.transaction(async (tx) => {
+    const rows = await tx.listTasks({ status: ["open", "doing", "scheduled"] });
+    const promoted = [];
+    const carriedOver = [];
+    const overdue = [];
+
+    for (const row of rows) {
+      let current = row;
+      if (row.due_date) {
+        const target = bucketForDueDate(row.due_date, now);
+        if (BUCKET_RANK[target] > (BUCKET_RANK[row.bucket] ?? 0)) {
+          ({ row: current } = await applyTaskUpdates(tx, row, { bucket: target }, "scheduler"));
+          promoted.push(reviewItem(current, { from: row.bucket }));
+        }
+        if (toMs(row.due_date, Infinity) < now.getTime()) overdue.push(reviewItem(current));
+      }
+      const carries = row.bucket === "today" || (kind === "weekly" && row.bucket === "this_week");
+      if (current === row && carries) {
+        const updates = { carry_over_count: (row.carry_over_count || 0) + 1 };
+        ({ row: current } = await applyTaskUpdates(tx, row, updates, "scheduler"));
+        carriedOver.push(reviewItem(current, { times: current.carry_over_count }));
+      }
+    }
+
+    const byDue = (a, b) => toMs(a.due_date, Infinity) - toMs(b.due_date, Infinity);
+    const summary = {
+      trigger,
+      counts: {
+        promoted: promoted.length,
+        carried_over: carriedOver.length,
+        overdue: overdue.length,
+        open: rows.length,
+      },
+      promoted: promoted.sort(byDue).slice(0, REVIEW_LIMIT),
+      carried_over: carriedOver.sort(byDue).slice(0, REVIEW_LIMIT),
+      overdue: overdue.sort(byDue).slice(0, REVIEW_LIMIT),
+    };
+    if (kind === "weekly") {
+      const since = new Date(now.getTime() - WEEK_MS).toISOString();
+      const events = await tx.countEventsSince(since);
+      summary.week = {
+        since,
+        created: events.created || 0,
+        completed: events.completed || 0,
+        deleted: events.deleted || 0,
+      };
+    }
+
+    return tx.createReview({ kind, summary, created_at: now.toISOString() });
+  });
+}
+
+// Weekly on REVIEW_WEEKDAY (in ROLLOVER_TZ), daily otherwise.
+function reviewKindAt(date) {
+  return WEEKDAYS[zonedParts(date, ROLLOVER_TZ).weekday] === REVIEW_WEEKDAY ? "weekly" : "daily";
+}
+
+/**
+ * The scheduled run for every account. Users already reviewed since slot
+ * are skipped, which makes the startup catch-up safe to repeat.
+ */
+async function runScheduledReviews(slot) {
+  const kind = reviewKindAt(slot);
+  let ran = 0;
+  for (const userId of await storage.listUserIds()) {
+    const repo = storage.forOwner(userId);
+    try {
+      const latest = await repo.getLatestReview();
+      if (latest && toMs(latest.created_at, 0) >= slot.getTime()) continue;
+      await runReview(repo, { kind, trigger: "scheduled" });
+      notifyTaskChanges(userId);
+      ran += 1;
+    } catch (err) {
+      console.error(`❌ Review for user ${userId} failed`, err);
+    }
+  }
+  return ran;
+}
+
+function mapReviewRow(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    created_at: row.created_at,
+    ...(row.summary || {}),
+  };
+}
+
+// GET /reviews/latest?kind=daily|weekly – the newest review record, plus the schedule
+app.get("/reviews/latest", async (req, res, next) => {
+  try {
+    const kind = req.query.kind;
+    if (kind !== undefined && !REVIEW_KINDS.includes(kind)) {
+      return res.status(400).json({ error: "kind must be one of: daily, weekly" });
+    }
+
+    const row = await req.storage.getLatestReview(kind || null);
+    const nextRun = reviewScheduler && reviewScheduler.nextRun();
+    res.json({
+      review: row ? mapReviewRow(row) : null,
+      schedule: {
+        enabled: Boolean(reviewScheduler),
+        time: ROLLOVER_TIME,
+        time_zone: ROLLOVER_TZ,
+        weekly_on: REVIEW_WEEKDAY,
+        next_run: nextRun ? nextRun.toISOString() : null,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /reviews/run – { kind? } roll buckets over and write a review now
+app.post("/reviews/run", async (req, res, next) => {
+  try {
+    const now = new Date();
+    const kind = (req.body && req.body.kind) || reviewKindAt(now);
+    if (!REVIEW_KINDS.includes(kind)) {
+      return res.status(400).json({ error: "kind must be one of: daily, weekly" });
+    }
+
+    const row = await runReview(req.storage, { kind, trigger: "manual", now });
+    res.status(201).json(mapReviewRow(row));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: STATS --------------------
+
+const MAX_STATS_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-10-01" is local midnight in timeZone; anything else goes through Date.
+function parseStatsDate(value, timeZone) {
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return zonedTimeToUtc({ year: +m[1], month: +m[2], day: +m[3] }, timeZone);
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * ?from&to (dates are inclusive local days) or ?days=N back from now (default 30),
+ * ?group=day|week (default: day up to 62 days, else week), ?tz (default ROLLOVER_TZ).
+ * Returns { errors, range: { from, to, group, timeZone } }.
+ */
+function parseStatsQuery(query, now = new Date()) {
+  const errors = [];
+  const timeZone = query.tz || ROLLOVER_TZ;
+  if (!isValidTimeZone(timeZone)) {
+    return { errors: [`Unknown time zone '${timeZone}'.`] };
+  }
+
+  let to = now;
+  if (query.to !== undefined) {
+    to = parseStatsDate(query.to, timeZone);
+    if (!to) errors.push("to must be a valid date.");
+    // A date-only "to" includes that whole day.
+    else if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+      const [year, month, day] = query.to.split("-").map(Number);
+      to = zonedTimeToUtc({ year, month, day: day + 1 }, timeZone);
+    }
+  }
+
+  let from = null;
+  if (query.from !== undefined) {
+    from = parseStatsDate(query.from, timeZone);
+    if (!from) errors.push("from must be a valid date.");
+  } else {
+    const days = query.days === undefined ? 30 : Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+      errors.push(`days must be an integer between 1 and ${MAX_STATS_DAYS}.`);
+    } else if (to) {
+      from = new Date(to.getTime() - days * DAY_MS);
+    }
+  }
+
+  if (from && to) {
+    if (from >= to) errors.push("from must be before to.");
+    else if (to - from > MAX_STATS_DAYS * DAY_MS) {
+      errors.push(`The range can span at most ${MAX_STATS_DAYS} days.`);
+    }
+  }
+
+  const group = query.group || (from && to && to - from <= 62 * DAY_MS ? "day" : "week");
+  if (!STAT_GROUPS.includes(group)) errors.push("group must be one of: day, week.");
+
+  return { errors, range: { from, to, group, timeZone } };
+}
+
+// GET /stats – completions, burndown, cycle time, overdue rate per area, score distribution
+app.get("/stats", async (req, res, next) => {
+  try {
+    const now = new Date();
+    const { errors, range } = parseStatsQuery(req.query || {}, now);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query", details: errors });
+    }
+
+    const tasks = await mapTasksWithRelations(req.storage, await req.storage.listTasks({}));
+    res.json({
+      range: {
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        group: range.group,
+        tz: range.timeZone,
+      },
+      ...computeStats(tasks, { ...range, now }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: CHANGE FEED (SSE) --------------------
+//
+// Every task write already lands in task_events, so the feed is that table:
+// event ids are task_events ids and resuming is "events after Last-Event-ID".
+// Writes in this process wake the owner's open feeds right away; a slow poll
+// catches writes from elsewhere (the scheduler, migrations, other instances).
+
+const FEED_BATCH = 200;
+const FEED_MAX_BACKLOG = 1000; // further behind than this → "reset" (reload everything)
+const FEED_POLL_MS = 5000;
+const FEED_PING_MS = 25 * 1000;
+
+const taskChanges = new EventEmitter();
+taskChanges.setMaxListeners(0); // one listener per open feed
+
+function notifyTaskChanges(userId) {
+  taskChanges.emit("change", userId);
+}
+
+/**
+ * Feed payloads for a batch of events. task is the task as it is now (null
+ * once deleted), so a client resuming after a gap converges on current state.
+ */
+async function feedPayloads(repo, events) {
+  const ids = [...new Set(events.map((e) => e.task_id))];
+  const rows = (await Promise.all(ids.map((id) => repo.getTask(id)))).filter(Boolean);
+  const tasks = new Map((await mapTasksWithRelations(repo, rows)).map((t) => [t.id, t]));
+  return events.map((e) => ({
+    ...mapEventRow(e),
+    task: tasks.get(e.task_id) || null,
+  }));
+}
+
+/**
+ * GET /events – server-sent task changes for the signed-in user.
+ *   event: ready  { last_event_id }  once per connection
+ *   event: task   { id, task_id, type, actor, changes, created_at, task }  with "id:" set
+ *   event: reset  { last_event_id }  when the client is too far behind to replay
+ * Resume with the Last-Event-ID header (or ?last_event_id); without one the
+ * feed starts at the newest event.
+ */
+app.get("/events", async (req, res, next) => {
+  try {
+    const repo = req.storage;
+    const requested = req.get("Last-Event-ID") ?? req.query.last_event_id;
+    const latest = await repo.getLastEventId();
+    let lastId = /^\d+$/.test(String(requested ?? "")) ? Number(requested) : latest;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    const backlog = await repo.listEventsAfter(lastId, FEED_MAX_BACKLOG + 1);
+    if (backlog.length > FEED_MAX_BACKLOG) {
+      lastId = latest;
+      sendEvent(res, "reset", { last_event_id: lastId });
+    }
+    sendEvent(res, "ready", { last_event_id: lastId });
+
+    let closed = false;
+    let running = false;
+    let pending = false;
+    // Serialized: a wake-up during a flush just runs one more round after it.
+    async function flush() {
+      if (running) {
+        pending = true;
+        return;
+      }
+      running = true;
+      try {
+        do {
+          pending = false;
+          const events = await repo.listEventsAfter(lastId, FEED_BATCH);
+          if (closed || !events.length) break;
+          for (const payload of await feedPayloads(repo, events)) {
+            res.write(`id: ${payload.id}\n`);
+            sendEvent(res, "task", payload);
+            lastId = payload.id;
+          }
+          if (events.length === FEED_BATCH) pending = true;
+        } while (pending && !closed);
+      } catch (err) {
+        console.error("❌ Change feed failed", err);
+      } finally {
+        running = false;
+      }
+    }
+
+    const onChange = (userId) => {
+      if (userId === req.user.id) flush();
+    };
+    taskChanges.on("change", onChange);
+    const poll = setInterval(flush, FEED_POLL_MS);
+    const ping = setInterval(() => res.write(": ping\n\n"), FEED_PING_MS);
+    res.on("close", () => {
+      closed = true;
+      taskChanges.off("change", onChange);
+      clearInterval(poll);
+      clearInterval(ping);
+    });
+
+    flush();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: WEBHOOKS --------------------
+//
+// Webhooks read task_events like the change feed: each subscription keeps a
+// cursor (last_event_id) and matching events after it become deliveries, so
+// every write that records an event – and returns a mapTaskRow result – fires
+// one. "Overdue" isn't a write, so the worker records an overdue event when a
+// task's due date passes. Failed deliveries are retried with exponential
+// backoff (webhooks.js); every attempt is kept in the delivery log.
+
+const WEBHOOK_BATCH = 100;
+const WEBHOOK_TICK_MS = 30 * 1000;
+const MAX_DELIVERY_LOG = 200;
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+// Public shape of a subscription; the secret is only shown at creation.
+function mapWebhookRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    active: !row.disabled_at,
+    secret_prefix: row.secret.slice(0, 10),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function mapDeliveryRow(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event: row.event,
+    event_id: row.event_id,
+    status: row.status,
+    attempts: row.attempts,
+    response_status: row.response_status,
+    error: row.error,
+    next_attempt_at: row.next_attempt_at,
+    delivered_at: row.delivered_at,
+    created_at: row.created_at,
+    payload: row.payload,
+  };
+}
+
+// The body receivers get. task is the event's snapshot, so it shows the task as it was then.
+function webhookPayload(event, rules) {
+  return {
+    event: `task.${event.type}`,
+    event_id: event.id,
+    occurred_at: event.created_at,
+    actor: event.actor,
+    changes: event.changes || {},
+    task: event.snapshot ? mapTaskRow(event.snapshot, rules) : null,
+  };
+}
+
+// Open tasks whose due date has passed get one "overdue" event each.
+async function recordOverdueEvents(now = new Date()) {
+  const rows = await storage.listNewlyOverdueTasks(now.toISOString());
+  const owners = new Set();
+  for (const row of rows) {
+    await recordTaskEvent(storage, {
+      type: "overdue",
+      actor: "scheduler",
+      after: row,
+      changes: {},
+    });
+    if (row.owner_id !== null) owners.add(row.owner_id);
+  }
+  for (const userId of owners) notifyTaskChanges(userId);
+  return rows.length;
+}
+
+// Turns events after each subscription's cursor into deliveries (all users when userId is null).
+async function queueWebhookDeliveries(userId = null) {
+  const hooks = await (userId === null ? storage : storage.forOwner(userId)).listActiveWebhooks();
+  for (const hook of hooks) {
+    const repo = storage.forOwner(hook.user_id);
+    const rules = await scoringFor(repo);
+    let events;
+    do {
+      events = await repo.listEventsAfter(hook.last_event_id, WEBHOOK_BATCH);
+      if (!events.length) break;
+      await repo.transaction(async (tx) => {
+        for (const event of events) {
+          const payload = webhookPayload(event, rules);
+          if (!hook.events.includes(payload.event)) continue;
+          await tx.createDelivery({
+            webhook_id: hook.id,
+            event: payload.event,
+            event_id: event.id,
+            payload,
+          });
+        }
+        hook.last_event_id = events[events.length - 1].id;
+        await tx.advanceWebhookCursor(hook.id, hook.last_event_id);
+      });
+    } while (events.length === WEBHOOK_BATCH);
+  }
+}
+
+// One attempt: logs it and either marks the delivery done or schedules the next try.
+async function attemptDelivery(delivery) {
+  const result = await sendWebhook({
+    url: delivery.url,
+    secret: delivery.secret,
+    event: delivery.event,
+    deliveryId: delivery.id,
+    body: JSON.stringify(delivery.payload),
+  });
+  const attempt = await storage.addDeliveryAttempt({
+    delivery_id: delivery.id,
+    response_status: result.response_status,
+    error: result.error,
+    duration_ms: result.duration_ms,
+  });
+
+  const attempts = delivery.attempts + 1;
+  const delay = result.ok ? null : retryDelay(attempts);
+  const retrying = delay !== null;
+  const row = await storage.updateDelivery(delivery.id, {
+    status: result.ok ? "delivered" : retrying ? "pending" : "failed",
+    attempts,
+    response_status: result.response_status,
+    error: result.error,
+    next_attempt_at: retrying ? new Date(Date.now() + delay).toISOString() : null,
+    delivered_at: result.ok ? new Date().toISOString() : null,
+  });
+  return { delivery: row, attempt };
+}
+
+// Sends everything due, oldest first. One at a time: receivers see events in order.
+async function deliverDueWebhooks() {
+  let due;
+  do {
+    due = await storage.listDueDeliveries(new Date().toISOString(), WEBHOOK_BATCH);
+    for (const delivery of due) await attemptDelivery(delivery);
+  } while (due.length === WEBHOOK_BATCH);
+}
+
+// Webhook work runs one job at a time so two wake-ups never queue or send the same event twice.
+let webhookWork = Promise.resolve();
+function runWebhookWork(job) {
+  const run = webhookWork.then(job);
+  webhookWork = run.catch((err) => console.error("❌ Webhook delivery failed", err));
+  return run;
+}
+
+// Owners waiting for the queued tick (null: everyone, from the timer). Wake-ups
+// while one is queued join it; once it starts, the next wake-up queues another.
+const pendingWebhookOwners = new Set();
+function webhookTick(userId = null) {
+  const queued = pendingWebhookOwners.size > 0;
+  pendingWebhookOwners.add(userId);
+  if (queued) return;
+  runWebhookWork(async () => {
+    const owners = [...pendingWebhookOwners];
+    pendingWebhookOwners.clear();
+    const everyone = owners.includes(null);
+    if (everyone) await recordOverdueEvents();
+    for (const owner of everyone ? [null] : owners) await queueWebhookDeliveries(owner);
+    await deliverDueWebhooks();
+  });
+}
+
+// Writes in this process are sent right away; the timer covers retries and overdue tasks.
+taskChanges.on("change", (userId) => webhookTick(userId));
+
+function startWebhookWorker() {
+  const timer = setInterval(() => webhookTick(), WEBHOOK_TICK_MS);
+  timer.unref();
+  webhookTick();
+  return timer;
+}
+
+// The :id webhook, or null after sending the 400/404.
+async function findWebhook(req, res) {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    res.status(400).json({ error: "Invalid webhook id" });
+    return null;
+  }
+  const hook = await req.storage.getWebhook(id);
+  if (!hook) res.status(404).json({ error: "Webhook not found" });
+  return hook;
+}
+
+async function findDelivery(req, res, hook) {
+  const id = parseIdParam(req.params.deliveryId);
+  if (id === null) {
+    res.status(400).json({ error: "Invalid delivery id" });
+    return null;
+  }
+  const delivery = await req.storage.getDelivery(hook.id, id);
+  if (!delivery) res.status(404).json({ error: "Delivery not found" });
+  return delivery;
+}
+
+// GET /webhooks – subscriptions (secret prefix only)
+app.get("/webhooks", async (req, res, next) => {
+  try {
+    res.json((await req.storage.listWebhooks()).map(mapWebhookRow));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /webhooks – { url, events?, secret? } → the subscription plus its
+ * secret, shown this once. events defaults to all of WEBHOOK_EVENTS; without
+ * a secret one is generated. Only events from now on are delivered.
+ */
+app.post("/webhooks", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const errors = validateWebhookPayload(body);
+    if (!errors.length) {
+      const refused = await checkWebhookTarget(body.url);
+      if (refused) errors.push(refused);
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid webhook", details: errors });
+    }
+
+    const secret = body.secret || generateSecret();
+    const row = await req.storage.createWebhook({
+      url: body.url,
+      events: body.events || WEBHOOK_EVENTS,
+      secret,
+      last_event_id: await req.storage.getLastEventId(),
+    });
+    res.status(201).json({ ...mapWebhookRow(row), secret });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.get("/webhooks/:id", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (hook) res.json(mapWebhookRow(hook));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /webhooks/:id – { url?, events?, secret?, active? }. Events recorded
+ * while a webhook was inactive are skipped when it's turned back on.
+ */
+app.patch("/webhooks/:id", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (!hook) return;
+    const body = req.body || {};
+    const errors = validateWebhookPayload(body, { partial: true });
+    if (!errors.length && body.url !== undefined) {
+      const refused = await checkWebhookTarget(body.url);
+      if (refused) errors.push(refused);
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid webhook", details: errors });
+    }
+
+    const updates = {};
+    for (const field of ["url", "events", "secret"]) {
+      if (body[field] !== undefined) updates[field] = body[field];
+    }
+    if (body.active === false && !hook.disabled_at) {
+      updates.disabled_at = new Date().toISOString();
+    }
+    if (body.active === true && hook.disabled_at) {
+      updates.disabled_at = null;
+      updates.last_event_id = await req.storage.getLastEventId();
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    res.json(mapWebhookRow(await req.storage.updateWebhook(hook.id, updates)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /webhooks/:id – remove a subscription and its delivery log
+app.delete("/webhooks/:id", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (!hook) return;
+    await req.storage.deleteWebhook(hook.id);
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /webhooks/:id/deliveries?status=&limit= – newest first
+app.get("/webhooks/:id/deliveries", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (!hook) return;
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const errors = [];
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      errors.push(`status must be one of: ${DELIVERY_STATUSES.join(", ")}.`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LOG) {
+      errors.push(`limit must be an integer between 1 and ${MAX_DELIVERY_LOG}.`);
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid query", details: errors });
+    }
+
+    const rows = await req.storage.listDeliveries(hook.id, { status: status || null, limit });
+    res.json(rows.map(mapDeliveryRow));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /webhooks/:id/deliveries/:deliveryId – one delivery with every attempt
+app.get("/webhooks/:id/deliveries/:deliveryId", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (!hook) return;
+    const delivery = await findDelivery(req, res, hook);
+    if (!delivery) return;
+    res.json({
+      ...mapDeliveryRow(delivery),
+      attempts_log: await req.storage.listDeliveryAttempts(delivery.id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver – send it again now,
+ * whatever its status, with the original payload. Responds with the updated
+ * delivery and this attempt; a failure goes back on the retry schedule while
+ * attempts remain.
+ */
+app.post("/webhooks/:id/deliveries/:deliveryId/redeliver", async (req, res, next) => {
+  try {
+    const hook = await findWebhook(req, res);
+    if (!hook) return;
+    if (hook.disabled_at) {
+      return res.status(409).json({ error: "Webhook is inactive" });
+    }
+    const delivery = await findDelivery(req, res, hook);
+    if (!delivery) return;
+
+    const { delivery: row, attempt } = await runWebhookWork(() =>
+      attemptDelivery({ ...delivery, url: hook.url, secret: hook.secret })
+    );
+    res.json({ ...mapDeliveryRow(row), attempt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: DIGEST (morning briefing) --------------------
+//
+// Each user's digest goes out once a day at their send time (default
+// DIGEST_TIME in DIGEST_TZ). A minute timer checks who is due; a digest more
+// than DIGEST_LATE_MS past its slot (server was down) is skipped, not sent late.
+
+const DIGEST_TICK_MS = 60 * 1000;
+const DIGEST_LATE_MS = 3 * 60 * 60 * 1000;
+const DIGEST_FORMATS = ["html", "text", "json"];
+
+// Settings with the defaults filled in; stored is null for a user who never changed them.
+function digestSettings(stored) {
+  const s = stored || { enabled: true, send_time: null, time_zone: null, ai_summary: false };
+  return {
+    enabled: s.enabled,
+    send_time: s.send_time || DIGEST_TIME,
+    time_zone: s.time_zone || DIGEST_TZ,
+    ai_summary: s.ai_summary,
+    last_sent_at: s.last_sent_at || null,
+  };
+}
+
+function validateDigestSettings(body) {
+  const errors = [];
+  for (const key of ["enabled", "ai_summary"]) {
+    if (body[key] !== undefined && typeof body[key] !== "boolean") {
+      errors.push(`${key} must be true or false.`);
+    }
+  }
+  if (body.send_time !== undefined && body.send_time !== null && !parseTimeOfDay(body.send_time)) {
+    errors.push("send_time must be HH:MM (24h) or null for the default.");
+  }
+  if (
+    body.time_zone !== undefined &&
+    body.time_zone !== null &&
+    (typeof body.time_zone !== "string" || !isValidTimeZone(body.time_zone))
+  ) {
+    errors.push("time_zone must be an IANA time zone (e.g. Europe/Paris) or null.");
+  }
+  return errors;
+}
+
+// The optional AI paragraph, through the /chat provider. null when there is none or it fails.
+async function digestSummary(user, digest) {
+  const provider = llm.forRoute("chat");
+  if (!provider) return null;
+  const profile = user.profile ? `\nAbout them: ${user.profile}\n` : "";
+  const systemPrompt = `
+You are TonyOS, an AI priority engine for ${user.name}.
+You get their morning briefing as JSON: top tasks by score, overdue, due today
+and what they finished yesterday.
+${profile}
+Rules:
+- Write 2–3 sentences of plain text, no lists or headings.
+- Say what to start with and what is at risk; don't repeat every task.
+  `.trim();
+
+  try {
+    const text = await provider.complete({
+      messages: [
+        { role: "system", content: systemPrompt },
+        {
+          role: "user",
+          content: JSON.stringify({ prompt: "Summarize my morning briefing.", digest }),
+        },
+      ],
+    });
+    return String(text || "").trim() || null;
+  } catch (err) {
+    console.error("❌ Digest summary failed", err);
+    return null;
+  }
+}
+
+// { digest, ...renderDigest() } for one user as of now.
+async function composeDigest(repo, user, settings, { ai = settings.ai_summary, now = new Date() }) {
+  const tasks = await mapTasksWithRelations(repo, await repo.listTasks({}));
+  const digest = buildDigest(tasks, { now, timeZone: settings.time_zone });
+  const summary = ai ? await digestSummary(user, digest) : null;
+  return {
+    digest,
+    summary,
+    ...renderDigest(digest, { name: user.name, summary, dashboardUrl: DASHBOARD_URL }),
+  };
+}
+
+async function sendDigest(repo, user, settings, now = new Date()) {
+  const { subject, text, html } = await composeDigest(repo, user, settings, { now });
+  await mailer.send({ to: user.email, subject, text, html });
+  return subject;
+}
+
+// Sends every digest whose slot has passed since it was last sent. Returns how many went out.
+async function runDueDigests(now = new Date()) {
+  let sent = 0;
+  for (const { user, settings: stored } of await storage.listDigestRecipients()) {
+    const settings = digestSettings(stored);
+    if (!settings.enabled) continue;
+    const slot = previousRunAt(now, parseTimeOfDay(settings.send_time), settings.time_zone);
+    const lastSent = settings.last_sent_at ? new Date(settings.last_sent_at) : null;
+    if ((lastSent && lastSent >= slot) || now - slot > DIGEST_LATE_MS) continue;
+
+    const repo = storage.forOwner(user.id);
+    try {
+      await sendDigest(repo, user, settings, now);
+      sent++;
+    } catch (err) {
+      console.error(`❌ Digest for user ${user.id} failed`, err);
+    }
+    // Marked even on failure: a broken relay shouldn't resend every minute until noon.
+    await repo.markDigestSent(now.toISOString());
+  }
+  return sent;
+}
+
+// Validates the digest defaults and starts the minute timer (null when mail is off).
+function startDigestTimer() {
+  if (!parseTimeOfDay(DIGEST_TIME)) {
+    throw new Error(`DIGEST_TIME must be HH:MM (got '${DIGEST_TIME}')`);
+  }
+  if (!isValidTimeZone(DIGEST_TZ)) throw new Error(`Unknown DIGEST_TZ '${DIGEST_TZ}'`);
+  if (!mailer.configured) return null;
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueDigests();
+    } catch (err) {
+      console.error("❌ Digest run failed", err);
+    } finally {
+      running = false;
+    }
+  }, DIGEST_TICK_MS);
+  timer.unref();
+  return timer;
+}
+
+function digestSettingsPayload(stored) {
+  const settings = digestSettings(stored);
+  const nextSend = settings.enabled
+    ? nextRunAfter(new Date(), parseTimeOfDay(settings.send_time), settings.time_zone)
+    : null;
+  return {
+    ...settings,
+    next_send_at: mailer.configured && nextSend ? nextSend.toISOString() : null,
+    mail_configured: mailer.configured,
+    defaults: { send_time: DIGEST_TIME, time_zone: DIGEST_TZ },
+  };
+}
+
+// GET /digest/settings – send time, time zone, opt-out and AI summary, with the defaults
+app.get("/digest/settings", async (req, res, next) => {
+  try {
+    res.json(digestSettingsPayload(await req.storage.getDigestSettings()));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * PATCH /digest/settings – { enabled?, send_time?, time_zone?, ai_summary? }.
+ * send_time / time_zone null go back to the server defaults; enabled: false opts out.
+ */
+app.patch("/digest/settings", async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const errors = validateDigestSettings(body);
+    if (errors.length) {
+      return res.status(400).json({ error: "Invalid digest settings", details: errors });
+    }
+
+    const current = (await req.storage.getDigestSettings()) || {
+      enabled: true,
+      send_time: null,
+      time_zone: null,
+      ai_summary: false,
+    };
+    const updated = { ...current };
+    for (const key of ["enabled", "send_time", "time_zone", "ai_summary"]) {
+      if (body[key] !== undefined) updated[key] = body[key];
+    }
+    if (updated.send_time) {
+      const { hour, minute } = parseTimeOfDay(updated.send_time);
+      updated.send_time = `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+    }
+
+    res.json(digestSettingsPayload(await req.storage.saveDigestSettings(updated)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /digest/preview?format=html|text|json&ai=true|false – today's digest as
+ * it would be emailed now. ai defaults to the user's ai_summary setting.
+ */
+app.get("/digest/preview", async (req, res, next) => {
+  try {
+    const format = req.query.format || "html";
+    if (!DIGEST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${DIGEST_FORMATS.join(", ")}` });
+    }
+    if (req.query.ai !== undefined && !["true", "false"].includes(req.query.ai)) {
+      return res.status(400).json({ error: "ai must be true or false" });
+    }
+
+    const settings = digestSettings(await req.storage.getDigestSettings());
+    const ai = req.query.ai === undefined ? settings.ai_summary : req.query.ai === "true";
+    const result = await composeDigest(req.storage, req.user, settings, { ai });
+
+    if (format === "json") return res.json(result);
+    if (format === "text") {
+      return res
+        .type("text/plain; charset=utf-8")
+        .send(`Subject: ${result.subject}\n\n${result.text}`);
+    }
+    res.type("text/html; charset=utf-8").send(
+      `<!doctype html><html><head><meta charset="utf-8"><title>${result.subject}</title></head>` +
+        `<body>${result.html}</body></html>`
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /digest/send – email today's digest to yourself now (doesn't count as the daily send)
+app.post("/digest/send", async (req, res, next) => {
+  try {
+    if (!mailer.configured) {
+      return res.status(503).json({
+        error: "Email is not configured",
+        details: ["Set SMTP_HOST (and SMTP_PORT, SMTP_USER, SMTP_PASS, MAIL_FROM as needed)."],
+      });
+    }
+
+    const settings = digestSettings(await req.storage.getDigestSettings());
+    let subject;
+    try {
+      subject = await sendDigest(req.storage, req.user, settings);
+    } catch (err) {
+      return res.status(502).json({ error: "Sending the digest failed", details: [err.message] });
+    }
+    res.json({ sent_to: req.user.email, subject });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: CHAT --------------------
+
+// Prior turns sent back to the model with each prompt.
+const CHAT_HISTORY_LIMIT = 20;
+
+// Thread title from its first prompt.
+function threadTitle(prompt) {
+  const line = prompt.trim().split(/\r?\n/)[0];
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+function wantsEventStream(req) {
+  return req.body?.stream === true || (req.get("Accept") || "").includes("text/event-stream");
+}
+
+// One SSE frame: "event: <name>\ndata: <json>\n\n".
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// GET /chat/threads – the signed-in user's conversations, most recent first
+app.get("/chat/threads", async (req, res, next) => {
+  try {
+    res.json(await req.storage.listThreads());
+  } catch (err) {
+    next(err);
+  }
+});
 
-    // Pull recent tasks as context (limit to 40 to keep tokens sane)
-    const result = await pool.query(
-      `SELECT *
-       FROM tasks
-       ORDER BY created_at DESC
-       LIMIT 40`
-    );
-    const tasks = result.rows.map(mapTaskRow);
+// GET /chat/threads/:id – a thread with its messages and proposed actions
+app.get("/chat/threads/:id", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const thread = id === null ? null : await req.storage.getThread(id);
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
 
-    const systemPrompt = `
-You are TonyOS, an AI priority engine for Tony Ellis Martinez.
-You see his current task list and must give concise, actionable guidance.
+    res.json({
+      ...thread,
+      messages: await req.storage.listMessages(id),
+      actions: await req.storage.listActions(id),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-Rules:
-- Speak clearly and directly.
-- Focus on leverage, urgency, and risk.
-- Return a short answer (1–3 tight paragraphs or bullet lists).
-    `.trim();
+// PATCH /chat/threads/:id – { title }
+app.patch("/chat/threads/:id", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const title = typeof req.body?.title === "string" ? req.body.title.trim() : "";
+    if (id === null || !title) {
+      return res.status(400).json({ error: "Invalid thread id or title" });
+    }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        {
-          role: "user",
-          content: JSON.stringify({
-            prompt,
-            tasks,
-          }),
-        },
-      ],
+    const thread = await req.storage.renameThread(id, title.slice(0, 200));
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    res.json(thread);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /chat/threads/:id
+app.delete("/chat/threads/:id", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    if (id === null || !(await req.storage.deleteThread(id))) {
+      return res.status(404).json({ error: "Thread not found" });
+    }
+    res.status(204).send();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: CHAT ACTIONS (tool calls) --------------------
+
+// Model ↔ tool round trips per prompt (search results can trigger follow-up calls).
+const MAX_TOOL_ROUNDS = 3;
+
+function taskLabel(task) {
+  return `#${task.id} “${task.title}”`;
+}
+
+// The fields create_task declares (llm/tools.js); anything else the model sends is dropped.
+const CREATE_TOOL_FIELDS = ["title", "description", "area", "bucket", "priority", "due_date"];
+
+function createActionPayload(args) {
+  const body = {};
+  for (const field of CREATE_TOOL_FIELDS) {
+    if (args[field] !== undefined) body[field] = args[field];
+  }
+  return body;
+}
+
+// PATCH /tasks/:id-style body for a task tool (create_task: createActionPayload).
+function actionPayload(tool, args) {
+  if (tool === "complete_task") return { status: "done" };
+  if (tool === "set_bucket") return { bucket: args.bucket };
+  if (tool === "reschedule_task") {
+    if (!args.due_date) return { due_date: null };
+    const due = new Date(args.due_date);
+    return Number.isNaN(due.getTime())
+      ? { due_date: args.due_date }
+      : { due_date: args.due_date, bucket: bucketForDueDate(due) };
+  }
+  if (tool === "update_task") {
+    const body = {};
+    for (const field of ["title", "description", "area", "priority", "status"]) {
+      if (args[field] !== undefined) body[field] = args[field];
+    }
+    return body;
+  }
+  return null;
+}
+
+/**
+ * Check a proposed tool call against the user's tasks without applying it.
+ * Returns { summary, task_id } or { error } (sent back to the model).
+ */
+async function describeAction(repo, tool, args) {
+  if (!args || typeof args !== "object") {
+    return { error: "arguments must be a JSON object" };
+  }
+  if (tool === "create_task") {
+    const body = createActionPayload(args);
+    const errors = validateTaskPayload(body, { partial: false });
+    if (errors.length) return { error: errors.join(" ") };
+    const where = isValidBucket(body.bucket) ? ` in ${body.bucket}` : "";
+    return { summary: `Create “${body.title.trim()}”${where}`, task_id: null };
+  }
+
+  const body = actionPayload(tool, args);
+  if (!body) return { error: `Unknown tool '${tool}'` };
+  const task = Number.isInteger(args.id) ? await repo.getTask(args.id) : null;
+  if (!task) return { error: `No task with id ${args.id}` };
+
+  const errors = validateTaskPayload(body, { partial: true });
+  if (errors.length) return { error: errors.join(" ") };
+  const prepared = prepareTaskUpdates(task, body);
+  if (prepared.error) return { error: prepared.error };
+
+  const label = taskLabel(task);
+  let summary;
+  if (tool === "complete_task") summary = `Complete ${label}`;
+  else if (tool === "set_bucket") summary = `Move ${label} to ${body.bucket}`;
+  else if (tool === "reschedule_task") {
+    summary = body.due_date
+      ? `Reschedule ${label} to ${new Date(body.due_date).toISOString().slice(0, 10)}`
+      : `Clear the due date of ${label}`;
+  } else {
+    summary = `Update ${label}: ${Object.keys(prepared.updates).join(", ")}`;
+  }
+  return { summary, task_id: task.id };
+}
+
+/**
+ * Run one tool call from the model. search_tasks answers immediately;
+ * anything else is validated and queued in `proposals` for confirmation.
+ * Returns the JSON result handed back to the model.
+ */
+async function runToolCall(repo, call, proposals) {
+  if (READ_ONLY_TOOLS.includes(call.name)) {
+    const query = call.arguments && String(call.arguments.query || "").trim();
+    if (!query) return { error: "query is required" };
+    const rows = await repo.listTasks({ q: query });
+    return {
+      tasks: rows.slice(0, 10).map((t) => ({
+        id: t.id,
+        title: t.title,
+        status: t.status,
+        bucket: t.bucket,
+        due_date: t.due_date,
+      })),
+    };
+  }
+
+  const described = await describeAction(repo, call.name, call.arguments);
+  if (described.error) return { error: described.error };
+  proposals.push({ tool: call.name, args: call.arguments, ...described });
+  return {
+    status: "proposed",
+    summary: described.summary,
+    note: "Waiting for the user to confirm.",
+  };
+}
+
+/**
+ * Apply a proposed action and settle it in one transaction. The action is
+ * claimed (proposed → applied) before any task is written, so of two
+ * concurrent applies only one changes tasks. Returns { action, row, nextRow }
+ * or { action, error } when it no longer applies or was settled meanwhile.
+ */
+async function applyChatAction(storage, action, actor) {
+  const outcome = await storage.transaction(async (tx) => {
+    let create = null;
+    let current = null;
+    let updates = null;
+    if (action.tool === "create_task") {
+      create = createActionPayload(action.arguments);
+      const errors = validateTaskPayload(create, { partial: false });
+      if (errors.length) return { error: errors.join(" ") };
+    } else {
+      current = await tx.getTask(action.task_id, { forUpdate: true });
+      if (!current) return { error: "Task no longer exists" };
+      const prepared = prepareTaskUpdates(current, actionPayload(action.tool, action.arguments));
+      if (prepared.error) return { error: prepared.error };
+      updates = prepared.updates;
+    }
+
+    const claimed = await tx.resolveAction(action.id, {
+      status: "applied",
+      task_id: action.task_id,
+    });
+    if (!claimed) return { settled: true };
+    if (create) {
+      const row = await createTaskFromPayload(tx, create, actor);
+      return { action: await tx.setActionTask(action.id, row.id), row, nextRow: null };
+    }
+    return { action: claimed, ...(await applyTaskUpdates(tx, current, updates, actor)) };
+  });
+
+  if (outcome.error) {
+    const failed = await storage.resolveAction(action.id, {
+      status: "failed",
+      error: outcome.error,
     });
+    if (failed) return { action: failed, error: outcome.error };
+  } else if (!outcome.settled) {
+    return outcome;
+  }
+  const settled = (await storage.getAction(action.id)) || action;
+  return { action: settled, error: `Action is already ${settled.status}` };
+}
+
+function chatActor(req, threadId) {
+  return `${req.user.email} (chat #${threadId})`;
+}
+
+// POST /chat/actions/:id/apply – confirm one proposed change
+app.post("/chat/actions/:id/apply", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const action = id === null ? null : await req.storage.getAction(id);
+    if (!action) {
+      return res.status(404).json({ error: "Action not found" });
+    }
+    if (action.status !== "proposed") {
+      return res.status(409).json({ error: `Action is already ${action.status}`, action });
+    }
 
-    const text = response.choices[0]?.message?.content?.trim() || "";
-    res.json({ response: text });
+    const result = await applyChatAction(req.storage, action, chatActor(req, action.thread_id));
+    if (result.error) {
+      return res.status(409).json({ error: result.error, action: result.action });
+    }
+    res.json({
+      action: result.action,
+      task: await mapTaskWithRelations(req.storage, result.row),
+      next_occurrence: result.nextRow
+        ? await mapTaskWithRelations(req.storage, result.nextRow)
+        : null,
+    });
   } catch (err) {
     next(err);
   }
 });
 
-// -------------------- ROUTES: BRAIN DUMP → TASKS --------------------
+// POST /chat/actions/:id/reject – dismiss a proposed change
+app.post("/chat/actions/:id/reject", async (req, res, next) => {
+  try {
+    const id = parseIdParam(req.params.id);
+    const action = id === null ? null : await req.storage.getAction(id);
+    if (!action) {
+      return res.status(404).json({ error: "Action not found" });
+    }
 
-app.post("/brain-dump", async (req, res, next) => {
+    const rejected = await req.storage.resolveAction(id, { status: "rejected" });
+    if (!rejected) {
+      return res.status(409).json({ error: `Action is already ${action.status}`, action });
+    }
+    res.json({ action: rejected });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /chat/threads/:id/actions/apply – confirm every pending change in a thread, in order
+app.post("/chat/threads/:id/actions/apply", async (req, res, next) => {
   try {
-    if (!OPENAI_API_KEY) {
-      return res.status(500).json({ error: "OPENAI_API_KEY not configured" });
+    const id = parseIdParam(req.params.id);
+    const thread = id === null ? null : await req.storage.getThread(id);
+    if (!thread) {
+      return res.status(404).json({ error: "Thread not found" });
     }
 
-    const text = (req.body && req.body.text) || "";
-    const defaultBucket = isValidBucket(req.body?.default_bucket)
-      ? req.body.default_bucket
-      : "today";
-    const defaultArea =
-      req.body && req.body.default_area && String(req.body.default_area).trim()
-        ? String(req.body.default_area).trim()
-        : null;
+    const pending = (await req.storage.listActions(id)).filter((a) => a.status === "proposed");
+    const results = [];
+    for (const action of pending) {
+      const result = await applyChatAction(req.storage, action, chatActor(req, id));
+      results.push({ action: result.action, error: result.error || null });
+    }
+    res.json({ results });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    if (!text.trim()) {
-      return res.status(400).json({ error: "text is required" });
+/**
+ * POST /chat – { prompt, thread_id?, stream? }
+ * Continues thread_id (or starts a new thread) with the prior turns and the
+ * current task list as context. With stream: true or Accept: text/event-stream
+ * the reply arrives as SSE events: thread → token* → actions? → done (or error).
+ * Task changes the model proposes through tools come back as `actions` to confirm.
+ */
+app.post("/chat", async (req, res, next) => {
+  try {
+    const provider = llm.forRoute("chat");
+    if (!provider) {
+      return res.status(503).json({
+        error: "No LLM provider configured for /chat",
+        details: ["Set OPENAI_API_KEY, LLM_BASE_URL or LLM_PROVIDER=mock."],
+      });
     }
-    if (text.length > 4000) {
-      return res.status(400).json({ error: "text too long (max 4000 chars)" });
+
+    const prompt = (req.body && req.body.prompt) || "";
+    if (!prompt.trim()) {
+      return res.status(400).json({ error: "prompt is required" });
+    }
+
+    let thread;
+    if (req.body.thread_id !== undefined && req.body.thread_id !== null) {
+      const threadId = parseIdParam(req.body.thread_id);
+      thread = threadId === null ? null : await req.storage.getThread(threadId);
+      if (!thread) {
+        return res.status(404).json({ error: "Thread not found" });
+      }
+    } else {
+      thread = await req.storage.createThread({ title: threadTitle(prompt) });
+    }
+
+    const history = await req.storage.listMessages(thread.id, { limit: CHAT_HISTORY_LIMIT });
+    // Earlier proposals (and whether they were applied) ride along with their message.
+    const pastActions = await req.storage.listActions(thread.id);
+    const withActions = (m) => {
+      const notes = pastActions
+        .filter((a) => a.message_id === m.id)
+        .map((a) => `${a.summary} (${a.status})`);
+      return notes.length ? `${m.content}\n\n[Proposed actions: ${notes.join("; ")}]` : m.content;
+    };
+
+    // Pull recent tasks as context (limit to 40 to keep tokens sane)
+    const tasks = await mapTasksWithRelations(req.storage, await req.storage.listRecentTasks(40));
+
+    const profile = req.user.profile ? `\nAbout them: ${req.user.profile}\n` : "";
+    const toolsNote = CHAT_TOOLS
+      ? "You can propose task changes with the tools (refer to tasks by id); " +
+        "nothing changes until the user confirms.\n"
+      : "";
+    const systemPrompt = `
+You are TonyOS, an AI priority engine for ${req.user.name}.
+You see their current task list and must give concise, actionable guidance.
+Earlier turns of this conversation come before the latest prompt.
+${toolsNote}${profile}
+Rules:
+- Speak clearly and directly.
+- Focus on leverage, urgency, and risk.
+- Return a short answer (1–3 tight paragraphs or bullet lists).
+    `.trim();
+
+    const messages = [
+      { role: "system", content: systemPrompt },
+      ...history.map((m) => ({ role: m.role, content: withActions(m) })),
+      {
+        role: "user",
+        content: JSON.stringify({
+          prompt,
+          tasks,
+        }),
+      },
+    ];
+
+    await req.storage.addMessage(thread.id, { role: "user", content: prompt });
+
+    const streaming = wantsEventStream(req);
+    if (streaming) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+      });
+      res.flushHeaders();
+      sendEvent(res, "thread", { thread_id: thread.id, title: thread.title });
+    }
+
+    // Stream rounds until the model stops calling tools.
+    const proposals = [];
+    let text = "";
+    try {
+      for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const calls = [];
+        let roundText = "";
+        for await (const chunk of provider.stream({
+          messages,
+          tools: CHAT_TOOLS ? TASK_TOOLS : undefined,
+        })) {
+          if (chunk.tool_call) {
+            calls.push(chunk.tool_call);
+          } else if (chunk.text) {
+            roundText += chunk.text;
+            if (streaming) sendEvent(res, "token", { text: chunk.text });
+          }
+        }
+        text += roundText;
+        if (!calls.length) break;
+
+        messages.push({
+          role: "assistant",
+          content: roundText || null,
+          tool_calls: calls.map((c) => ({
+            id: c.id,
+            type: "function",
+            function: { name: c.name, arguments: JSON.stringify(c.arguments ?? {}) },
+          })),
+        });
+        for (const call of calls) {
+          const result = await runToolCall(req.storage, call, proposals);
+          messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+        }
+      }
+    } catch (err) {
+      if (!streaming) throw err;
+      console.error("❌ /chat stream failed", err);
+      sendEvent(res, "error", { error: "The model stopped responding", message: err.message });
+      return res.end();
+    }
+
+    const plural = proposals.length === 1 ? "" : "s";
+    const content =
+      text.trim() ||
+      (proposals.length ? `Proposed ${proposals.length} change${plural} for you to confirm.` : "");
+    const reply = await req.storage.addMessage(thread.id, { role: "assistant", content });
+    const actions = [];
+    for (const p of proposals) {
+      actions.push(
+        await req.storage.createAction(thread.id, {
+          message_id: reply.id,
+          tool: p.tool,
+          args: p.args,
+          summary: p.summary,
+          task_id: p.task_id,
+        })
+      );
+    }
+
+    const result = {
+      thread_id: thread.id,
+      message_id: reply.id,
+      actions,
+      provider: provider.name,
+      model: provider.model,
+    };
+    if (!streaming) {
+      return res.json({ response: content, ...result });
     }
+    if (actions.length) sendEvent(res, "actions", { actions });
+    sendEvent(res, "done", result);
+    res.end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// -------------------- ROUTES: BRAIN DUMP → TASKS --------------------
 
-    const prompt = `
+function brainDumpPrompt(defaultArea) {
+  return `
 You are TonyOS, an AI that converts a messy brain dump into clear tasks.
 
 Return STRICT JSON with this exact shape:
@@ -464,102 +3686,230 @@ Return STRICT JSON with this exact shape:
 
 Rules:
 - Only include tasks that are concrete actions (not vague reflections).
-- If bucket is missing, use "${defaultBucket}".
+- Leave bucket and priority out unless the text states or clearly implies them.
 - If area is missing, use "${defaultArea || "General"}".
 - If you are unsure about dates, set due_date to null.
-    `.trim();
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: prompt },
-        { role: "user", content: text },
-      ],
-    });
+  `.trim();
+}
 
-    const raw = response.choices[0]?.message?.content || "{}";
-    let parsed;
+/**
+ * Raw task objects for a brain dump from the route's provider, or from the
+ * rule-based parser when there is none or it fails (unless BRAIN_DUMP_FALLBACK=off).
+ * Returns { source: "llm" | "rules", items } or { error, raw } for unparseable output.
+ */
+async function parseBrainDumpText(provider, text, defaultArea) {
+  if (provider) {
+    let raw;
     try {
-      parsed = JSON.parse(raw);
-    } catch {
-      return res.status(500).json({
-        error: "Failed to parse AI response",
-        raw,
+      raw = await provider.complete({
+        json: true,
+        messages: [
+          { role: "system", content: brainDumpPrompt(defaultArea) },
+          { role: "user", content: text },
+        ],
       });
+    } catch (err) {
+      if (!BRAIN_DUMP_FALLBACK) throw err;
+      console.warn(`⚠️  brain-dump provider failed, using rule-based parser: ${err.message}`);
     }
 
-    const tasksArr = Array.isArray(parsed.tasks) ? parsed.tasks : [];
-    if (!tasksArr.length) {
-      return res.json({ tasks: [] });
+    if (raw !== undefined) {
+      try {
+        const parsed = JSON.parse(raw || "{}");
+        return { source: "llm", items: Array.isArray(parsed.tasks) ? parsed.tasks : [] };
+      } catch {
+        if (!BRAIN_DUMP_FALLBACK) return { error: "Failed to parse AI response", raw };
+      }
     }
+  }
+  return { source: "rules", items: parseBrainDump(text, { defaultArea }) };
+}
 
-    const client = await pool.connect();
-    try {
-      await client.query("BEGIN");
-      const created = [];
+function toIsoDate(value) {
+  if (!value || !String(value).trim()) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
 
-      for (const t of tasksArr) {
-        const title = (t.title || "").trim();
-        if (!title) continue;
-
-        const bucket = isValidBucket(t.bucket) ? t.bucket : defaultBucket;
-        const priority = clampPriority(Number(t.priority ?? 3));
-        const area =
-          (t.area && String(t.area).trim()) || defaultArea || "General";
-        const description =
-          t.description && String(t.description).trim().length
-            ? String(t.description).trim()
-            : null;
-        const dueDate =
-          t.due_date && String(t.due_date).trim()
-            ? new Date(t.due_date).toISOString()
-            : null;
-
-        const scores = computeTonyScore({
-          title,
-          description,
-          area,
-          bucket,
-          priority,
-          due_date: dueDate,
-        });
+/**
+ * Proposed tasks with defaults applied, each matched against the user's
+ * unfinished tasks: match is "new", "duplicate" (task_id) or "update"
+ * (task_id + changes). Only fields the dump actually set count as changes.
+ */
+async function buildBrainDumpProposals(repo, items, { defaultBucket, defaultArea }) {
+  const existing = await repo.listTasks({ status: ["open", "doing", "scheduled"] });
+  const proposals = [];
+
+  for (const t of items) {
+    const title = String(t.title || "").trim();
+    if (title.length < 3) continue;
+
+    const stated = {
+      title,
+      description:
+        t.description && String(t.description).trim().length
+          ? String(t.description).trim()
+          : null,
+      bucket: isValidBucket(t.bucket) ? t.bucket : null,
+      priority:
+        t.priority !== undefined && t.priority !== null
+          ? clampPriority(Number(t.priority))
+          : null,
+      due_date: toIsoDate(t.due_date),
+    };
+
+    proposals.push({
+      ...stated,
+      bucket: stated.bucket || defaultBucket,
+      priority: stated.priority || 3,
+      area: (t.area && String(t.area).trim()) || defaultArea || "General",
+      ...matchProposal(stated, existing),
+    });
+  }
+  return proposals;
+}
+
+/**
+ * POST /brain-dump – { text, default_bucket?, default_area?, dry_run? }
+ * dry_run returns the matched proposals without saving anything (review them,
+ * then POST /brain-dump/commit). Otherwise only "new" proposals are created;
+ * duplicates and updates come back under `skipped`.
+ */
+app.post("/brain-dump", async (req, res, next) => {
+  try {
+    const provider = llm.forRoute("brain_dump");
+    if (!provider && !BRAIN_DUMP_FALLBACK) {
+      return res.status(503).json({ error: "No LLM provider configured for /brain-dump" });
+    }
+
+    const text = (req.body && req.body.text) || "";
+    const defaultBucket = isValidBucket(req.body?.default_bucket)
+      ? req.body.default_bucket
+      : "today";
+    const defaultArea =
+      req.body && req.body.default_area && String(req.body.default_area).trim()
+        ? String(req.body.default_area).trim()
+        : null;
+
+    if (!text.trim()) {
+      return res.status(400).json({ error: "text is required" });
+    }
+    if (text.length > 4000) {
+      return res.status(400).json({ error: "text too long (max 4000 chars)" });
+    }
+
+    // "llm" when the provider answered with usable JSON, "rules" for the offline parser.
+    const parsed = await parseBrainDumpText(provider, text, defaultArea);
+    if (parsed.error) {
+      return res.status(500).json({ error: parsed.error, raw: parsed.raw });
+    }
+    const { source } = parsed;
+
+    const proposals = await buildBrainDumpProposals(req.storage, parsed.items, {
+      defaultBucket,
+      defaultArea,
+    });
+
+    if (req.body.dry_run === true) {
+      return res.json({ proposals, source });
+    }
+
+    const fresh = proposals.filter((p) => p.match === "new");
+    const skipped = proposals.filter((p) => p.match !== "new");
+    if (!fresh.length) {
+      return res.json({ tasks: [], skipped, source });
+    }
 
-        const result = await client.query(
-          `INSERT INTO tasks
-            (title, description, area, status, bucket, priority,
-             leverage_score, urgency_score, risk_score, friction_score,
-             due_date, created_at, updated_at)
-           VALUES
-            ($1, $2, $3, 'open', $4, $5,
-             $6, $7, $8, $9,
-             $10, NOW(), NOW())
-           RETURNING *`,
-          [
-            title,
-            description,
-            area,
-            bucket,
-            priority,
-            scores.leverage_score,
-            scores.urgency_score,
-            scores.risk_score,
-            scores.friction_score,
-            dueDate,
-          ]
-        );
-
-        created.push(mapTaskRow(result.rows[0]));
+    const actor = actorFrom(req);
+    const rules = await scoringFor(req.storage);
+    const created = await req.storage.transaction(async (tx) => {
+      const rows = [];
+      for (const p of fresh) {
+        rows.push(mapTaskRow(await createTaskFromPayload(tx, p, actor), rules));
       }
+      return rows;
+    });
 
-      await client.query("COMMIT");
-      res.status(201).json({ tasks: created });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      throw err;
-    } finally {
-      client.release();
+    res.status(201).json({ tasks: created, skipped, source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+const COMMIT_FIELDS = ["title", "description", "area", "bucket", "priority", "due_date"];
+
+/**
+ * POST /brain-dump/commit – { items: [{ action, task_id?, title, … }] }
+ * Saves the reviewed proposals in one transaction: action "create" adds a
+ * task, "update" applies the given fields to task_id, "skip" is ignored.
+ */
+app.post("/brain-dump/commit", async (req, res, next) => {
+  try {
+    const items = req.body && req.body.items;
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ error: "items must be a non-empty array" });
+    }
+    if (items.length > 100) {
+      return res.status(400).json({ error: "Too many items (max 100)" });
+    }
+
+    // Validate everything up front so a bad row saves nothing.
+    const details = [];
+    const plan = [];
+    for (const [i, item] of items.entries()) {
+      const action = item && item.action;
+      if (action === "skip") continue;
+
+      const fields = {};
+      for (const f of COMMIT_FIELDS) {
+        if (item[f] !== undefined) fields[f] = item[f];
+      }
+
+      if (action === "create") {
+        const errors = validateTaskPayload(fields, { partial: false });
+        errors.forEach((e) => details.push(`items[${i}]: ${e}`));
+        plan.push({ action, fields });
+      } else if (action === "update") {
+        const errors = validateTaskPayload(fields, { partial: true });
+        errors.forEach((e) => details.push(`items[${i}]: ${e}`));
+        const current = Number.isInteger(item.task_id)
+          ? await req.storage.getTask(item.task_id)
+          : null;
+        if (!current) {
+          details.push(`items[${i}]: task_id must reference an existing task.`);
+          continue;
+        }
+        const prepared = prepareTaskUpdates(current, fields);
+        if (prepared.error) {
+          details.push(`items[${i}]: ${prepared.error}`);
+          continue;
+        }
+        plan.push({ action, current, updates: prepared.updates });
+      } else {
+        details.push(`items[${i}]: action must be one of: create, update, skip.`);
+      }
     }
+    if (details.length) {
+      return res.status(400).json({ error: "Invalid brain-dump items", details });
+    }
+
+    const actor = actorFrom(req);
+    const rules = await scoringFor(req.storage);
+    const result = await req.storage.transaction(async (tx) => {
+      const created = [];
+      const updated = [];
+      for (const step of plan) {
+        if (step.action === "create") {
+          created.push(mapTaskRow(await createTaskFromPayload(tx, step.fields, actor), rules));
+        } else {
+          const { row } = await applyTaskUpdates(tx, step.current, step.updates, actor);
+          updated.push(mapTaskRow(row, rules));
+        }
+      }
+      return { created, updated };
+    });
+
+    res.status(201).json(result);
   } catch (err) {
     next(err);
   }
@@ -575,6 +3925,8 @@ app.use((req, res) => {
 // Global error handler
 app.use((err, req, res, _next) => {
   console.error("❌ Unhandled error:", err);
+  // A streamed response (SSE) has already sent its status; just close it.
+  if (res.headersSent) return res.end();
   res.status(500).json({
     error: "Internal server error",
     message:
@@ -586,14 +3938,60 @@ app.use((err, req, res, _next) => {
 
 // -------------------- START SERVER --------------------
 
-(async () => {
-  try {
-    await initDb();
-    app.listen(PORT, () => {
-      console.log(`✅ TonyOS backend running on http://localhost:${PORT}`);
-    });
-  } catch (err) {
-    console.error("❌ Failed to init TonyOS backend", err);
-    process.exit(1);
+let reviewScheduler = null;
+
+// Validates the rollover settings and starts the daily timer (null when ROLLOVER_TIME=off).
+async function startReviewScheduler() {
+  if (ROLLOVER_TIME === "off") return null;
+  const time = parseTimeOfDay(ROLLOVER_TIME);
+  if (!time) throw new Error(`ROLLOVER_TIME must be HH:MM or "off" (got '${ROLLOVER_TIME}')`);
+  if (!isValidTimeZone(ROLLOVER_TZ)) throw new Error(`Unknown ROLLOVER_TZ '${ROLLOVER_TZ}'`);
+  if (!WEEKDAYS.includes(REVIEW_WEEKDAY)) {
+    throw new Error(`REVIEW_WEEKDAY must be one of: ${WEEKDAYS.join(", ")}`);
   }
-})();
+
+  const scheduler = createDailyScheduler({
+    time,
+    timeZone: ROLLOVER_TZ,
+    run: runScheduledReviews,
+    onError: (err) => console.error("❌ Scheduled review failed", err),
+  });
+  scheduler.start();
+
+  // The server may have been asleep at the last slot: catch up once.
+  const missed = await runScheduledReviews(previousRunAt(new Date(), time, ROLLOVER_TZ));
+  if (missed) console.log(`🗓️  Caught up on ${missed} missed review(s)`);
+  return scheduler;
+}
+
+// Tests require the app and storage without starting the server or timers.
+module.exports = { app, storage };
+
+if (require.main === module) {
+  (async () => {
+    try {
+      if (process.env.MIGRATE_ON_START === "true") {
+        await storage.migrator.up();
+      }
+      const version = await storage.migrator.assertCurrent();
+      console.log(`✅ ${storage.describe()} ready (TonyOS schema v${version})`);
+      console.log(`🤖 LLM providers – ${llm.describe()}`);
+      reviewScheduler = await startReviewScheduler();
+      if (reviewScheduler) {
+        const nextRun = reviewScheduler.nextRun().toISOString();
+        console.log(`🗓️  Daily rollover at ${ROLLOVER_TIME} ${ROLLOVER_TZ} (next ${nextRun})`);
+      }
+      startWebhookWorker();
+      if (startDigestTimer()) {
+        const defaults = `${DIGEST_TIME} ${DIGEST_TZ}`;
+        console.log(`📧 Morning digest via ${mailer.describe()} (default ${defaults})`);
+      }
+      app.listen(PORT, () => {
+        console.log(`✅ TonyOS backend running on http://localhost:${PORT}`);
+      });
+    } catch (err) {
+      console.error("❌ Failed to init TonyOS backend", err);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,69 @@
+// llm/index.js – pick an LLM provider per AI route from config
+
+// Routes with their own settings; the env prefix overrides the LLM_* defaults.
+const ROUTES = {
+  chat: "CHAT",
+  brain_dump: "BRAIN_DUMP",
+};
+
+const DEFAULT_MODEL = "gpt-4.1-mini";
+
+/**
+ * Read provider settings for one route from the environment.
+ *   LLM_PROVIDER   openai | mock | none (default: openai when a key or base URL is set)
+ *   LLM_BASE_URL   OpenAI-compatible endpoint, e.g. http://localhost:11434/v1
+ *   LLM_API_KEY    falls back to OPENAI_API_KEY
+ *   LLM_MODEL      default gpt-4.1-mini
+ * Each can be overridden per route: CHAT_LLM_MODEL, BRAIN_DUMP_LLM_PROVIDER, …
+ */
+function llmConfigFromEnv(route, env = process.env) {
+  const prefix = ROUTES[route];
+  const get = (name) => env[`${prefix}_LLM_${name}`] || env[`LLM_${name}`];
+
+  const apiKey = get("API_KEY") || env.OPENAI_API_KEY;
+  const baseUrl = get("BASE_URL");
+  return {
+    provider: get("PROVIDER") || (apiKey || baseUrl ? "openai" : "none"),
+    apiKey,
+    baseUrl,
+    model: get("MODEL") || DEFAULT_MODEL,
+  };
+}
+
+// Returns null for provider "none" (the route then falls back or reports 503).
+function createProvider(config) {
+  if (config.provider === "none") return null;
+  if (config.provider === "openai") {
+    if (!config.apiKey && !config.baseUrl) {
+      throw new Error("LLM_PROVIDER=openai requires OPENAI_API_KEY (or LLM_BASE_URL)");
+    }
+    const { createOpenAiProvider } = require("./openai");
+    return createOpenAiProvider(config);
+  }
+  if (config.provider === "mock") {
+    const { createMockProvider } = require("./mock");
+    return createMockProvider({ model: config.model === DEFAULT_MODEL ? "mock" : config.model });
+  }
+  throw new Error(`Unknown LLM_PROVIDER '${config.provider}' (expected openai, mock or none)`);
+}
+
+/**
+ * One provider per AI route, built once at startup.
+ * forRoute(route) → provider or null; describe() → "chat: openai/gpt-4.1-mini, …".
+ */
+function createLlm(env = process.env) {
+  const providers = {};
+  for (const route of Object.keys(ROUTES)) {
+    providers[route] = createProvider(llmConfigFromEnv(route, env));
+  }
+
+  return {
+    forRoute: (route) => providers[route] || null,
+    describe: () =>
+      Object.entries(providers)
+        .map(([route, p]) => `${route}: ${p ? `${p.name}/${p.model}` : "none"}`)
+        .join(", "),
+  };
+}
+
+module.exports = { createLlm, llmConfigFromEnv };
@@ -0,0 +1,86 @@
+// llm/mock.js – deterministic provider for development and tests (no network)
+
+const { parseBrainDump } = require("./rules");
+
+// Tool calls the mock "model" makes for a user message.
+function mockToolCalls(message) {
+  let prompt = message ? String(message.content) : "";
+  try {
+    prompt = JSON.parse(prompt).prompt ?? prompt;
+  } catch {
+    // plain-text message
+  }
+
+  const calls = [];
+  const id = () => `mock_call_${calls.length + 1}`;
+  for (const m of prompt.matchAll(/\b(?:done|complete)\s+#(\d+)/gi)) {
+    calls.push({ id: id(), name: "complete_task", arguments: { id: Number(m[1]) } });
+  }
+  for (const m of prompt.matchAll(/\bmove\s+#(\d+)\s+to\s+(today|this week|later)/gi)) {
+    const bucket = m[2].toLowerCase().replace(" ", "_");
+    calls.push({ id: id(), name: "set_bucket", arguments: { id: Number(m[1]), bucket } });
+  }
+  const find = prompt.match(/\bfind\s+(.+)$/im);
+  if (find) {
+    calls.push({ id: id(), name: "search_tasks", arguments: { query: find[1].trim() } });
+  }
+  return calls;
+}
+
+/**
+ * Same contract as llm/openai.js. Text requests get a fixed summary of the
+ * last user message and the turn count; JSON requests are answered with the
+ * rule-based brain-dump parser, so /brain-dump works end to end.
+ */
+function createMockProvider({ model = "mock" } = {}) {
+  return {
+    name: "mock",
+    model,
+
+    async complete({ messages, json = false }) {
+      const last = [...messages].reverse().find((m) => m.role === "user");
+      const content = last ? String(last.content) : "";
+
+      if (json) {
+        return JSON.stringify({ tasks: parseBrainDump(content) });
+      }
+
+      let prompt = content;
+      let taskCount = null;
+      try {
+        const payload = JSON.parse(content);
+        prompt = payload.prompt ?? content;
+        taskCount = Array.isArray(payload.tasks) ? payload.tasks.length : null;
+      } catch {
+        // plain-text message
+      }
+      const turns = messages.filter((m) => m.role !== "system").length;
+      const context = taskCount === null ? "" : ` (${taskCount} tasks in context)`;
+      return `[mock] You asked: "${String(prompt).slice(0, 200)}"${context}, turn ${turns}.`;
+    },
+
+    // Word by word, so streaming clients can be exercised offline. With tools,
+    // "done #3", "move #3 to this week" and "find <words>" become tool calls.
+    async *stream({ messages, tools }) {
+      const lastUser = messages.map((m) => m.role).lastIndexOf("user");
+      const toolResults = messages.slice(lastUser + 1).filter((m) => m.role === "tool");
+
+      if (tools && tools.length && !toolResults.length) {
+        const calls = mockToolCalls(messages[lastUser]);
+        if (calls.length) {
+          for (const call of calls) yield { tool_call: call };
+          return;
+        }
+      }
+
+      const text = toolResults.length
+        ? `[mock] Handled ${toolResults.length} tool call${toolResults.length === 1 ? "" : "s"}.`
+        : await this.complete({ messages });
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        yield { text: piece };
+      }
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,67 @@
+// llm/openai.js – OpenAI or any OpenAI-compatible server (vLLM, Ollama, LM Studio …)
+
+const { OpenAI } = require("openai");
+
+/**
+ * Provider contract shared with llm/mock.js:
+ *   name, model
+ *   complete({ messages, json }) → assistant text
+ *     messages  [{ role, content }]
+ *     json      ask for a JSON object response
+ *   stream({ messages, tools? }) → async iterable of chunks:
+ *     { text }                               a piece of the reply
+ *     { tool_call: { id, name, arguments } } a complete tool call (when tools are given)
+ *   messages may include assistant tool_calls and role "tool" results (OpenAI format).
+ */
+function createOpenAiProvider({ apiKey, baseUrl, model }) {
+  // Local servers usually ignore the key, but the SDK insists on one.
+  const client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL: baseUrl || undefined });
+
+  return {
+    name: baseUrl ? `openai-compatible (${baseUrl})` : "openai",
+    model,
+
+    async complete({ messages, json = false }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      });
+      return response.choices[0]?.message?.content?.trim() || "";
+    },
+
+    async *stream({ messages, tools }) {
+      const chunks = await client.chat.completions.create({
+        model,
+        messages,
+        stream: true,
+        ...(tools && tools.length ? { tools } : {}),
+      });
+
+      // Tool calls arrive as fragments keyed by index; emit them whole at the end.
+      const calls = [];
+      for await (const chunk of chunks) {
+        const delta = chunk.choices[0]?.delta || {};
+        if (delta.content) yield { text: delta.content };
+        for (const part of delta.tool_calls || []) {
+          const call = (calls[part.index] ||= { id: null, name: "", arguments: "" });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.name += part.function.name;
+          if (part.function?.arguments) call.arguments += part.function.arguments;
+        }
+      }
+
+      for (const call of calls.filter(Boolean)) {
+        let args = null;
+        try {
+          args = JSON.parse(call.arguments || "{}");
+        } catch {
+          // left null; the caller reports it back to the model
+        }
+        yield { tool_call: { id: call.id, name: call.name, arguments: args } };
+      }
+    },
+  };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,55 @@
+// llm/rules.js – rule-based brain-dump parser (no model needed)
+//
+// One task per line or bullet. Light hints are honoured:
+//   "today" / "tomorrow" / "this week"  → bucket
+//   "urgent", "asap" or a trailing "!"  → priority 1
+//   "#area" hashtag                     → area (removed from the title)
+
+const BULLET = /^\s*(?:[-*•+]|\d+[.)]|\[[ xX]?\])\s+/;
+const MAX_TITLE = 200;
+
+function bucketHint(line) {
+  if (/\b(today|tonight|tomorrow)\b/i.test(line)) return "today";
+  if (/\bthis week\b/i.test(line)) return "this_week";
+  return null;
+}
+
+/**
+ * Split a brain dump into task objects shaped like the model's output:
+ * { title, description, bucket, priority, area, due_date }. bucket and
+ * priority stay null unless the line hints at them, like the model's output.
+ */
+function parseBrainDump(text, { defaultBucket = null, defaultArea = null } = {}) {
+  const tasks = [];
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    let line = rawLine.replace(BULLET, "").trim();
+    // Section headers ("Work:") and near-empty lines aren't tasks.
+    if (line.length < 3 || /:$/.test(line)) continue;
+
+    let area = defaultArea;
+    const tag = line.match(/(?:^|\s)#([\w-]+)/);
+    if (tag) {
+      area = tag[1].replace(/[-_]/g, " ");
+      area = area.charAt(0).toUpperCase() + area.slice(1);
+      line = line.replace(tag[0], "").trim();
+    }
+
+    const urgent = /\b(urgent|asap)\b/i.test(line) || /!$/.test(line);
+    const title = line.replace(/!+$/, "").trim();
+    if (title.length < 3) continue;
+
+    tasks.push({
+      title: title.slice(0, MAX_TITLE),
+      description: null,
+      bucket: bucketHint(line) || defaultBucket,
+      priority: urgent ? 1 : null,
+      area: area || "General",
+      due_date: null,
+    });
+  }
+
+  return tasks;
+}
+
+module.exports = { parseBrainDump };
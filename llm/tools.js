@@ -0,0 +1,73 @@
+// llm/tools.js – task tools offered to the /chat model (OpenAI function-calling format)
+//
+// search_tasks runs immediately and its results go back to the model; every
+// other tool only *proposes* a change, which the user confirms before it is applied.
+
+const BUCKETS = ["today", "this_week", "later"];
+const STATUSES = ["open", "doing", "scheduled", "done"];
+
+const taskId = { type: "integer", description: "Task id (the #id shown in the task list)" };
+
+function tool(name, description, properties, required = []) {
+  return {
+    type: "function",
+    function: {
+      name,
+      description,
+      parameters: { type: "object", properties, required, additionalProperties: false },
+    },
+  };
+}
+
+const TASK_TOOLS = [
+  tool(
+    "search_tasks",
+    "Find tasks by words in their title or description.",
+    { query: { type: "string" } },
+    ["query"]
+  ),
+  tool(
+    "create_task",
+    "Propose a new task.",
+    {
+      title: { type: "string" },
+      description: { type: "string" },
+      area: { type: "string" },
+      bucket: { type: "string", enum: BUCKETS },
+      priority: { type: "integer", minimum: 1, maximum: 5, description: "1 is highest" },
+      due_date: { type: "string", description: "YYYY-MM-DD" },
+    },
+    ["title"]
+  ),
+  tool(
+    "update_task",
+    "Propose edits to a task's title, description, area, priority or status.",
+    {
+      id: taskId,
+      title: { type: "string" },
+      description: { type: "string" },
+      area: { type: "string" },
+      priority: { type: "integer", minimum: 1, maximum: 5 },
+      status: { type: "string", enum: STATUSES },
+    },
+    ["id"]
+  ),
+  tool("complete_task", "Propose marking a task done.", { id: taskId }, ["id"]),
+  tool(
+    "reschedule_task",
+    "Propose a new due date (null clears it); the bucket follows the date.",
+    { id: taskId, due_date: { type: ["string", "null"], description: "YYYY-MM-DD or null" } },
+    ["id", "due_date"]
+  ),
+  tool(
+    "set_bucket",
+    "Propose moving a task to another bucket.",
+    { id: taskId, bucket: { type: "string", enum: BUCKETS } },
+    ["id", "bucket"]
+  ),
+];
+
+// Tools that only read and run without confirmation.
+const READ_ONLY_TOOLS = ["search_tasks"];
+
+module.exports = { TASK_TOOLS, READ_ONLY_TOOLS };
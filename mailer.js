@@ -0,0 +1,227 @@
+// mailer.js – outgoing mail over SMTP (no mail library dependency)
+//
+// Speaks just enough SMTP (RFC 5321) to hand one message to a relay: EHLO,
+// STARTTLS when the server offers it, AUTH PLAIN, MAIL/RCPT/DATA. Messages
+// are multipart/alternative (plain text + HTML). Any local SMTP sink
+// (Mailpit, MailHog, smtp4dev) works for testing.
+
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+
+const SMTP_TIMEOUT_MS = 20 * 1000;
+
+/**
+ * Read SMTP settings from the environment.
+ *   SMTP_HOST    relay host; without it mail is off
+ *   SMTP_PORT    default 465 with SMTP_SECURE=true, else 587
+ *   SMTP_SECURE  "true" for TLS from the first byte (port 465); otherwise STARTTLS when offered
+ *   SMTP_USER / SMTP_PASS  AUTH PLAIN credentials (optional)
+ *   SMTP_REQUIRE_TLS  "false" allows sending without TLS when the relay doesn't
+ *                offer STARTTLS; default on when SMTP_USER is set, so credentials
+ *                never go out in cleartext
+ *   MAIL_FROM    sender, e.g. "TonyOS <briefing@example.com>" (default SMTP_USER)
+ */
+function mailConfigFromEnv(env = process.env) {
+  const secure = env.SMTP_SECURE === "true";
+  const user = env.SMTP_USER || null;
+  return {
+    host: env.SMTP_HOST || null,
+    port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+    secure,
+    requireTls: env.SMTP_REQUIRE_TLS ? env.SMTP_REQUIRE_TLS === "true" : Boolean(user),
+    user,
+    pass: env.SMTP_PASS || "",
+    from: env.MAIL_FROM || env.SMTP_USER || "tonyos@localhost",
+  };
+}
+
+// "TonyOS <a@b.c>" → "a@b.c"
+function addressOf(mailbox) {
+  const m = String(mailbox).match(/<([^>]+)>/);
+  return (m ? m[1] : String(mailbox)).trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII header text.
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function base64Lines(text) {
+  return (Buffer.from(text, "utf8").toString("base64").match(/.{1,76}/g) || []).join("\r\n");
+}
+
+// The full message (headers + body) as CRLF text, before dot-stuffing.
+function buildMessage({ from, to, subject, text, html, date = new Date() }) {
+  const boundary = `tonyos-${crypto.randomBytes(12).toString("hex")}`;
+  const domain = addressOf(from).split("@")[1] || "localhost";
+  const part = (type, body) =>
+    [
+      `--${boundary}`,
+      `Content-Type: ${type}; charset=utf-8`,
+      "Content-Transfer-Encoding: base64",
+      "",
+      base64Lines(body),
+    ].join("\r\n");
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    part("text/plain", text),
+    part("text/html", html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+// Reads SMTP replies ("250-…" continuation lines up to "250 …") off a socket.
+function createReplyReader(socket) {
+  const replies = [];
+  const waiters = [];
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, "");
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        const waiter = waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  }
+  function onFailure(err) {
+    failure = err || new Error("SMTP connection closed");
+    while (waiters.length) waiters.shift().reject(failure);
+  }
+  const onClose = () => onFailure(null);
+
+  function attach(s) {
+    s.on("data", onData);
+    s.on("error", onFailure);
+    s.on("close", onClose);
+  }
+  function detach(s) {
+    s.off("data", onData);
+    s.off("error", onFailure);
+    s.off("close", onClose);
+  }
+
+  attach(socket);
+  return {
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    // After STARTTLS: read from the TLS socket wrapping the plain one.
+    switchTo(next) {
+      detach(socket);
+      socket = next;
+      attach(socket);
+    },
+  };
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error("SMTP timed out")));
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => {
+      secured.off("error", reject);
+      resolve(secured);
+    });
+    secured.once("error", reject);
+  });
+}
+
+/**
+ * Hand one message to the relay. Rejects with the server's reply when a
+ * command is refused, so callers can log or report it.
+ */
+async function sendMail(config, { to, subject, text, html }) {
+  let socket = await connect(config);
+  const reader = createReplyReader(socket);
+  const hostname = os.hostname() || "localhost";
+
+  async function command(line, expected) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (Math.floor(reply.code / 100) !== expected) {
+      const verb = line === null ? "greeting" : line.split(" ")[0];
+      throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, 2);
+    const ehlo = await command(`EHLO ${hostname}`, 2);
+    if (!config.secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", 2);
+      socket = await upgradeToTls(socket, config.host);
+      reader.switchTo(socket);
+      await command(`EHLO ${hostname}`, 2);
+    } else if (!config.secure && config.requireTls) {
+      throw new Error("SMTP server does not offer STARTTLS (set SMTP_REQUIRE_TLS=false to allow)");
+    }
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.pass}`).toString("base64");
+      await command(`AUTH PLAIN ${credentials}`, 2);
+    }
+    await command(`MAIL FROM:<${addressOf(config.from)}>`, 2);
+    await command(`RCPT TO:<${addressOf(to)}>`, 2);
+    await command("DATA", 3);
+    const message = buildMessage({ from: config.from, to, subject, text, html });
+    await command(`${message.replace(/^\./gm, "..")}\r\n.`, 2);
+    await command("QUIT", 2).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * configured is false without SMTP_HOST; send() then throws.
+ * describe() → "smtp://mail.example.com:587" for the startup log.
+ */
+function createMailer(config = mailConfigFromEnv()) {
+  return {
+    configured: Boolean(config.host),
+    describe: () => (config.host ? `smtp://${config.host}:${config.port}` : "off"),
+    async send(message) {
+      if (!config.host) throw new Error("Mail is not configured (set SMTP_HOST)");
+      await sendMail(config, message);
+    },
+  };
+}
+
+module.exports = { createMailer, mailConfigFromEnv };
@@ -0,0 +1,52 @@
+// migrate.js
+// Run with: node migrate.js <up|down|status> [--to N] [--steps N]
+// (or npm run migrate -- up). Targets whichever store is configured.
+
+require("dotenv").config();
+const { createStorage } = require("./storage");
+
+function readFlag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+async function main(args) {
+  const command = args[0] || "status";
+  const storage = createStorage();
+  const { migrator } = storage;
+
+  try {
+    if (command === "up") {
+      const ran = await migrator.up({ to: readFlag(args, "to") });
+      if (!ran.length) console.log("Nothing to migrate.");
+      for (const m of ran) console.log(`⬆️  ${m.label}`);
+    } else if (command === "down") {
+      const ran = await migrator.down({
+        steps: readFlag(args, "steps") ?? 1,
+        to: readFlag(args, "to"),
+      });
+      if (!ran.length) console.log("Nothing to revert.");
+      for (const m of ran) console.log(`⬇️  ${m.label}`);
+    } else if (command === "status") {
+      console.log(`${storage.describe()} – schema target ${migrator.latestVersion}`);
+      for (const m of await migrator.status()) {
+        const mark = m.unknown ? "??" : m.applied ? "✅" : "⏳";
+        console.log(`${mark} ${m.label}${m.applied_at ? `  (${m.applied_at})` : ""}`);
+      }
+    } else {
+      throw new Error(`Unknown command '${command}' (expected up, down or status)`);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error("❌ Migration failed:", err.message);
+  process.exitCode = 1;
+});
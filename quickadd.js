@@ -0,0 +1,370 @@
+// quickadd.js – one-line task entry without the LLM (POST /tasks/parse)
+//
+// "Call CPA about trust docs tomorrow 3pm !1 #Finance @this_week" →
+//   { title: "Call CPA about trust docs", due_date, priority: 1, area: "Finance",
+//     bucket: "this_week", … }
+//
+// Rule-based and deterministic: the same text, clock and time zone always
+// give the same result. What it understands:
+//   !1 … !5                      priority
+//   #Area                        area (#TM_Weddings → "TM Weddings"; #42 is not one)
+//   @today @this_week @later     bucket (also @week, @thisweek, @backlog, @someday)
+//   ~30m ~2h ~1h30m              estimate
+//   every day | week | month | year | weekday | monday …, every 2 weeks, every other week
+//   today, tonight, tomorrow, friday, next friday, next week, weekend, in 3 days,
+//   2026-10-20, 10/20, oct 20, 20 october        due date (an optional on / by / due is eaten too)
+//   3pm, 3:30pm, 15:00, noon, midnight           due time (an optional "at" is eaten too)
+// Dates are the caller's local calendar days. A date without a time is due at
+// the end of that day; a time without a date is today, or tomorrow once it
+// has passed. When the text names several dates the last one wins and the
+// others stay in the title. Date- or time-like text that isn't a real one
+// ("25pm", "feb 30") stays in the title too and is reported as ignored.
+// Nothing here touches storage.
+
+const { zonedParts, zonedTimeToUtc } = require("./timezone");
+
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const WEEKDAY_CODES = ["su", "mo", "tu", "we", "th", "fr", "sa"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const BUCKET_ALIASES = {
+  today: "today",
+  this_week: "this_week",
+  thisweek: "this_week",
+  week: "this_week",
+  later: "later",
+  backlog: "later",
+  someday: "later",
+};
+
+const END_OF_DAY = { hour: 23, minute: 59 };
+const TONIGHT = { hour: 20, minute: 0 };
+
+// Regex fragments. A date may follow "on", "by" or "due"; a time may follow "at".
+const DATE_PREFIX = "(?:(?:on|by|due)\\s+)?";
+const TIME_PREFIX = "(?:at\\s+)?";
+const NOT_WORD = "(?![\\w'’])"; // "today" but not "today's"
+const FULL_WEEKDAY = `(${WEEKDAY_NAMES.join("|")})`;
+const SHORT_WEEKDAY = "(sun|mon|tues?|wed|thu(?:rs)?|fri|sat)";
+const MONTH =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?" +
+  "|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const ORDINAL = "(\\d{1,2})(?:st|nd|rd|th)?";
+
+// -------------------- CALENDAR DAYS --------------------
+
+// { year, month (1-12), day, weekday } n days after a calendar day.
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+function isRealDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+// The next weekday on or after today (strictly after with afterToday).
+function nextWeekday(today, weekday, { afterToday = false } = {}) {
+  let ahead = (weekday - today.weekday + 7) % 7;
+  if (ahead === 0 && afterToday) ahead = 7;
+  return addDays(today, ahead);
+}
+
+function dayKey({ year, month, day }) {
+  return year * 10000 + month * 100 + day;
+}
+
+function weekdayIndex(word) {
+  return WEEKDAY_NAMES.findIndex((name) => name.startsWith(word.toLowerCase().slice(0, 3)));
+}
+
+// A month/day without a year is the next one to come (today counts).
+function upcomingDate(today, month, day, year = null) {
+  if (year === null) {
+    const passed = month < today.month || (month === today.month && day < today.day);
+    year = passed ? today.year + 1 : today.year;
+  }
+  return isRealDate(year, month, day) ? { year, month, day } : null;
+}
+
+function countWord(word) {
+  const words = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+  return words[word.toLowerCase()] ?? Number(word);
+}
+
+// -------------------- RULES --------------------
+// Each rule's regex is global and case-insensitive; read(match, today)
+// returns what it found, or null to leave the text alone.
+
+const DATE_RULES = [
+  {
+    re: new RegExp(`\\b${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})\\b`, "gi"),
+    read: (m) => {
+      const [year, month, day] = [Number(m[1]), Number(m[2]), Number(m[3])];
+      return isRealDate(year, month, day) ? { year, month, day } : null;
+    },
+  },
+  {
+    re: new RegExp(
+      `\\b${DATE_PREFIX}(?:${MONTH}\\s+${ORDINAL}|${ORDINAL}\\s+${MONTH})(?:,?\\s+(\\d{4}))?\\b`,
+      "gi"
+    ),
+    read: (m, today) => {
+      const month = MONTHS.indexOf((m[1] || m[4]).toLowerCase().slice(0, 3)) + 1;
+      const day = Number(m[2] || m[3]);
+      return upcomingDate(today, month, day, m[5] ? Number(m[5]) : null);
+    },
+  },
+  {
+    // US order (month/day) unless the first number can't be a month.
+    re: new RegExp(`\\b${DATE_PREFIX}(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{4}))?\\b`, "gi"),
+    read: (m, today) => {
+      let [month, day] = [Number(m[1]), Number(m[2])];
+      if (month > 12) [month, day] = [day, month];
+      return upcomingDate(today, month, day, m[3] ? Number(m[3]) : null);
+    },
+  },
+  {
+    re: new RegExp(`\\b${DATE_PREFIX}(today|tonight|tomorrow|tmrw)${NOT_WORD}`, "gi"),
+    read: (m, today) => {
+      const word = m[1].toLowerCase();
+      const date = word === "today" || word === "tonight" ? today : addDays(today, 1);
+      return { ...date, time: word === "tonight" ? TONIGHT : null };
+    },
+  },
+  {
+    re: /\bin\s+(\d{1,3}|an?|one|two|three|four|five|six)\s+(day|week|month)s?\b/gi,
+    read: (m, today) => {
+      const n = countWord(m[1]);
+      const unit = m[2].toLowerCase();
+      if (unit === "month") {
+        const d = new Date(Date.UTC(today.year, today.month - 1 + n, 1));
+        const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0));
+        const day = Math.min(today.day, lastDay.getUTCDate());
+        return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day };
+      }
+      return addDays(today, unit === "week" ? n * 7 : n);
+    },
+  },
+  {
+    re: new RegExp(`\\b${DATE_PREFIX}(next week|next month|(?:this )?weekend)\\b`, "gi"),
+    read: (m, today) => {
+      const phrase = m[1].toLowerCase();
+      if (phrase === "next week") return nextWeekday(today, 1, { afterToday: true });
+      if (phrase === "next month") {
+        return today.month === 12
+          ? { year: today.year + 1, month: 1, day: 1 }
+          : { year: today.year, month: today.month + 1, day: 1 };
+      }
+      return nextWeekday(today, 6);
+    },
+  },
+  {
+    // "friday" is today on a Friday; "next friday" never is.
+    re: new RegExp(`\\b${DATE_PREFIX}(?:(next|this)\\s+)?${FULL_WEEKDAY}${NOT_WORD}`, "gi"),
+    read: (m, today) =>
+      nextWeekday(today, weekdayIndex(m[2]), { afterToday: /next/i.test(m[1] || "") }),
+  },
+  {
+    // Abbreviations ("fri") only after on / by / due / next / this, so titles keep their words.
+    re: new RegExp(`\\b(?:on|by|due|(next|this))\\s+${SHORT_WEEKDAY}\\b`, "gi"),
+    read: (m, today) =>
+      nextWeekday(today, weekdayIndex(m[2]), { afterToday: /next/i.test(m[1] || "") }),
+  },
+];
+
+const TIME_RULES = [
+  {
+    re: new RegExp(`\\b${TIME_PREFIX}(\\d{1,2})(?::(\\d{2}))?\\s*([ap])\\.?m\\.?(?!\\w)`, "gi"),
+    read: (m) => {
+      const hour = Number(m[1]);
+      if (hour < 1 || hour > 12 || Number(m[2] || 0) > 59) return null;
+      const pm = m[3].toLowerCase() === "p";
+      return { hour: (hour % 12) + (pm ? 12 : 0), minute: Number(m[2] || 0) };
+    },
+  },
+  {
+    re: new RegExp(`\\b${TIME_PREFIX}(\\d{1,2}):(\\d{2})\\b`, "gi"),
+    read: (m) => {
+      const [hour, minute] = [Number(m[1]), Number(m[2])];
+      return hour < 24 && minute < 60 ? { hour, minute } : null;
+    },
+  },
+  {
+    re: new RegExp(`\\b${TIME_PREFIX}(noon|midday|midnight)\\b`, "gi"),
+    read: (m) => (/midnight/i.test(m[1]) ? { hour: 0, minute: 0 } : { hour: 12, minute: 0 }),
+  },
+];
+
+// Inline tokens stand alone: "!1" but not "hi!1", "#Work" but not "C#".
+const PRIORITY_RE = /(?<!\S)!([1-5])(?!\S)/g;
+const AREA_RE = /(?<!\S)#(\p{L}[\p{L}\p{N}_&/-]*)/gu; // starts with a letter: "#42" is an issue
+const BUCKET_RE = /(?<!\S)@(\w+)\b/g;
+const ESTIMATE_RE = /(?<!\S)~(?:(\d+(?:\.\d+)?)h)?(?:(\d+)m(?:in)?)?(?!\S)/gi;
+
+const RECURRENCE_RE = new RegExp(
+  `\\bevery\\s+(?:(other)\\s+|(\\d{1,2})\\s+)?(day|week|month|year|weekday|${WEEKDAY_NAMES.join(
+    "|"
+  )})s?\\b`,
+  "gi"
+);
+
+function readRecurrence(m) {
+  const interval = m[1] ? 2 : Number(m[2] || 1);
+  const unit = m[3].toLowerCase();
+  const rule = (freq, extra = {}) => ({ freq, ...(interval > 1 ? { interval } : {}), ...extra });
+  if (unit === "day") return rule("daily");
+  if (unit === "week") return rule("weekly");
+  if (unit === "month") return rule("monthly");
+  if (unit === "year") return rule("yearly");
+  if (unit === "weekday") return rule("weekly", { by_weekday: ["mo", "tu", "we", "th", "fr"] });
+  return rule("weekly", { by_weekday: [WEEKDAY_CODES[WEEKDAY_NAMES.indexOf(unit)]] });
+}
+
+function readEstimate(m) {
+  const total = Math.round(Number(m[1] || 0) * 60 + Number(m[2] || 0));
+  return total > 0 ? total : null;
+}
+
+// -------------------- PARSER --------------------
+
+/**
+ * Parse one line of quick-add text. Returns
+ *   { title, title_missing, due_date (ISO or null), due_time ("HH:MM" or null),
+ *     priority, area, bucket, estimated_minutes, recurrence, matches }
+ * Fields the text doesn't mention are null; title_missing is true when
+ * nothing but inline syntax was typed. matches lists what was taken out of
+ * the title, in text order: [{ field, text }], plus { field, text, ignored: true }
+ * for date- or time-like text that was left in it.
+ */
+function parseQuickAdd(text, { now = new Date(), timeZone = "UTC" } = {}) {
+  const source = String(text);
+  const local = zonedParts(now, timeZone);
+  const today = { year: local.year, month: local.month, day: local.day, weekday: local.weekday };
+  const taken = []; // { start, end, field, text }
+
+  const isFree = (start, end) => taken.every((t) => end <= t.start || start >= t.end);
+  const take = (m, field) => {
+    const entry = { start: m.index, end: m.index + m[0].length, field, text: m[0].trim() };
+    taken.push(entry);
+    return entry;
+  };
+  // Every match of re on text not already taken, each read(); nulls dropped.
+  const scan = (re, read) =>
+    [...source.matchAll(re)]
+      .filter((m) => isFree(m.index, m.index + m[0].length))
+      .map((m) => ({ m, value: read(m, today) }))
+      .filter((hit) => hit.value !== null && hit.value !== undefined);
+  // The last hit wins; earlier ones stay in the title.
+  const takeLast = (hits, field) => {
+    if (!hits.length) return null;
+    const hit = hits.reduce((a, b) => (b.m.index > a.m.index ? b : a));
+    take(hit.m, field);
+    return hit.value;
+  };
+
+  const result = {
+    title: "",
+    due_date: null,
+    due_time: null,
+    priority: null,
+    area: null,
+    bucket: null,
+    estimated_minutes: null,
+    recurrence: null,
+  };
+
+  result.priority = takeLast(scan(PRIORITY_RE, (m) => Number(m[1])), "priority");
+  result.area = takeLast(scan(AREA_RE, (m) => m[1].replace(/_/g, " ")), "area");
+  result.bucket = takeLast(
+    scan(BUCKET_RE, (m) => BUCKET_ALIASES[m[1].toLowerCase()] || null),
+    "bucket"
+  );
+  result.estimated_minutes = takeLast(scan(ESTIMATE_RE, readEstimate), "estimated_minutes");
+  result.recurrence = takeLast(scan(RECURRENCE_RE, readRecurrence), "recurrence");
+
+  const date = takeLast(
+    DATE_RULES.flatMap((rule) => scan(rule.re, rule.read)),
+    "due_date"
+  );
+  const explicitTime = takeLast(
+    TIME_RULES.flatMap((rule) => scan(rule.re, rule.read)),
+    "due_time"
+  );
+
+  const time = explicitTime || (date && date.time) || null;
+  const dueOn = (d) =>
+    zonedTimeToUtc({ year: d.year, month: d.month, day: d.day, ...(time || END_OF_DAY) }, timeZone);
+  // "every monday" with no other date starts on the coming Monday.
+  const weekdays = result.recurrence && result.recurrence.by_weekday;
+  const firstWeekday = (afterToday) =>
+    weekdays
+      .map((code) => nextWeekday(today, WEEKDAY_CODES.indexOf(code), { afterToday }))
+      .reduce((a, b) => (dayKey(b) < dayKey(a) ? b : a));
+
+  let day = date || (weekdays ? firstWeekday(false) : time ? today : null);
+  if (day && !date && dueOn(day) <= now) {
+    // Already past today: a bare time means tomorrow, "every monday" next Monday.
+    day = weekdays ? firstWeekday(true) : addDays(today, 1);
+  }
+  if (day) {
+    const due = dueOn(day);
+    result.due_date = due.toISOString();
+    if (time) {
+      const pad = (n) => String(n).padStart(2, "0");
+      result.due_time = `${pad(time.hour)}:${pad(time.minute)}`;
+    }
+  }
+
+  // Title: everything not taken, minus prepositions and punctuation left dangling.
+  let title = "";
+  let cursor = 0;
+  for (const t of [...taken].sort((a, b) => a.start - b.start)) {
+    title += `${source.slice(cursor, t.start)} `;
+    cursor = t.end;
+  }
+  title += source.slice(cursor);
+  result.title = title
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/(?:[\s,;:–-]+(?:on|by|at|due|for)?)+$/i, "")
+    .replace(/^[\s,;:–-]+/, "");
+
+  result.title_missing = !result.title;
+
+  const ignored = [];
+  const rules = [
+    ...DATE_RULES.map((rule) => ["due_date", rule]),
+    ...TIME_RULES.map((rule) => ["due_time", rule]),
+  ];
+  for (const [field, rule] of rules) {
+    for (const m of source.matchAll(rule.re)) {
+      const [start, end] = [m.index, m.index + m[0].length];
+      const free = isFree(start, end) && ignored.every((t) => end <= t.start || start >= t.end);
+      if (free && rule.read(m, today) === null) {
+        ignored.push({ start, end, field, text: m[0].trim(), ignored: true });
+      }
+    }
+  }
+
+  result.matches = [...taken, ...ignored]
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, ...match }) => match);
+  return result;
+}
+
+module.exports = { parseQuickAdd };
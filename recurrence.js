@@ -0,0 +1,219 @@
+// recurrence.js – repeat rules for tasks (daily / weekly / monthly / yearly)
+//
+// Rule shape (stored as JSON on tasks.recurrence):
+//   { freq: "weekly", interval: 2, by_weekday: ["mo", "th"], until: "2026-06-30", count: 10 }
+// Monthly and yearly rules also carry month_day, the series' day of the month:
+// a series due on the 31st lands on the 28th in February and back on the 31st
+// in March. Without one the day comes from the due date (anchorRecurrence).
+// Date-only due dates (stored at 00:00 UTC) step as calendar dates. Timed ones
+// step on the wall clock of the caller's time zone: a 9pm task stays at 9pm
+// across DST changes, and by_weekday / month_day mean that zone's days.
+
+const { zonedParts, zonedTimeToUtc } = require("./timezone");
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const WEEKDAYS = ["su", "mo", "tu", "we", "th", "fr", "sa"];
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RULE_KEYS = ["freq", "interval", "by_weekday", "month_day", "until", "count"];
+
+function validateRecurrence(rule) {
+  const errors = [];
+  if (rule === null) return errors;
+  if (typeof rule !== "object" || Array.isArray(rule)) {
+    return ["recurrence must be an object or null."];
+  }
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) {
+      errors.push(`recurrence.${key} is not a rule field (${RULE_KEYS.join(", ")}).`);
+    }
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    errors.push("recurrence.freq must be one of: daily, weekly, monthly, yearly.");
+  }
+  if (rule.interval !== undefined) {
+    const n = Number(rule.interval);
+    if (!Number.isInteger(n) || n < 1 || n > 365) {
+      errors.push("recurrence.interval must be an integer between 1 and 365.");
+    }
+  }
+  if (rule.by_weekday !== undefined) {
+    if (rule.freq !== "weekly") {
+      errors.push("recurrence.by_weekday is only valid with freq 'weekly'.");
+    } else if (
+      !Array.isArray(rule.by_weekday) ||
+      !rule.by_weekday.length ||
+      rule.by_weekday.some((d) => !WEEKDAYS.includes(String(d).toLowerCase()))
+    ) {
+      errors.push("recurrence.by_weekday must be a list of: su, mo, tu, we, th, fr, sa.");
+    }
+  }
+  if (rule.month_day !== undefined) {
+    const n = Number(rule.month_day);
+    if (!["monthly", "yearly"].includes(rule.freq)) {
+      errors.push("recurrence.month_day is only valid with freq 'monthly' or 'yearly'.");
+    } else if (!Number.isInteger(n) || n < 1 || n > 31) {
+      errors.push("recurrence.month_day must be an integer between 1 and 31.");
+    }
+  }
+  if (rule.until !== undefined && rule.until !== null) {
+    if (Number.isNaN(new Date(rule.until).getTime())) {
+      errors.push("recurrence.until must be a valid date.");
+    }
+  }
+  if (rule.count !== undefined && rule.count !== null) {
+    const n = Number(rule.count);
+    if (!Number.isInteger(n) || n < 1) {
+      errors.push("recurrence.count must be a positive integer.");
+    }
+  }
+  return errors;
+}
+
+// Canonical form of an already-validated rule.
+function normalizeRecurrence(rule) {
+  if (!rule) return null;
+  const out = { freq: rule.freq, interval: Number(rule.interval || 1) };
+  if (rule.freq === "weekly" && Array.isArray(rule.by_weekday)) {
+    const days = rule.by_weekday.map((d) => String(d).toLowerCase());
+    out.by_weekday = WEEKDAYS.filter((d) => days.includes(d));
+  }
+  if (["monthly", "yearly"].includes(rule.freq) && rule.month_day !== undefined) {
+    out.month_day = Number(rule.month_day);
+  }
+  if (rule.until) out.until = new Date(rule.until).toISOString();
+  if (rule.count) out.count = Number(rule.count);
+  return out;
+}
+
+// The calendar day a due date falls on, as 00:00 UTC of that date: date-only
+// due dates as stored, timed ones in timeZone. Null for invalid dates.
+function calendarDay(date, timeZone) {
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  if (d.getTime() % DAY_MS === 0) return d;
+  const { year, month, day } = zonedParts(d, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// A monthly or yearly rule pinned to the day of `dueDate` unless it has a month_day already.
+function anchorRecurrence(rule, dueDate, { timeZone = "UTC" } = {}) {
+  if (!rule || !["monthly", "yearly"].includes(rule.freq) || rule.month_day) return rule;
+  const day = dueDate ? calendarDay(dueDate, timeZone) : null;
+  return day ? { ...rule, month_day: day.getUTCDate() } : rule;
+}
+
+// `months` later on `day` (default: date's own day), clamped to that month's last day.
+function addMonthsClamped(date, months, day = date.getUTCDate()) {
+  const d = new Date(date.getTime());
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+function startOfWeekMs(date) {
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return midnight - date.getUTCDay() * DAY_MS;
+}
+
+function nextWeekly(from, interval, byWeekday) {
+  if (!byWeekday || !byWeekday.length) {
+    return new Date(from.getTime() + interval * 7 * DAY_MS);
+  }
+  const wanted = byWeekday.map((d) => WEEKDAYS.indexOf(d));
+  const baseWeek = startOfWeekMs(from);
+  // Scan at most interval+1 weeks ahead for the next allowed weekday.
+  for (let i = 1; i <= 7 * (interval + 1); i++) {
+    const candidate = new Date(from.getTime() + i * DAY_MS);
+    const weeksApart = Math.round((startOfWeekMs(candidate) - baseWeek) / (7 * DAY_MS));
+    if (weeksApart % interval === 0 && wanted.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Whether an occurrence on `day` (calendarDay) at `instant` is past the rule's
+// until. A date-only until ("2026-06-30", stored at 00:00 UTC like date-only
+// due dates) includes that whole day; a timed one is a cut-off instant.
+function pastUntil(until, day, instant) {
+  const limit = new Date(until).getTime();
+  return limit % DAY_MS === 0 ? day.getTime() > limit : instant.getTime() > limit;
+}
+
+/**
+ * Due date of the occurrence after `from` (the current due date, or the
+ * completion time for undated tasks). `occurrence` is the 1-based index of
+ * the task being completed; timeZone is the wall clock timed due dates keep.
+ * Returns null when the series has ended.
+ */
+function nextOccurrence(rule, from, occurrence = 1, { timeZone = "UTC" } = {}) {
+  if (!rule) return null;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const base = calendarDay(from, timeZone);
+  if (!base) return null;
+  const interval = rule.interval || 1;
+
+  let day;
+  if (rule.freq === "daily") day = new Date(base.getTime() + interval * DAY_MS);
+  else if (rule.freq === "weekly") day = nextWeekly(base, interval, rule.by_weekday);
+  else if (rule.freq === "monthly") day = addMonthsClamped(base, interval, rule.month_day);
+  else if (rule.freq === "yearly") day = addMonthsClamped(base, interval * 12, rule.month_day);
+  else return null;
+  if (!day) return null;
+
+  // Timed due dates keep their time of day in timeZone.
+  let next = day;
+  const start = new Date(from);
+  if (start.getTime() !== base.getTime()) {
+    const { hour, minute, second } = zonedParts(start, timeZone);
+    next = zonedTimeToUtc(
+      {
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+        hour,
+        minute,
+        second,
+      },
+      timeZone
+    );
+  }
+
+  if (rule.until && pastUntil(rule.until, day, next)) return null;
+  return next;
+}
+
+// Short human label, e.g. "Every 2 weeks on Mon, Thu (until Jun 30)".
+function describeRecurrence(rule) {
+  if (!rule) return null;
+  const interval = rule.interval || 1;
+  const unit = { daily: "day", weekly: "week", monthly: "month", yearly: "year" }[rule.freq];
+  let text =
+    interval === 1
+      ? { daily: "Daily", weekly: "Weekly", monthly: "Monthly", yearly: "Yearly" }[rule.freq]
+      : `Every ${interval} ${unit}s`;
+  if (rule.by_weekday && rule.by_weekday.length) {
+    text += ` on ${rule.by_weekday.map((d) => WEEKDAY_LABELS[WEEKDAYS.indexOf(d)]).join(", ")}`;
+  }
+  if (rule.until) {
+    const until = new Date(rule.until);
+    text += ` (until ${until.toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" })})`;
+  } else if (rule.count) {
+    text += ` (${rule.count} times)`;
+  }
+  return text;
+}
+
+module.exports = {
+  FREQUENCIES,
+  validateRecurrence,
+  normalizeRecurrence,
+  anchorRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+};
@@ -0,0 +1,71 @@
+// scheduler.js – run a job once a day at a local wall-clock time (no cron dependency)
+
+const { zonedParts, zonedTimeToUtc } = require("./timezone");
+
+// "06:30" → { hour: 6, minute: 30 }, or null when it isn't a valid time.
+function parseTimeOfDay(value) {
+  const m = String(value || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const minute = Number(m[2]);
+  return hour < 24 && minute < 60 ? { hour, minute } : null;
+}
+
+// The slot on the local calendar day `offset` days from now's local date.
+function slotOnDay(now, { hour, minute }, timeZone, offset) {
+  const today = zonedParts(now, timeZone);
+  return zonedTimeToUtc(
+    { year: today.year, month: today.month, day: today.day + offset, hour, minute },
+    timeZone
+  );
+}
+
+// First run strictly after `now`.
+function nextRunAfter(now, time, timeZone) {
+  const today = slotOnDay(now, time, timeZone, 0);
+  return today > now ? today : slotOnDay(now, time, timeZone, 1);
+}
+
+// Most recent run at or before `now` (what a server that was asleep has missed).
+function previousRunAt(now, time, timeZone) {
+  const today = slotOnDay(now, time, timeZone, 0);
+  return today <= now ? today : slotOnDay(now, time, timeZone, -1);
+}
+
+/**
+ * Calls run(slot) every day at `time` ({ hour, minute }) in timeZone, where
+ * slot is the scheduled instant. Errors go to onError; the next day still runs.
+ * The timer is unref'd so it never keeps the process alive on its own.
+ */
+function createDailyScheduler({ time, timeZone, run, onError = console.error }) {
+  let timer = null;
+  let nextRun = null;
+
+  function schedule() {
+    nextRun = nextRunAfter(new Date(), time, timeZone);
+    timer = setTimeout(async () => {
+      const slot = nextRun;
+      try {
+        await run(slot);
+      } catch (err) {
+        onError(err);
+      }
+      schedule();
+    }, nextRun.getTime() - Date.now());
+    timer.unref();
+  }
+
+  return {
+    start() {
+      if (!timer) schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRun = null;
+    },
+    nextRun: () => nextRun,
+  };
+}
+
+module.exports = { parseTimeOfDay, nextRunAfter, previousRunAt, createDailyScheduler };
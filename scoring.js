@@ -0,0 +1,351 @@
+// scoring.js – the TonyOS score, shared by the backend (require) and the dashboard (<script>)
+//
+// score = (wL·L + wU·U + wR·R − wF·F + wB·B) × area multiplier, w = the component weights
+//
+//   L  leverage   6 − priority (P1 → 5 … P5 → 1)
+//   U  urgency    from the due date (overdue / due within N hours), else from the bucket
+//   R  risk       follows urgency (U ≥ 4 → 4, U = 3 → 3, else 2)
+//   F  friction   from effort (tracked minutes, else the estimate) when there is any,
+//                 else the first keyword rule matching the description, else the default
+//   B  unblock    open tasks this one blocks, capped at max_unblock
+//
+// Leverage, risk and friction stored on a task win over the rules; the server
+// stores them at write time and re-scores every task when the rules change.
+// Rules are stored per user (GET/PUT /scoring); missing keys fall back to DEFAULT_SCORING.
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.TonyScoring = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const COMPONENTS = ["leverage", "urgency", "risk", "friction", "unblock"];
+  const BUCKETS = ["today", "this_week", "later"];
+
+  const DEFAULT_SCORING = {
+    weights: { leverage: 1, urgency: 1, risk: 1, friction: 1, unblock: 1 },
+    urgency: {
+      overdue: 5,
+      // Checked in order; the first window the due date falls into wins.
+      due_within: [
+        { hours: 24, score: 4 },
+        { hours: 72, score: 3 },
+        { hours: 168, score: 2 },
+      ],
+      due_later: 1,
+      buckets: { today: 3, this_week: 2, later: 1 },
+    },
+    friction: {
+      default: 2,
+      rules: [
+        { keywords: ["tax", "accounting", "legal"], score: 3 },
+        { keywords: ["call", "email"], score: 1 },
+      ],
+      // Like urgency.due_within: the first window the effort fits in wins.
+      effort_within: [
+        { minutes: 30, score: 1 },
+        { minutes: 120, score: 2 },
+        { minutes: 480, score: 3 },
+      ],
+      effort_over: 4,
+    },
+    area_multipliers: {},
+    max_unblock: 3,
+  };
+
+  const HOUR_MS = 1000 * 60 * 60;
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  function isNumber(value, min = -Infinity, max = Infinity) {
+    return typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+  }
+
+  /**
+   * Full rules from a stored (possibly partial) document. Objects are merged
+   * key by key; lists (due_within, friction rules, effort_within) replace the defaults.
+   */
+  function resolveScoring(custom) {
+    const c = isObject(custom) ? custom : {};
+    const rules = clone(DEFAULT_SCORING);
+    const urgency = isObject(c.urgency) ? c.urgency : {};
+    const friction = isObject(c.friction) ? c.friction : {};
+
+    Object.assign(rules.weights, c.weights);
+    if (urgency.overdue !== undefined) rules.urgency.overdue = urgency.overdue;
+    if (urgency.due_within !== undefined) rules.urgency.due_within = clone(urgency.due_within);
+    if (urgency.due_later !== undefined) rules.urgency.due_later = urgency.due_later;
+    Object.assign(rules.urgency.buckets, urgency.buckets);
+    if (friction.default !== undefined) rules.friction.default = friction.default;
+    if (friction.rules !== undefined) rules.friction.rules = clone(friction.rules);
+    if (friction.effort_within !== undefined) {
+      rules.friction.effort_within = clone(friction.effort_within);
+    }
+    if (friction.effort_over !== undefined) rules.friction.effort_over = friction.effort_over;
+    if (c.area_multipliers !== undefined) rules.area_multipliers = clone(c.area_multipliers);
+    if (c.max_unblock !== undefined) rules.max_unblock = c.max_unblock;
+    return rules;
+  }
+
+  // Error strings for a (partial) rules document; empty when valid.
+  function validateScoring(input) {
+    if (!isObject(input)) return ["Scoring rules must be an object."];
+    const errors = [];
+    const allowed = ["weights", "urgency", "friction", "area_multipliers", "max_unblock"];
+    for (const key of Object.keys(input)) {
+      if (!allowed.includes(key)) errors.push(`Unknown key '${key}'.`);
+    }
+
+    if (input.weights !== undefined) {
+      if (!isObject(input.weights)) errors.push("weights must be an object.");
+      else {
+        for (const [key, value] of Object.entries(input.weights)) {
+          if (!COMPONENTS.includes(key)) {
+            errors.push(`weights.${key} is not a component (${COMPONENTS.join(", ")}).`);
+          } else if (!isNumber(value, 0, 10)) {
+            errors.push(`weights.${key} must be a number between 0 and 10.`);
+          }
+        }
+      }
+    }
+
+    const urgency = input.urgency;
+    if (urgency !== undefined) {
+      if (!isObject(urgency)) errors.push("urgency must be an object.");
+      else {
+        for (const key of ["overdue", "due_later"]) {
+          if (urgency[key] !== undefined && !isNumber(urgency[key], 0, 100)) {
+            errors.push(`urgency.${key} must be a number between 0 and 100.`);
+          }
+        }
+        if (urgency.due_within !== undefined) {
+          const windows = urgency.due_within;
+          if (!Array.isArray(windows) || windows.length > 20) {
+            errors.push("urgency.due_within must be an array of at most 20 windows.");
+          } else {
+            windows.forEach((w, i) => {
+              if (!isObject(w) || !isNumber(w.hours, 0) || w.hours === 0) {
+                errors.push(`urgency.due_within[${i}].hours must be a positive number.`);
+              } else if (i > 0 && isObject(windows[i - 1]) && w.hours <= windows[i - 1].hours) {
+                errors.push("urgency.due_within must be sorted by increasing hours.");
+              }
+              if (!isObject(w) || !isNumber(w.score, 0, 100)) {
+                errors.push(`urgency.due_within[${i}].score must be a number between 0 and 100.`);
+              }
+            });
+          }
+        }
+        if (urgency.buckets !== undefined) {
+          if (!isObject(urgency.buckets)) errors.push("urgency.buckets must be an object.");
+          else {
+            for (const [key, value] of Object.entries(urgency.buckets)) {
+              if (!BUCKETS.includes(key)) {
+                errors.push(`urgency.buckets.${key} is not a bucket (${BUCKETS.join(", ")}).`);
+              } else if (!isNumber(value, 0, 100)) {
+                errors.push(`urgency.buckets.${key} must be a number between 0 and 100.`);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    const friction = input.friction;
+    if (friction !== undefined) {
+      if (!isObject(friction)) errors.push("friction must be an object.");
+      else {
+        for (const key of ["default", "effort_over"]) {
+          if (friction[key] !== undefined && !isNumber(friction[key], 0, 100)) {
+            errors.push(`friction.${key} must be a number between 0 and 100.`);
+          }
+        }
+        if (friction.effort_within !== undefined) {
+          const windows = friction.effort_within;
+          if (!Array.isArray(windows) || windows.length > 20) {
+            errors.push("friction.effort_within must be an array of at most 20 windows.");
+          } else {
+            windows.forEach((w, i) => {
+              if (!isObject(w) || !isNumber(w.minutes, 0) || w.minutes === 0) {
+                errors.push(`friction.effort_within[${i}].minutes must be a positive number.`);
+              } else if (i > 0 && isObject(windows[i - 1]) && w.minutes <= windows[i - 1].minutes) {
+                errors.push("friction.effort_within must be sorted by increasing minutes.");
+              }
+              if (!isObject(w) || !isNumber(w.score, 0, 100)) {
+                errors.push(
+                  `friction.effort_within[${i}].score must be a number between 0 and 100.`
+                );
+              }
+            });
+          }
+        }
+        if (friction.rules !== undefined) {
+          if (!Array.isArray(friction.rules) || friction.rules.length > 50) {
+            errors.push("friction.rules must be an array of at most 50 rules.");
+          } else {
+            friction.rules.forEach((rule, i) => {
+              const keywords = isObject(rule) ? rule.keywords : null;
+              if (
+                !Array.isArray(keywords) ||
+                !keywords.length ||
+                !keywords.every((k) => typeof k === "string" && k.trim())
+              ) {
+                errors.push(`friction.rules[${i}].keywords must be a non-empty list of words.`);
+              }
+              if (!isObject(rule) || !isNumber(rule.score, 0, 100)) {
+                errors.push(`friction.rules[${i}].score must be a number between 0 and 100.`);
+              }
+            });
+          }
+        }
+      }
+    }
+
+    if (input.area_multipliers !== undefined) {
+      if (!isObject(input.area_multipliers)) errors.push("area_multipliers must be an object.");
+      else {
+        for (const [area, value] of Object.entries(input.area_multipliers)) {
+          if (!isNumber(value, 0, 10)) {
+            errors.push(`area_multipliers['${area}'] must be a number between 0 and 10.`);
+          }
+        }
+      }
+    }
+
+    if (
+      input.max_unblock !== undefined &&
+      !(Number.isInteger(input.max_unblock) && input.max_unblock >= 0 && input.max_unblock <= 20)
+    ) {
+      errors.push("max_unblock must be an integer between 0 and 20.");
+    }
+
+    return errors;
+  }
+
+  // Each rule returns { value, reason }.
+  function leverageRule(task) {
+    const raw = Number(task.priority ?? 3);
+    const p = Math.min(Math.max(Number.isNaN(raw) ? 3 : raw, 1), 5);
+    return { value: 6 - p, reason: `priority P${p}` };
+  }
+
+  function urgencyRule(task, rules, now) {
+    const u = rules.urgency;
+    const due = task.due_date ? new Date(task.due_date) : null;
+    if (due && !Number.isNaN(due.getTime())) {
+      const diffHours = (due.getTime() - now.getTime()) / HOUR_MS;
+      if (diffHours < 0) return { value: u.overdue, reason: "overdue" };
+      for (const w of u.due_within) {
+        if (diffHours <= w.hours) return { value: w.score, reason: `due within ${w.hours}h` };
+      }
+      return { value: u.due_later, reason: "due later" };
+    }
+    if (task.due_date) return { value: u.due_later, reason: "unreadable due date" };
+    const bucket = BUCKETS.includes(task.bucket) ? task.bucket : "later";
+    return { value: u.buckets[bucket], reason: `no due date, bucket ${bucket}` };
+  }
+
+  function riskRule(urgency) {
+    if (urgency >= 4) return { value: 4, reason: `urgency ${urgency}` };
+    if (urgency === 3) return { value: 3, reason: "urgency 3" };
+    return { value: 2, reason: `urgency ${urgency}` };
+  }
+
+  // Real effort first: tracked time, then the estimate.
+  function effortFriction(task, rules) {
+    const tracked = Number(task.tracked_minutes) || 0;
+    const estimated = Number(task.estimated_minutes) || 0;
+    const minutes = tracked || estimated;
+    if (!minutes) return null;
+    const label = tracked ? `tracked ${Math.round(tracked)} min` : `estimated ${estimated} min`;
+    for (const w of rules.friction.effort_within) {
+      if (minutes <= w.minutes) return { value: w.score, reason: `${label} (≤ ${w.minutes})` };
+    }
+    return { value: rules.friction.effort_over, reason: label };
+  }
+
+  function frictionRule(task, rules) {
+    const effort = effortFriction(task, rules);
+    if (effort) return effort;
+    const desc = (task.description || "").toLowerCase();
+    if (!desc) return { value: rules.friction.default, reason: "no description" };
+    for (const rule of rules.friction.rules) {
+      const hit = rule.keywords.find((k) => desc.includes(k.trim().toLowerCase()));
+      if (hit) return { value: rule.score, reason: `description mentions "${hit}"` };
+    }
+    return { value: rules.friction.default, reason: "no friction keyword" };
+  }
+
+  // A value stored on the task wins over the rule; the reason says so when they differ.
+  function withStored(task, key, ruled) {
+    const stored = task[`${key}_score`];
+    if (typeof stored !== "number" || stored === ruled.value) return ruled;
+    return { value: stored, reason: `stored on task (rules give ${ruled.value}: ${ruled.reason})` };
+  }
+
+  function areaMultiplier(task, rules) {
+    const area = String(task.area || "").trim().toLowerCase();
+    if (!area) return 1;
+    for (const [name, multiplier] of Object.entries(rules.area_multipliers)) {
+      if (name.trim().toLowerCase() === area) return multiplier;
+    }
+    return 1;
+  }
+
+  /**
+   * Component-by-component breakdown: { score, subtotal, area_multiplier, components },
+   * each component being { value, weight, points, reason }.
+   */
+  function explainScore(task, rules = DEFAULT_SCORING, now = new Date()) {
+    const leverage = withStored(task, "leverage", leverageRule(task));
+    const urgency = urgencyRule(task, rules, now);
+    const risk = withStored(task, "risk", riskRule(urgency.value));
+    const friction = withStored(task, "friction", frictionRule(task, rules));
+    const unblocks = Number(task.unblocks_count) || 0;
+    const unblock = {
+      value: Math.min(unblocks, rules.max_unblock),
+      reason: unblocks ? `unblocks ${unblocks} open task(s)` : "blocks nothing open",
+    };
+
+    const values = { leverage, urgency, risk, friction, unblock };
+    const components = {};
+    let subtotal = 0;
+    for (const name of COMPONENTS) {
+      const weight = rules.weights[name];
+      const sign = name === "friction" ? -1 : 1;
+      const points = round2(sign * weight * values[name].value);
+      components[name] = { ...values[name], weight, points };
+      subtotal += points;
+    }
+
+    const multiplier = areaMultiplier(task, rules);
+    return {
+      score: round2(subtotal * multiplier),
+      subtotal: round2(subtotal),
+      area_multiplier: multiplier,
+      components,
+    };
+  }
+
+  // Component values plus the total, in the shape tasks are stored and served with.
+  function computeScore(task, rules = DEFAULT_SCORING, now = new Date()) {
+    const { score, components } = explainScore(task, rules, now);
+    return {
+      leverage_score: components.leverage.value,
+      urgency_score: components.urgency.value,
+      risk_score: components.risk.value,
+      friction_score: components.friction.value,
+      unblock_score: components.unblock.value,
+      tony_score: score,
+    };
+  }
+
+  return { DEFAULT_SCORING, resolveScoring, validateScoring, explainScore, computeScore };
+});
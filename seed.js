@@ -1,29 +1,12 @@
 // seed.js
-// Run with: node seed.js
+// Run with: node seed.js (after `npm run migrate up`)
+// Seeds whichever store is configured (DATABASE_URL → Postgres, else tasks.db).
+// SEED_OWNER_EMAIL=you@example.com seeds (and wipes) only that user's tasks.
+// Without it: no accounts yet → tasks are left unowned and the first account
+// to register adopts them; one account → that account's; more → refused.
 
-const Database = require("better-sqlite3");
-
-// open (or create) DB
-const db = new Database("tasks.db");
-
-// create table (same schema your backend expects)
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS tasks (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT NOT NULL,
-    description TEXT NOT NULL,
-    area TEXT NOT NULL,
-    status TEXT NOT NULL,       -- todo, doing, done
-    bucket TEXT NOT NULL,       -- today, this_week, later
-    priority INTEGER NOT NULL,  -- 1 = highest
-    due_date TEXT,              -- ISO string
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )
-`).run();
-
-// wipe existing rows so you don't get duplicates
-db.prepare(`DELETE FROM tasks`).run();
+require("dotenv").config();
+const { createStorage } = require("./storage");
 
 const now = new Date().toISOString();
 
@@ -33,7 +16,7 @@ const tasks = [
     title: "Load 2025 weddings + shoots into AI dashboard",
     description: "Import all 2025 weddings / shoots so the board reflects real pipeline.",
     area: "TM Weddings",
-    status: "todo",
+    status: "open",
     bucket: "today",
     priority: 1,
     due_date: new Date().toISOString()
@@ -42,7 +25,7 @@ const tasks = [
     title: "Schedule Dec/Jan team headshot + interview filming days",
     description: "Lock in dates for team portraits + shooter interviews before holidays.",
     area: "TM Weddings",
-    status: "todo",
+    status: "open",
     bucket: "today",
     priority: 1,
     due_date: new Date().toISOString()
@@ -51,7 +34,7 @@ const tasks = [
     title: "Set pre-production date for TM Weddings commercial",
     description: "Pick and schedule the pre-pro meeting for the 2026 TM Weddings spot.",
     area: "TM Weddings",
-    status: "todo",
+    status: "open",
     bucket: "today",
     priority: 2,
     due_date: new Date().toISOString()
@@ -60,7 +43,7 @@ const tasks = [
     title: "Finalize Ma’s snack product designs & send to manufacturers",
     description: "Lock packaging and send final art files to manufacturers for quoting.",
     area: "Ma’s Fresh Foods",
-    status: "todo",
+    status: "open",
     bucket: "today",
     priority: 1,
     due_date: new Date().toISOString()
@@ -71,7 +54,7 @@ const tasks = [
     title: "TM Weddings retention policy (storage + upsell system)",
     description: "Define gallery expiration, cold storage, and paid extension upsells.",
     area: "TM Weddings",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 2,
     due_date: null
@@ -80,7 +63,7 @@ const tasks = [
     title: "Prep café plan for May 1–4 festival",
     description: "Staffing, inventory, hours, signage, and flow for festival weekend.",
     area: "Ma’s Crepes & Cakes",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 3,
     due_date: null
@@ -89,7 +72,7 @@ const tasks = [
     title: "Build cold-storage plan for café digital assets",
     description: "Where photos, menus, designs, and footage live long-term and how.",
     area: "Ma’s Crepes & Cakes",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 3,
     due_date: null
@@ -98,7 +81,7 @@ const tasks = [
     title: "Gather all entity documents for trust/holding review",
     description: "Pull LLC docs, operating agreements, tax returns for CPA/attorney.",
     area: "Trust & Holdings",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 2,
     due_date: null
@@ -107,7 +90,7 @@ const tasks = [
     title: "Begin QNAP redundancy upgrade plan",
     description: "Decide on mirror/backup strategy, hardware, and budget for storage.",
     area: "Infrastructure",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 1,
     due_date: null
@@ -118,7 +101,7 @@ const tasks = [
     title: "Draft 2026 restructuring map (trust → holding → LLCs)",
     description: "High-level diagram of entities, flows, and roles for 2026 structure.",
     area: "Trust & Holdings",
-    status: "todo",
+    status: "open",
     bucket: "later",
     priority: 1,
     due_date: "2025-12-15T00:00:00.000Z"
@@ -127,7 +110,7 @@ const tasks = [
     title: "Build asset list for transfer into the holding company",
     description: "Cameras, lenses, computers, IP, domains, vehicles, etc.",
     area: "Trust & Holdings",
-    status: "todo",
+    status: "open",
     bucket: "later",
     priority: 2,
     due_date: "2025-12-20T00:00:00.000Z"
@@ -136,7 +119,7 @@ const tasks = [
     title: "Consolidate all bookkeeping for 2024 → 2025",
     description: "Clean books across all entities before restructuring + tax season.",
     area: "Finance",
-    status: "todo",
+    status: "open",
     bucket: "later",
     priority: 2,
     due_date: "2025-12-31T00:00:00.000Z"
@@ -147,7 +130,7 @@ const tasks = [
     title: "Schedule annual health check + bloodwork",
     description: "Book appointment and get base health data for 2026 push.",
     area: "Personal",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 1,
     due_date: null
@@ -156,7 +139,7 @@ const tasks = [
     title: "Set weekly ‘3 Key Habits’ routine (sleep, gym, food)",
     description: "Lock simple weekly schedule for sleep, training, and meals.",
     area: "Personal",
-    status: "todo",
+    status: "open",
     bucket: "this_week",
     priority: 2,
     due_date: null
@@ -165,31 +148,48 @@ const tasks = [
     title: "Plan December family days (Eden, Noah, Brynn)",
     description: "Pick specific days and rough plans so work doesn’t swallow them.",
     area: "Family",
-    status: "todo",
+    status: "open",
     bucket: "later",
     priority: 1,
     due_date: "2025-12-05T00:00:00.000Z"
   }
 ];
 
-const insert = db.prepare(`
-  INSERT INTO tasks
-    (title, description, area, status, bucket, priority, due_date, created_at, updated_at)
-  VALUES
-    (@title, @description, @area, @status, @bucket, @priority, @due_date, @created_at, @updated_at)
-`);
+(async () => {
+  const storage = createStorage();
+  try {
+    await storage.migrator.assertCurrent();
 
-const tx = db.transaction((rows) => {
-  for (const t of rows) {
-    insert.run({
-      ...t,
-      created_at: now,
-      updated_at: now
-    });
-  }
-});
+    let target = storage;
+    if (process.env.SEED_OWNER_EMAIL) {
+      const owner = await storage.getUserCredentials(process.env.SEED_OWNER_EMAIL.toLowerCase());
+      if (!owner) throw new Error(`No user with email ${process.env.SEED_OWNER_EMAIL}`);
+      target = storage.forOwner(owner.id);
+    } else {
+      const userIds = await storage.listUserIds();
+      if (userIds.length > 1) {
+        throw new Error("Several accounts exist: set SEED_OWNER_EMAIL to choose one");
+      }
+      if (userIds.length === 1) target = storage.forOwner(userIds[0]);
+    }
 
-tx(tasks);
+    await target.transaction(async (tx) => {
+      // wipe existing rows so you don't get duplicates
+      await tx.deleteAllTasks();
+      for (const t of tasks) {
+        await tx.createTask({
+          ...t,
+          created_at: now,
+          updated_at: now,
+        });
+      }
+    });
 
-console.log(`Seeded ${tasks.length} tasks into tasks.db`);
-db.close();
+    console.log(`Seeded ${tasks.length} tasks into ${storage.describe()}`);
+  } catch (err) {
+    console.error("❌ Seed failed", err);
+    process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+})();
@@ -0,0 +1,156 @@
+// stats.js – productivity analytics over a time range (GET /stats)
+//
+// Takes mapped tasks (mapTaskRow, so scores are included) and works in the
+// caller's time zone: a "day" is a local calendar day, a "week" starts on Monday.
+// Nothing here touches storage.
+
+const { zonedParts, zonedTimeToUtc } = require("./timezone");
+
+const STAT_GROUPS = ["day", "week"];
+const HOUR_MS = 60 * 60 * 1000;
+const SCORE_BIN = 2; // width of a score distribution bin
+const NO_AREA = "No area";
+
+function ms(value) {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isNaN(t) ? null : t;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Calendar date arithmetic on { year, month, day } without time zones.
+function shiftDate({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// The local date starting the period an instant falls into.
+function periodStart(instant, group, timeZone) {
+  const p = zonedParts(instant, timeZone);
+  const date = { year: p.year, month: p.month, day: p.day };
+  return group === "week" ? shiftDate(date, -((p.weekday + 6) % 7)) : date;
+}
+
+/**
+ * Periods covering [from, to): [{ key, start, end }] with key the local
+ * start date ("2026-10-12") and start/end as UTC ms.
+ */
+function buildPeriods(from, to, group, timeZone) {
+  const step = group === "week" ? 7 : 1;
+  const periods = [];
+  let date = periodStart(from, group, timeZone);
+  for (;;) {
+    const start = zonedTimeToUtc(date, timeZone).getTime();
+    if (start >= to.getTime()) break;
+    const next = shiftDate(date, step);
+    periods.push({ key: dateKey(date), start, end: zonedTimeToUtc(next, timeZone).getTime() });
+    date = next;
+  }
+  return periods;
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Every series for one range:
+ *   completions         [{ period, count }]
+ *   burndown            [{ period, created, completed, open }] – open at the period's end
+ *   cycle_time          { count, average_hours, median_hours } for tasks completed in range
+ *   overdue_by_area     [{ area, due, overdue, rate }] – tasks due in range that
+ *                       weren't done by their due date
+ *   score_distribution  [{ min, max, count }] – tasks open at some point in range
+ */
+function computeStats(tasks, { from, to, group = "day", timeZone = "UTC", now = new Date() }) {
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const periods = buildPeriods(from, to, group, timeZone);
+  const rows = tasks.map((t) => ({
+    task: t,
+    created: ms(t.created_at),
+    completed: t.status === "done" ? ms(t.completed_at) : null,
+    due: ms(t.due_date),
+  }));
+
+  const completions = [];
+  const burndown = [];
+  for (const p of periods) {
+    let created = 0;
+    let completed = 0;
+    let open = 0;
+    for (const r of rows) {
+      if (r.created !== null && r.created >= p.start && r.created < p.end) created++;
+      if (r.completed !== null && r.completed >= p.start && r.completed < p.end) completed++;
+      const openAtEnd = r.completed === null || r.completed >= p.end;
+      if (r.created !== null && r.created < p.end && openAtEnd) open++;
+    }
+    completions.push({ period: p.key, count: completed });
+    burndown.push({ period: p.key, created, completed, open });
+  }
+
+  const cycleHours = rows
+    .filter((r) => r.completed !== null && r.created !== null)
+    .filter((r) => r.completed >= fromMs && r.completed < toMs)
+    .map((r) => Math.max(r.completed - r.created, 0) / HOUR_MS)
+    .sort((a, b) => a - b);
+  const cycleTime = {
+    count: cycleHours.length,
+    average_hours: cycleHours.length
+      ? round2(cycleHours.reduce((sum, h) => sum + h, 0) / cycleHours.length)
+      : null,
+    median_hours: cycleHours.length ? round2(median(cycleHours)) : null,
+  };
+
+  // Only due dates that have passed can be overdue.
+  const dueUntil = Math.min(toMs, now.getTime());
+  const areas = new Map();
+  for (const r of rows) {
+    if (r.due === null || r.due < fromMs || r.due >= dueUntil) continue;
+    const area = r.task.area || NO_AREA;
+    const entry = areas.get(area) || { area, due: 0, overdue: 0 };
+    entry.due++;
+    if (r.completed === null || r.completed > r.due) entry.overdue++;
+    areas.set(area, entry);
+  }
+  const overdueByArea = [...areas.values()]
+    .map((a) => ({ ...a, rate: round2(a.overdue / a.due) }))
+    .sort((a, b) => b.rate - a.rate || a.area.localeCompare(b.area));
+
+  const bins = new Map();
+  for (const r of rows) {
+    const activeInRange =
+      r.created !== null && r.created < toMs && (r.completed === null || r.completed >= fromMs);
+    if (!activeInRange) continue;
+    const min = Math.floor(r.task.score / SCORE_BIN) * SCORE_BIN;
+    bins.set(min, (bins.get(min) || 0) + 1);
+  }
+  // Empty bins between the lowest and highest are kept so charts don't skip them.
+  const scoreDistribution = [];
+  if (bins.size) {
+    const lowest = Math.min(...bins.keys());
+    const highest = Math.max(...bins.keys());
+    for (let min = lowest; min <= highest; min += SCORE_BIN) {
+      scoreDistribution.push({ min, max: min + SCORE_BIN, count: bins.get(min) || 0 });
+    }
+  }
+
+  return {
+    completions,
+    burndown,
+    cycle_time: cycleTime,
+    overdue_by_area: overdueByArea,
+    score_distribution: scoreDistribution,
+  };
+}
+
+module.exports = { STAT_GROUPS, computeStats };
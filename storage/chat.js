@@ -0,0 +1,157 @@
+// storage/chat.js – /chat threads, their messages and proposed task actions
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function fromActionRow(row) {
+  if (!row) return null;
+  let args = row.arguments;
+  try {
+    args = JSON.parse(row.arguments);
+  } catch {
+    args = {};
+  }
+  const { owner_id, ...action } = row;
+  return { ...action, arguments: args };
+}
+
+/**
+ * Threads always belong to one user; with an ownerId every method only sees
+ * that user's threads (routes go through storage.forOwner).
+ */
+function createChatRepository(db, { ownerId = null } = {}) {
+  const ownerFilter = (n, column = "owner_id") =>
+    ownerId === null ? "" : ` AND ${column} = $${n}`;
+  const ownerParam = ownerId === null ? [] : [ownerId];
+
+  return {
+    // Most recently active first, with a message count for the thread list.
+    async listThreads() {
+      const result = await db.query(
+        `SELECT t.*, (SELECT COUNT(*) FROM chat_messages m WHERE m.thread_id = t.id) AS message_count
+         FROM chat_threads t
+         WHERE 1 = 1${ownerFilter(1)}
+         ORDER BY t.updated_at DESC, t.id DESC`,
+        ownerParam
+      );
+      return result.rows.map((r) => ({ ...r, message_count: Number(r.message_count) }));
+    },
+
+    async getThread(id) {
+      const result = await db.query(
+        `SELECT * FROM chat_threads WHERE id = $1${ownerFilter(2)}`,
+        [id, ...ownerParam]
+      );
+      return result.rows[0] || null;
+    },
+
+    async createThread({ title }) {
+      const now = nowIso();
+      const result = await db.query(
+        `INSERT INTO chat_threads (owner_id, title, created_at, updated_at)
+         VALUES ($1, $2, $3, $3)
+         RETURNING *`,
+        [ownerId, title, now]
+      );
+      return result.rows[0];
+    },
+
+    async renameThread(id, title) {
+      const result = await db.query(
+        `UPDATE chat_threads SET title = $2, updated_at = $3
+         WHERE id = $1${ownerFilter(4)}
+         RETURNING *`,
+        [id, title, nowIso(), ...ownerParam]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteThread(id) {
+      const result = await db.query(
+        `DELETE FROM chat_threads WHERE id = $1${ownerFilter(2)}`,
+        [id, ...ownerParam]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Appends a message and bumps the thread to the top of the list.
+    async addMessage(threadId, { role, content }) {
+      const now = nowIso();
+      const result = await db.query(
+        `INSERT INTO chat_messages (thread_id, role, content, created_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [threadId, role, content, now]
+      );
+      await db.query(`UPDATE chat_threads SET updated_at = $2 WHERE id = $1`, [threadId, now]);
+      return result.rows[0];
+    },
+
+    // The newest `limit` messages, returned oldest first.
+    async listMessages(threadId, { limit = 200 } = {}) {
+      const result = await db.query(
+        `SELECT * FROM chat_messages WHERE thread_id = $1 ORDER BY id DESC LIMIT $2`,
+        [threadId, limit]
+      );
+      return result.rows.reverse();
+    },
+
+    async createAction(
+      threadId,
+      { message_id = null, tool, args, summary, task_id = null }
+    ) {
+      const result = await db.query(
+        `INSERT INTO chat_actions
+          (thread_id, message_id, tool, arguments, summary, task_id, status, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 'proposed', $7)
+         RETURNING *`,
+        [threadId, message_id, tool, JSON.stringify(args), summary, task_id, nowIso()]
+      );
+      return fromActionRow(result.rows[0]);
+    },
+
+    async listActions(threadId) {
+      const result = await db.query(
+        `SELECT * FROM chat_actions WHERE thread_id = $1 ORDER BY id`,
+        [threadId]
+      );
+      return result.rows.map(fromActionRow);
+    },
+
+    // Scoped through the owning thread.
+    async getAction(id) {
+      const result = await db.query(
+        `SELECT a.*, t.owner_id
+         FROM chat_actions a
+         JOIN chat_threads t ON t.id = a.thread_id
+         WHERE a.id = $1${ownerFilter(2, "t.owner_id")}`,
+        [id, ...ownerParam]
+      );
+      return fromActionRow(result.rows[0]);
+    },
+
+    // Settle a proposed action: applied | rejected | failed.
+    async resolveAction(id, { status, task_id, error = null }) {
+      const result = await db.query(
+        `UPDATE chat_actions
+         SET status = $2, task_id = COALESCE($3, task_id), error = $4, resolved_at = $5
+         WHERE id = $1 AND status = 'proposed'
+         RETURNING *`,
+        [id, status, task_id ?? null, error, nowIso()]
+      );
+      return fromActionRow(result.rows[0]);
+    },
+
+    // Point an applied create_task action at the task it created.
+    async setActionTask(id, taskId) {
+      const result = await db.query(
+        `UPDATE chat_actions SET task_id = $2 WHERE id = $1 RETURNING *`,
+        [id, taskId]
+      );
+      return fromActionRow(result.rows[0]);
+    },
+  };
+}
+
+module.exports = { createChatRepository };
@@ -0,0 +1,75 @@
+// storage/digests.js – morning digest settings and when each user's digest last went out
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function fromSettingsRow(row) {
+  if (!row) return null;
+  return {
+    enabled: row.enabled === null || row.enabled === undefined ? true : Boolean(row.enabled),
+    send_time: row.send_time || null,
+    time_zone: row.time_zone || null,
+    ai_summary: Boolean(row.ai_summary),
+    last_sent_at: row.last_sent_at || null,
+  };
+}
+
+/**
+ * Settings are stored per owner; a user without a row gets the defaults.
+ * listDigestRecipients is for the scheduler and reads every account.
+ */
+function createDigestRepository(db, { ownerId = null } = {}) {
+  return {
+    // { enabled, send_time, time_zone, ai_summary, last_sent_at } or null for the defaults.
+    async getDigestSettings() {
+      if (ownerId === null) return null;
+      const result = await db.query(`SELECT * FROM digest_settings WHERE user_id = $1`, [
+        ownerId,
+      ]);
+      return fromSettingsRow(result.rows[0]);
+    },
+
+    async saveDigestSettings({ enabled, send_time, time_zone, ai_summary }) {
+      const result = await db.query(
+        `INSERT INTO digest_settings
+          (user_id, enabled, send_time, time_zone, ai_summary, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (user_id) DO UPDATE
+           SET enabled = $2, send_time = $3, time_zone = $4, ai_summary = $5, updated_at = $6
+         RETURNING *`,
+        [ownerId, enabled ? 1 : 0, send_time, time_zone, ai_summary ? 1 : 0, nowIso()]
+      );
+      return fromSettingsRow(result.rows[0]);
+    },
+
+    async markDigestSent(sentAt) {
+      await db.query(
+        `INSERT INTO digest_settings (user_id, last_sent_at, updated_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id) DO UPDATE SET last_sent_at = $2`,
+        [ownerId, sentAt, nowIso()]
+      );
+    },
+
+    // Every account with its settings (null fields when it has no row), oldest first.
+    async listDigestRecipients() {
+      const result = await db.query(
+        `SELECT u.id, u.email, u.name, u.profile,
+                s.enabled, s.send_time, s.time_zone, s.ai_summary, s.last_sent_at
+         FROM users u
+         LEFT JOIN digest_settings s ON s.user_id = u.id
+         ORDER BY u.id`
+      );
+      return result.rows.map((row) => {
+        const { enabled, send_time, time_zone, ai_summary, last_sent_at, ...user } = row;
+        return {
+          user,
+          settings: fromSettingsRow({ enabled, send_time, time_zone, ai_summary, last_sent_at }),
+        };
+      });
+    },
+  };
+}
+
+module.exports = { createDigestRepository };
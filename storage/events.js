@@ -0,0 +1,81 @@
+// storage/events.js – append-only task history (task_events)
+
+function parseJson(value) {
+  if (typeof value !== "string") return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function fromEventRow(row) {
+  return {
+    ...row,
+    changes: parseJson(row.changes),
+    snapshot: parseJson(row.snapshot),
+  };
+}
+
+/**
+ * With an ownerId the change-feed queries only see events on that user's
+ * tasks; recordEvent and listEvents take a task id the caller already checked.
+ */
+function createEventRepository(db, { ownerId = null } = {}) {
+  const ownerFilter = (n) => (ownerId === null ? "" : ` AND t.owner_id = $${n}`);
+  const ownerParam = ownerId === null ? [] : [ownerId];
+
+  return {
+    async recordEvent({ task_id, type, actor, changes = null, snapshot = null }) {
+      const result = await db.query(
+        `INSERT INTO task_events (task_id, type, actor, changes, snapshot, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          task_id,
+          type,
+          actor,
+          changes ? JSON.stringify(changes) : null,
+          snapshot ? JSON.stringify(snapshot) : null,
+          new Date().toISOString(),
+        ]
+      );
+      return fromEventRow(result.rows[0]);
+    },
+
+    // Oldest first, so the list reads as the task's story.
+    async listEvents(taskId) {
+      const result = await db.query(
+        `SELECT * FROM task_events WHERE task_id = $1 ORDER BY id`,
+        [taskId]
+      );
+      return result.rows.map(fromEventRow);
+    },
+
+    // Change feed (GET /events): events after an id, oldest first.
+    async listEventsAfter(afterId, limit) {
+      const result = await db.query(
+        `SELECT e.* FROM task_events e
+         JOIN tasks t ON t.id = e.task_id
+         WHERE e.id > $1${ownerFilter(3)}
+         ORDER BY e.id
+         LIMIT $2`,
+        [afterId, limit, ...ownerParam]
+      );
+      return result.rows.map(fromEventRow);
+    },
+
+    // Newest event id (0 when there are none) – where a fresh feed starts.
+    async getLastEventId() {
+      const result = await db.query(
+        `SELECT MAX(e.id) AS id FROM task_events e
+         JOIN tasks t ON t.id = e.task_id
+         WHERE 1 = 1${ownerFilter(1)}`,
+        ownerParam
+      );
+      return Number(result.rows[0].id) || 0;
+    },
+  };
+}
+
+module.exports = { createEventRepository };
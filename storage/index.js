@@ -0,0 +1,101 @@
+// storage/index.js – pick a driver from config and expose the storage interface
+
+const path = require("path");
+const { createTaskRepository } = require("./tasks");
+const { createEventRepository } = require("./events");
+const { createUserRepository } = require("./users");
+const { createChatRepository } = require("./chat");
+const { createScoringRepository } = require("./scoring");
+const { createReviewRepository } = require("./reviews");
+const { createTimeRepository } = require("./time");
+const { createWebhookRepository } = require("./webhooks");
+const { createDigestRepository } = require("./digests");
+const { createMigrator } = require("./migrator");
+
+/**
+ * Read storage settings from the environment.
+ *   STORAGE_DRIVER  postgres | sqlite (default: postgres when DATABASE_URL is set)
+ *   DATABASE_URL    Postgres connection string
+ *   SQLITE_PATH     SQLite file (default: tasks.db next to index.js)
+ */
+function storageConfigFromEnv(env = process.env) {
+  const driver = env.STORAGE_DRIVER || (env.DATABASE_URL ? "postgres" : "sqlite");
+  return {
+    driver,
+    databaseUrl: env.DATABASE_URL,
+    ssl:
+      env.NODE_ENV === "production"
+        ? { rejectUnauthorized: false } // Render / managed Postgres
+        : false,
+    sqlitePath: env.SQLITE_PATH || path.join(__dirname, "..", "tasks.db"),
+  };
+}
+
+function createDriver(config) {
+  if (config.driver === "postgres") {
+    if (!config.databaseUrl) {
+      throw new Error("STORAGE_DRIVER=postgres requires DATABASE_URL");
+    }
+    const { createPostgresDriver } = require("./postgres");
+    return createPostgresDriver({ connectionString: config.databaseUrl, ssl: config.ssl });
+  }
+  if (config.driver === "sqlite") {
+    const { createSqliteDriver } = require("./sqlite");
+    return createSqliteDriver({ filename: config.sqlitePath });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER '${config.driver}' (expected postgres or sqlite)`);
+}
+
+// Every repository bound to one driver or transaction handle (and optionally one owner).
+function createRepositories(db, scope) {
+  return {
+    ...createTaskRepository(db, scope),
+    ...createEventRepository(db, scope),
+    ...createUserRepository(db),
+    ...createChatRepository(db, scope),
+    ...createScoringRepository(db, scope),
+    ...createReviewRepository(db, scope),
+    ...createTimeRepository(db),
+    ...createWebhookRepository(db, scope),
+    ...createDigestRepository(db, scope),
+  };
+}
+
+/**
+ * The storage interface every route goes through. Methods come from the
+ * repositories (storage/tasks.js, events.js, users.js, chat.js, scoring.js,
+ * reviews.js, time.js, webhooks.js, digests.js); transaction(fn) hands fn the same
+ * methods bound to one transaction. forOwner(userId) returns the same interface with
+ * task, change-feed, chat, scoring, review, webhook and digest queries scoped to that
+ * user. The schema itself is owned by storage/migrations.
+ */
+function createStorage(config = storageConfigFromEnv()) {
+  const driver = createDriver(config);
+
+  return {
+    ...createRepositories(driver),
+    dialect: driver.dialect,
+    describe: driver.describe,
+    migrator: createMigrator(driver),
+
+    close: () => driver.close(),
+
+    async ping() {
+      await driver.query("SELECT 1");
+    },
+
+    transaction(fn) {
+      return driver.transaction((tx) => fn(createRepositories(tx)));
+    },
+
+    forOwner(ownerId) {
+      const scope = { ownerId };
+      return {
+        ...createRepositories(driver, scope),
+        transaction: (fn) => driver.transaction((tx) => fn(createRepositories(tx, scope))),
+      };
+    },
+  };
+}
+
+module.exports = { createStorage, storageConfigFromEnv };
@@ -0,0 +1,81 @@
+// 001 – baseline tasks table. Uses IF NOT EXISTS so databases created by the
+// old initDb() DDL (or the old seed.js tasks.db) are adopted, not recreated.
+
+const POSTGRES_UP = `
+  CREATE TABLE IF NOT EXISTS tasks (
+    id              SERIAL PRIMARY KEY,
+    title           TEXT NOT NULL,
+    description     TEXT,
+    area            TEXT,
+    status          TEXT NOT NULL DEFAULT 'open',   -- open | doing | scheduled | done
+    bucket          TEXT NOT NULL DEFAULT 'later',  -- today | this_week | later
+    priority        INTEGER NOT NULL DEFAULT 3,     -- 1 highest, 5 lowest
+    leverage_score  INTEGER,
+    urgency_score   INTEGER,
+    risk_score      INTEGER,
+    friction_score  INTEGER,
+    due_date        TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_tasks_bucket ON tasks(bucket);
+  CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+  CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+`;
+
+const SQLITE_TABLE = `
+  CREATE TABLE IF NOT EXISTS tasks (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    title           TEXT NOT NULL,
+    description     TEXT,
+    area            TEXT,
+    status          TEXT NOT NULL DEFAULT 'open',   -- open | doing | scheduled | done
+    bucket          TEXT NOT NULL DEFAULT 'later',  -- today | this_week | later
+    priority        INTEGER NOT NULL DEFAULT 3,     -- 1 highest, 5 lowest
+    leverage_score  INTEGER,
+    urgency_score   INTEGER,
+    risk_score      INTEGER,
+    friction_score  INTEGER,
+    due_date        TEXT,                           -- ISO string
+    created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  );
+`;
+
+const SQLITE_INDEXES = `
+  CREATE INDEX IF NOT EXISTS idx_tasks_bucket ON tasks(bucket);
+  CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+  CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+`;
+
+// Columns the old seed.js table shares with this schema.
+const LEGACY_COLUMNS =
+  "id, title, description, area, status, bucket, priority, due_date, created_at, updated_at";
+
+async function up(db) {
+  if (db.dialect === "postgres") {
+    await db.exec(POSTGRES_UP);
+    return;
+  }
+
+  // The seed.js table had no score columns and description NOT NULL: rebuild it.
+  const { rows: columns } = await db.query(`PRAGMA table_info(tasks)`);
+  if (columns.length && !columns.some((c) => c.name === "leverage_score")) {
+    await db.exec(`ALTER TABLE tasks RENAME TO tasks_legacy`);
+    await db.exec(SQLITE_TABLE);
+    await db.exec(
+      `INSERT INTO tasks (${LEGACY_COLUMNS}) SELECT ${LEGACY_COLUMNS} FROM tasks_legacy`
+    );
+    await db.exec(`DROP TABLE tasks_legacy`);
+  } else {
+    await db.exec(SQLITE_TABLE);
+  }
+  await db.exec(SQLITE_INDEXES);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS tasks`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,62 @@
+// 002 – one status vocabulary. seed.js wrote 'todo' where the server uses
+// 'open'; map old values over and let the database reject anything else.
+
+const STATUSES = ["open", "doing", "scheduled", "done"];
+const STATUS_LIST = STATUSES.map((s) => `'${s}'`).join(", ");
+const STATUS_CHECK = `CHECK (status IN (${STATUS_LIST}))`;
+
+// SQLite cannot add a CHECK to an existing table, so it is rebuilt.
+function sqliteTable(name, { withCheck }) {
+  return `
+    CREATE TABLE ${name} (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      title           TEXT NOT NULL,
+      description     TEXT,
+      area            TEXT,
+      status          TEXT NOT NULL DEFAULT 'open' ${withCheck ? STATUS_CHECK : ""},
+      bucket          TEXT NOT NULL DEFAULT 'later',
+      priority        INTEGER NOT NULL DEFAULT 3,
+      leverage_score  INTEGER,
+      urgency_score   INTEGER,
+      risk_score      INTEGER,
+      friction_score  INTEGER,
+      due_date        TEXT,
+      created_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+      updated_at      TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+  `;
+}
+
+async function rebuildSqlite(db, { withCheck }) {
+  await db.exec(sqliteTable("tasks_next", { withCheck }));
+  await db.exec(`INSERT INTO tasks_next SELECT * FROM tasks`);
+  await db.exec(`DROP TABLE tasks`);
+  await db.exec(`ALTER TABLE tasks_next RENAME TO tasks`);
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_tasks_bucket ON tasks(bucket);
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+    CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+  `);
+}
+
+async function up(db) {
+  // 'todo' (and any other stray value) becomes 'open'.
+  await db.query(`UPDATE tasks SET status = 'open' WHERE status NOT IN (${STATUS_LIST})`);
+
+  if (db.dialect === "postgres") {
+    await db.exec(`ALTER TABLE tasks ADD CONSTRAINT tasks_status_check ${STATUS_CHECK}`);
+  } else {
+    await rebuildSqlite(db, { withCheck: true });
+  }
+}
+
+// 'todo' rows are not restored: they were always meant to be 'open'.
+async function down(db) {
+  if (db.dialect === "postgres") {
+    await db.exec(`ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check`);
+  } else {
+    await rebuildSqlite(db, { withCheck: false });
+  }
+}
+
+module.exports = { up, down };
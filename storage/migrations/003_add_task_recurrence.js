@@ -0,0 +1,19 @@
+// 003 – recurring tasks. `recurrence` holds the JSON rule (see recurrence.js),
+// `series_id` points every generated occurrence at the first task of its
+// series, and `occurrence` counts position in the series for count limits.
+
+async function up(db) {
+  await db.exec(`ALTER TABLE tasks ADD COLUMN recurrence TEXT`);
+  await db.exec(`ALTER TABLE tasks ADD COLUMN series_id INTEGER`);
+  await db.exec(`ALTER TABLE tasks ADD COLUMN occurrence INTEGER NOT NULL DEFAULT 1`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id)`);
+}
+
+async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_series_id`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN occurrence`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN series_id`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN recurrence`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// 004 – subtasks (tasks.parent_id) and blocker edges (task_dependencies).
+// An edge (blocker_id → blocked_id) means blocked_id can't start until
+// blocker_id is done. Cycles are rejected in the API, not the schema.
+
+async function up(db) {
+  const timestamp = db.dialect === "postgres" ? "TIMESTAMPTZ" : "TEXT";
+
+  await db.exec(
+    `ALTER TABLE tasks ADD COLUMN parent_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL`
+  );
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id)`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS task_dependencies (
+      blocker_id  INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      blocked_id  INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      created_at  ${timestamp} NOT NULL,
+      PRIMARY KEY (blocker_id, blocked_id),
+      CHECK (blocker_id <> blocked_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked ON task_dependencies(blocked_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS task_dependencies`);
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_parent_id`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN parent_id`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// 005 – soft delete (tasks.deleted_at) and the append-only task_events log.
+// Each event stores the field-level diff ({ field: { old, new } }) and a
+// snapshot of the task after the change.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`ALTER TABLE tasks ADD COLUMN deleted_at ${timestamp}`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at)`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS task_events (
+      id          ${id},
+      task_id     INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      type        TEXT NOT NULL,   -- created | updated | completed | deleted | restored
+      actor       TEXT NOT NULL,
+      changes     TEXT,            -- JSON { field: { old, new } }
+      snapshot    TEXT,            -- JSON task row after the change
+      created_at  ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_task_events_task_id ON task_events(task_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS task_events`);
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_deleted_at`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN deleted_at`);
+}
+
+module.exports = { up, down };
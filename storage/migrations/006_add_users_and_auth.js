@@ -0,0 +1,50 @@
+// 006 – user accounts, auth tokens and task ownership.
+// auth_tokens holds both login sessions and personal API tokens; only a
+// SHA-256 of each token is stored. Existing tasks keep owner_id NULL until
+// the first account registers and adopts them.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id             ${id},
+      email          TEXT NOT NULL UNIQUE,
+      name           TEXT NOT NULL,
+      profile        TEXT,            -- free text for the /chat system prompt
+      password_hash  TEXT NOT NULL,   -- scrypt$<salt>$<hash>
+      created_at     ${timestamp} NOT NULL,
+      updated_at     ${timestamp} NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id            ${id},
+      user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      kind          TEXT NOT NULL CHECK (kind IN ('session', 'api')),
+      name          TEXT,
+      token_hash    TEXT NOT NULL UNIQUE,
+      token_prefix  TEXT NOT NULL,
+      expires_at    ${timestamp},
+      last_used_at  ${timestamp},
+      created_at    ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id);
+  `);
+
+  await db.exec(
+    `ALTER TABLE tasks ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE`
+  );
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_owner_id ON tasks(owner_id)`);
+}
+
+async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_owner_id`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN owner_id`);
+  await db.exec(`DROP TABLE IF EXISTS auth_tokens`);
+  await db.exec(`DROP TABLE IF EXISTS users`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// 007 – persisted /chat conversations: one thread per planning session,
+// messages in turn order.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_threads (
+      id          ${id},
+      owner_id    INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title       TEXT NOT NULL,
+      created_at  ${timestamp} NOT NULL,
+      updated_at  ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_threads_owner_id ON chat_threads(owner_id);
+
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      id          ${id},
+      thread_id   INTEGER NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+      role        TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+      content     TEXT NOT NULL,
+      created_at  ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_messages_thread_id ON chat_messages(thread_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS chat_messages`);
+  await db.exec(`DROP TABLE IF EXISTS chat_threads`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// 008 – task changes proposed by the /chat assistant (tool calls). Each one
+// waits as 'proposed' until the user applies or rejects it; the outcome
+// stays attached to the thread and the assistant message that proposed it.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS chat_actions (
+      id           ${id},
+      thread_id    INTEGER NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+      message_id   INTEGER REFERENCES chat_messages(id) ON DELETE SET NULL,
+      tool         TEXT NOT NULL,
+      arguments    TEXT NOT NULL,   -- JSON tool arguments
+      summary      TEXT NOT NULL,
+      task_id      INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+      status       TEXT NOT NULL DEFAULT 'proposed'
+                   CHECK (status IN ('proposed', 'applied', 'rejected', 'failed')),
+      error        TEXT,
+      created_at   ${timestamp} NOT NULL,
+      resolved_at  ${timestamp}
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_actions_thread_id ON chat_actions(thread_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS chat_actions`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// 009 – per-user TonyOS scoring rules (weights, urgency thresholds, friction
+// keywords, area multipliers). No row means the defaults in scoring.js.
+
+async function up(db) {
+  const timestamp = db.dialect === "postgres" ? "TIMESTAMPTZ" : "TEXT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scoring_rules (
+      user_id     INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      rules       TEXT NOT NULL,   -- JSON, see scoring.js
+      updated_at  ${timestamp} NOT NULL
+    );
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS scoring_rules`);
+}
+
+module.exports = { up, down };
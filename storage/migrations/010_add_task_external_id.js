@@ -0,0 +1,17 @@
+// 010 – external ids for imported tasks (a spreadsheet row id, another
+// tool's key). POST /import upserts on them, so they're unique per owner.
+
+async function up(db) {
+  await db.exec(`ALTER TABLE tasks ADD COLUMN external_id TEXT`);
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_owner_external_id
+      ON tasks(owner_id, external_id) WHERE external_id IS NOT NULL
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_owner_external_id`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN external_id`);
+}
+
+module.exports = { up, down };
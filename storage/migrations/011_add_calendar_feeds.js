@@ -0,0 +1,29 @@
+// 011 – calendar feed tokens. Calendar apps can't send headers, so the feed
+// token travels in the URL; it lives apart from auth_tokens and can only
+// read GET /calendar.ics, never the rest of the API.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id            ${id},
+      user_id       INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name          TEXT NOT NULL,
+      token_hash    TEXT NOT NULL UNIQUE,
+      token_prefix  TEXT NOT NULL,
+      last_used_at  ${timestamp},
+      created_at    ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user_id ON calendar_feeds(user_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS calendar_feeds`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// 012 – review records written by the daily rollover (and POST /reviews/run).
+// summary is JSON: what was promoted, carried over and overdue, plus week
+// stats on weekly reviews.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id          ${id},
+      user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      kind        TEXT NOT NULL,   -- daily | weekly
+      summary     TEXT NOT NULL,   -- JSON
+      created_at  ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reviews_user_id ON reviews(user_id, created_at);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS reviews`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// 013 – tasks.completed_at, set when a task moves to done and cleared when it
+// reopens (GET /stats needs it for throughput and cycle time). Existing done
+// tasks get the time of their last "completed" event, else their updated_at.
+
+async function up(db) {
+  const timestamp = db.dialect === "postgres" ? "TIMESTAMPTZ" : "TEXT";
+
+  await db.exec(`ALTER TABLE tasks ADD COLUMN completed_at ${timestamp}`);
+  await db.exec(`
+    UPDATE tasks
+    SET completed_at = COALESCE(
+      (SELECT MAX(e.created_at) FROM task_events e
+       WHERE e.task_id = tasks.id AND e.type = 'completed'),
+      updated_at
+    )
+    WHERE status = 'done'
+  `);
+  await db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_tasks_owner_completed_at ON tasks(owner_id, completed_at)`
+  );
+}
+
+async function down(db) {
+  await db.exec(`DROP INDEX IF EXISTS idx_tasks_owner_completed_at`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN completed_at`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,35 @@
+// 014 – time estimates and start/stop tracking. The running timer and the
+// tracked total live on the task (so listing and scoring need no join);
+// every stopped session is also kept in time_entries.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`ALTER TABLE tasks ADD COLUMN estimated_minutes INTEGER`);
+  await db.exec(`ALTER TABLE tasks ADD COLUMN tracked_seconds INTEGER NOT NULL DEFAULT 0`);
+  await db.exec(`ALTER TABLE tasks ADD COLUMN timer_started_at ${timestamp}`);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS time_entries (
+      id          ${id},
+      task_id     INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      started_at  ${timestamp} NOT NULL,
+      ended_at    ${timestamp} NOT NULL,
+      seconds     INTEGER NOT NULL,
+      actor       TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS time_entries`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN timer_started_at`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN tracked_seconds`);
+  await db.exec(`ALTER TABLE tasks DROP COLUMN estimated_minutes`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,66 @@
+// 015 – outgoing webhooks. A subscription keeps a cursor into task_events
+// (last_event_id) so events are queued once, in order; each queued event is
+// a delivery, and every HTTP attempt at it is logged with its response status.
+
+async function up(db) {
+  const pg = db.dialect === "postgres";
+  const timestamp = pg ? "TIMESTAMPTZ" : "TEXT";
+  const id = pg ? "SERIAL PRIMARY KEY" : "INTEGER PRIMARY KEY AUTOINCREMENT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id             ${id},
+      user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      url            TEXT NOT NULL,
+      events         TEXT NOT NULL,   -- JSON array, see webhooks.js
+      secret         TEXT NOT NULL,   -- HMAC key, so kept as-is
+      last_event_id  INTEGER NOT NULL DEFAULT 0,
+      disabled_at    ${timestamp},
+      created_at     ${timestamp} NOT NULL,
+      updated_at     ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id               ${id},
+      webhook_id       INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event            TEXT NOT NULL,
+      event_id         INTEGER,
+      payload          TEXT NOT NULL,   -- JSON body, sent byte-for-byte on every attempt
+      status           TEXT NOT NULL DEFAULT 'pending',   -- pending | delivered | failed
+      attempts         INTEGER NOT NULL DEFAULT 0,
+      response_status  INTEGER,
+      error            TEXT,
+      next_attempt_at  ${timestamp},
+      delivered_at     ${timestamp},
+      created_at       ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id
+      ON webhook_deliveries(webhook_id, id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+      ON webhook_deliveries(status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id               ${id},
+      delivery_id      INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+      response_status  INTEGER,
+      response_body    TEXT,
+      error            TEXT,
+      duration_ms      INTEGER NOT NULL,
+      created_at       ${timestamp} NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery_id
+      ON webhook_attempts(delivery_id);
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS webhook_attempts`);
+  await db.exec(`DROP TABLE IF EXISTS webhook_deliveries`);
+  await db.exec(`DROP TABLE IF EXISTS webhooks`);
+}
+
+module.exports = { up, down };
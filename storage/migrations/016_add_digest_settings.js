@@ -0,0 +1,26 @@
+// 016 – per-user settings for the emailed morning digest. No row means the
+// defaults (enabled, DIGEST_TIME in DIGEST_TZ, no AI summary); NULL send_time
+// or time_zone also fall back to them. last_sent_at keeps the scheduler from
+// sending the same morning twice.
+
+async function up(db) {
+  const timestamp = db.dialect === "postgres" ? "TIMESTAMPTZ" : "TEXT";
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS digest_settings (
+      user_id       INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      enabled       INTEGER NOT NULL DEFAULT 1,
+      send_time     TEXT,            -- "HH:MM" local time
+      time_zone     TEXT,            -- IANA zone
+      ai_summary    INTEGER NOT NULL DEFAULT 0,
+      last_sent_at  ${timestamp},
+      updated_at    ${timestamp} NOT NULL
+    );
+  `);
+}
+
+async function down(db) {
+  await db.exec(`DROP TABLE IF EXISTS digest_settings`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// 017 – tasks.manual_rank: where the user dragged a task within its pipeline
+// column (POST /tasks/reorder), 0 first. NULL means never placed; those tasks
+// follow the placed ones in score order.
+
+async function up(db) {
+  await db.exec(`ALTER TABLE tasks ADD COLUMN manual_rank INTEGER`);
+}
+
+async function down(db) {
+  await db.exec(`ALTER TABLE tasks DROP COLUMN manual_rank`);
+}
+
+module.exports = { up, down };
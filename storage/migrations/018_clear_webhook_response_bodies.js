@@ -0,0 +1,11 @@
+// 018 – webhook attempts no longer keep the receiver's response body (it made
+// the delivery log a way to read internal URLs); clear what was stored.
+
+async function up(db) {
+  await db.exec(`UPDATE webhook_attempts SET response_body = NULL`);
+}
+
+// Nothing to restore.
+async function down() {}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// 019 – tasks.carry_over_count: how many reviews an unfinished task has sat
+// through without leaving its bucket (every review for today, weekly reviews
+// for this_week). Moving the task to another bucket or finishing it resets it.
+
+async function up(db) {
+  await db.exec(`ALTER TABLE tasks ADD COLUMN carry_over_count INTEGER NOT NULL DEFAULT 0`);
+}
+
+async function down(db) {
+  await db.exec(`ALTER TABLE tasks DROP COLUMN carry_over_count`);
+}
+
+module.exports = { up, down };
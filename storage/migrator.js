@@ -0,0 +1,130 @@
+// storage/migrator.js – numbered schema migrations tracked in schema_migrations
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+/**
+ * Load NNN_name.js files from storage/migrations, ordered by number.
+ * Each exports async up(db) / down(db); db is a driver transaction handle
+ * with query(sql, params), exec(sql) and dialect.
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .map((file) => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, num, name]) => {
+      const mod = require(path.join(dir, file));
+      return { version: Number(num), name, label: `${num}_${name}`, up: mod.up, down: mod.down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function createMigrator(driver, { migrations = loadMigrations() } = {}) {
+  const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+  async function appliedRows() {
+    await driver.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version     INTEGER PRIMARY KEY,
+        name        TEXT NOT NULL,
+        applied_at  TEXT NOT NULL
+      )
+    `);
+    const { rows } = await driver.query(
+      `SELECT version, name, applied_at FROM schema_migrations ORDER BY version`
+    );
+    return rows.map((r) => ({ ...r, version: Number(r.version) }));
+  }
+
+  async function currentVersion() {
+    const rows = await appliedRows();
+    return rows.length ? rows[rows.length - 1].version : 0;
+  }
+
+  /**
+   * Every known migration plus any applied version this code doesn't know
+   * about (a database migrated by newer code).
+   */
+  async function status() {
+    const rows = await appliedRows();
+    const applied = new Map(rows.map((r) => [r.version, r]));
+    const list = migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      label: m.label,
+      applied: applied.has(m.version),
+      applied_at: applied.has(m.version) ? applied.get(m.version).applied_at : null,
+    }));
+    for (const r of rows) {
+      if (!migrations.some((m) => m.version === r.version)) {
+        list.push({ ...r, label: `${r.version}_${r.name}`, applied: true, unknown: true });
+      }
+    }
+    return list.sort((a, b) => a.version - b.version);
+  }
+
+  // Apply pending migrations (up to `to`), each in its own transaction.
+  async function up({ to = latestVersion } = {}) {
+    const done = new Set((await appliedRows()).map((r) => r.version));
+    const ran = [];
+    for (const m of migrations) {
+      if (m.version > to || done.has(m.version)) continue;
+      await driver.transaction(async (tx) => {
+        await m.up(tx);
+        await tx.query(
+          `INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)`,
+          [m.version, m.name, new Date().toISOString()]
+        );
+      });
+      ran.push(m);
+    }
+    return ran;
+  }
+
+  // Revert the newest `steps` applied migrations (or everything above `to`).
+  async function down({ steps = 1, to } = {}) {
+    const applied = (await appliedRows()).map((r) => r.version).reverse();
+    const targets = to === undefined ? applied.slice(0, steps) : applied.filter((v) => v > to);
+    const ran = [];
+    for (const version of targets) {
+      const m = migrations.find((x) => x.version === version);
+      if (!m) {
+        throw new Error(`Cannot revert migration ${version}: no migration file for it`);
+      }
+      await driver.transaction(async (tx) => {
+        await m.down(tx);
+        await tx.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+      });
+      ran.push(m);
+    }
+    return ran;
+  }
+
+  // Throws unless the database is exactly at latestVersion with nothing skipped.
+  async function assertCurrent() {
+    const list = await status();
+    const pending = list.filter((m) => !m.applied);
+    const unknown = list.filter((m) => m.unknown);
+    if (unknown.length) {
+      throw new Error(
+        `Database schema is at version ${unknown[unknown.length - 1].version}, ` +
+          `newer than this code (${latestVersion}). Deploy matching code or run 'npm run migrate down'.`
+      );
+    }
+    if (pending.length) {
+      throw new Error(
+        `Database schema is behind: pending migrations ${pending
+          .map((m) => m.label)
+          .join(", ")}. Run 'npm run migrate up'.`
+      );
+    }
+    return latestVersion;
+  }
+
+  return { latestVersion, currentVersion, status, up, down, assertCurrent };
+}
+
+module.exports = { createMigrator, loadMigrations };
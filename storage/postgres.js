@@ -0,0 +1,54 @@
+// storage/postgres.js – Postgres driver (Render / managed Postgres in production)
+
+const { Pool } = require("pg");
+
+/**
+ * Driver contract shared with storage/sqlite.js:
+ *   query(sql, params) → { rows, rowCount }   ($1, $2 … placeholders)
+ *   exec(sql)          → runs a multi-statement script (migrations)
+ *   transaction(fn)    → runs fn(txDriver) inside BEGIN/COMMIT
+ *   close()
+ */
+function createPostgresDriver({ connectionString, ssl }) {
+  const pool = new Pool({ connectionString, ssl });
+
+  return {
+    dialect: "postgres",
+    describe: () => "Postgres",
+
+    query(sql, params = []) {
+      return pool.query(sql, params);
+    },
+
+    async exec(sql) {
+      await pool.query(sql);
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn({
+          dialect: "postgres",
+          query: (sql, params = []) => client.query(sql, params),
+          exec: async (sql) => {
+            await client.query(sql);
+          },
+        });
+        await client.query("COMMIT");
+        return result;
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    },
+  };
+}
+
+module.exports = { createPostgresDriver };
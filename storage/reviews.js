@@ -0,0 +1,59 @@
+// storage/reviews.js – daily/weekly review records written by the rollover
+
+function fromReviewRow(row) {
+  if (!row) return null;
+  let summary = null;
+  try {
+    summary = JSON.parse(row.summary);
+  } catch {
+    // keep null; a broken summary shouldn't hide the record
+  }
+  return { ...row, summary };
+}
+
+/**
+ * Reviews belong to one user. Without an ownerId (seed.js, scripts) there is
+ * nothing to read and writes are refused.
+ */
+function createReviewRepository(db, { ownerId = null } = {}) {
+  return {
+    async createReview({ kind, summary, created_at = new Date().toISOString() }) {
+      if (ownerId === null) throw new Error("createReview needs an owner-scoped repository");
+      const result = await db.query(
+        `INSERT INTO reviews (user_id, kind, summary, created_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [ownerId, kind, JSON.stringify(summary), created_at]
+      );
+      return fromReviewRow(result.rows[0]);
+    },
+
+    async getLatestReview(kind = null) {
+      if (ownerId === null) return null;
+      const result = await db.query(
+        `SELECT * FROM reviews
+         WHERE user_id = $1${kind ? " AND kind = $2" : ""}
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        kind ? [ownerId, kind] : [ownerId]
+      );
+      return fromReviewRow(result.rows[0]);
+    },
+
+    // { created: n, completed: n, … } – task_events by type since an ISO date.
+    async countEventsSince(since) {
+      if (ownerId === null) return {};
+      const result = await db.query(
+        `SELECT e.type, COUNT(*) AS n
+         FROM task_events e
+         JOIN tasks t ON t.id = e.task_id
+         WHERE t.owner_id = $1 AND e.created_at >= $2
+         GROUP BY e.type`,
+        [ownerId, since]
+      );
+      return Object.fromEntries(result.rows.map((r) => [r.type, Number(r.n)]));
+    },
+  };
+}
+
+module.exports = { createReviewRepository };
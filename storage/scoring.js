@@ -0,0 +1,47 @@
+// storage/scoring.js – per-user scoring rules (the rules themselves live in scoring.js)
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+/**
+ * Rules are stored per owner. Without an ownerId (seed.js, scripts) there is
+ * nothing to look up and callers fall back to the default rules.
+ */
+function createScoringRepository(db, { ownerId = null } = {}) {
+  return {
+    // { rules, updated_at } or null when the user never customized scoring.
+    async getScoringRules() {
+      if (ownerId === null) return null;
+      const result = await db.query(
+        `SELECT rules, updated_at FROM scoring_rules WHERE user_id = $1`,
+        [ownerId]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      try {
+        return { rules: JSON.parse(row.rules), updated_at: row.updated_at };
+      } catch {
+        return null;
+      }
+    },
+
+    async saveScoringRules(rules) {
+      const result = await db.query(
+        `INSERT INTO scoring_rules (user_id, rules, updated_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id) DO UPDATE SET rules = $2, updated_at = $3
+         RETURNING updated_at`,
+        [ownerId, JSON.stringify(rules), nowIso()]
+      );
+      return { rules, updated_at: result.rows[0].updated_at };
+    },
+
+    async deleteScoringRules() {
+      const result = await db.query(`DELETE FROM scoring_rules WHERE user_id = $1`, [ownerId]);
+      return result.rowCount > 0;
+    },
+  };
+}
+
+module.exports = { createScoringRepository };
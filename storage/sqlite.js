@@ -0,0 +1,85 @@
+// storage/sqlite.js – SQLite driver (local tasks.db, no database server needed)
+
+const Database = require("better-sqlite3");
+
+// Postgres-style $1 placeholders → better-sqlite3 named params (@p1).
+function translate(sql, params) {
+  const text = sql.replace(/\$(\d+)/g, "@p$1");
+  const named = {};
+  params.forEach((value, i) => {
+    if (!text.includes(`@p${i + 1}`)) return;
+    let v = value;
+    if (v === undefined) v = null;
+    else if (v instanceof Date) v = v.toISOString();
+    else if (typeof v === "boolean") v = v ? 1 : 0;
+    named[`p${i + 1}`] = v;
+  });
+  return { text, named };
+}
+
+function runQuery(db, sql, params = []) {
+  const { text, named } = translate(sql, params);
+  const stmt = db.prepare(text);
+  if (stmt.reader) {
+    const rows = stmt.all(named);
+    return { rows, rowCount: rows.length };
+  }
+  const info = stmt.run(named);
+  return { rows: [], rowCount: info.changes };
+}
+
+/**
+ * Same contract as storage/postgres.js. better-sqlite3 is synchronous, so
+ * every call resolves immediately; transactions are serialized so two
+ * requests never issue nested BEGINs on the single connection.
+ */
+function createSqliteDriver({ filename }) {
+  const db = new Database(filename);
+  db.pragma("foreign_keys = ON");
+
+  const txDriver = {
+    dialect: "sqlite",
+    query: async (sql, params) => runQuery(db, sql, params),
+    exec: async (sql) => {
+      db.exec(sql);
+    },
+  };
+
+  let txQueue = Promise.resolve();
+
+  return {
+    dialect: "sqlite",
+    describe: () => `SQLite (${filename})`,
+
+    async query(sql, params) {
+      return runQuery(db, sql, params);
+    },
+
+    async exec(sql) {
+      db.exec(sql);
+    },
+
+    transaction(fn) {
+      const run = async () => {
+        db.exec("BEGIN");
+        try {
+          const result = await fn(txDriver);
+          db.exec("COMMIT");
+          return result;
+        } catch (err) {
+          db.exec("ROLLBACK");
+          throw err;
+        }
+      };
+      const next = txQueue.then(run, run);
+      txQueue = next.catch(() => {});
+      return next;
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteDriver };
@@ -0,0 +1,329 @@
+// storage/tasks.js – task queries, written once against the shared driver contract
+
+const TASK_COLUMNS = [
+  "title",
+  "description",
+  "area",
+  "status",
+  "bucket",
+  "priority",
+  "leverage_score",
+  "urgency_score",
+  "risk_score",
+  "friction_score",
+  "due_date",
+  "recurrence",
+  "series_id",
+  "occurrence",
+  "parent_id",
+  "external_id",
+  "completed_at",
+  "estimated_minutes",
+  "tracked_seconds",
+  "timer_started_at",
+  "manual_rank",
+  "carry_over_count",
+];
+
+// Stored as TEXT in both dialects; (de)serialized here so callers see objects.
+const JSON_COLUMNS = ["recurrence"];
+
+function toDbValue(col, value) {
+  if (value === undefined) return null;
+  if (JSON_COLUMNS.includes(col) && value !== null) return JSON.stringify(value);
+  return value;
+}
+
+function fromDbRow(row) {
+  if (!row) return null;
+  const out = { ...row };
+  for (const col of JSON_COLUMNS) {
+    if (typeof out[col] === "string") {
+      try {
+        out[col] = JSON.parse(out[col]);
+      } catch {
+        out[col] = null;
+      }
+    }
+  }
+  return out;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function buildTaskWhere(filters = {}, ownerId = null) {
+  const clauses = ["deleted_at IS NULL"];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (ownerId !== null) clauses.push(`owner_id = ${add(ownerId)}`);
+  if (filters.status && filters.status.length) {
+    clauses.push(`status IN (${filters.status.map(add).join(", ")})`);
+  }
+  if (filters.bucket && filters.bucket.length) {
+    clauses.push(`bucket IN (${filters.bucket.map(add).join(", ")})`);
+  }
+  if (filters.area) clauses.push(`LOWER(area) = LOWER(${add(filters.area)})`);
+  if (filters.due_before) clauses.push(`due_date < ${add(filters.due_before)}`);
+  if (filters.due_after) clauses.push(`due_date >= ${add(filters.due_after)}`);
+  if (filters.q) {
+    const p = add(`%${filters.q.toLowerCase()}%`);
+    clauses.push(`(LOWER(title) LIKE ${p} OR LOWER(COALESCE(description, '')) LIKE ${p})`);
+  }
+
+  return {
+    where: `WHERE ${clauses.join(" AND ")}`,
+    params,
+  };
+}
+
+/**
+ * Task repository bound to a driver (or a driver's transaction handle).
+ * Every method resolves to rows (JSON columns parsed); routes shape them with mapTaskRow.
+ * With an ownerId every query only sees (and creates) that user's tasks;
+ * without one it sees every task (seed.js, maintenance scripts).
+ */
+function createTaskRepository(db, { ownerId = null } = {}) {
+  // " AND owner_id = $n" for the next placeholder, or "" when unscoped.
+  const ownerFilter = (n, column = "owner_id") =>
+    ownerId === null ? "" : ` AND ${column} = $${n}`;
+  const ownerParam = ownerId === null ? [] : [ownerId];
+
+  return {
+    async listTasks(filters) {
+      const { where, params } = buildTaskWhere(filters, ownerId);
+      const result = await db.query(`SELECT * FROM tasks ${where}`, params);
+      return result.rows.map(fromDbRow);
+    },
+
+    // Distinct area names in use, in no particular order.
+    async listAreas() {
+      const result = await db.query(
+        `SELECT DISTINCT area FROM tasks
+         WHERE deleted_at IS NULL AND area IS NOT NULL${ownerFilter(1)}`,
+        ownerParam
+      );
+      return result.rows.map((r) => r.area);
+    },
+
+    async listRecentTasks(limit) {
+      const result = await db.query(
+        `SELECT * FROM tasks WHERE deleted_at IS NULL${ownerFilter(2)}
+         ORDER BY created_at DESC LIMIT $1`,
+        [limit, ...ownerParam]
+      );
+      return result.rows.map(fromDbRow);
+    },
+
+    // Soft-deleted tasks are invisible unless includeDeleted is set (restore, history).
+    // forUpdate locks the row until the transaction ends (Postgres; SQLite
+    // transactions are serialized already), so a precondition checked on it holds.
+    async getTask(id, { includeDeleted = false, forUpdate = false } = {}) {
+      const lock = forUpdate && db.dialect === "postgres" ? " FOR UPDATE" : "";
+      const result = await db.query(
+        `SELECT * FROM tasks WHERE id = $1${ownerFilter(2)}
+         ${includeDeleted ? "" : "AND deleted_at IS NULL"}${lock}`,
+        [id, ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    // Includes soft-deleted tasks: the id stays taken until the task is purged.
+    async getTaskByExternalId(externalId) {
+      const result = await db.query(
+        `SELECT * FROM tasks WHERE external_id = $1${ownerFilter(2)}`,
+        [externalId, ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    // The task whose timer is running, if any (start stops it, so there's at most one).
+    async getRunningTimerTask() {
+      const result = await db.query(
+        `SELECT * FROM tasks
+         WHERE timer_started_at IS NOT NULL AND deleted_at IS NULL${ownerFilter(1)}
+         ORDER BY timer_started_at DESC LIMIT 1`,
+        ownerParam
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    // Open tasks past their due date with no "overdue" event since that date
+    // (moving the due date later lets the task become overdue again).
+    async listNewlyOverdueTasks(now) {
+      const result = await db.query(
+        `SELECT * FROM tasks t
+         WHERE t.deleted_at IS NULL AND t.status <> 'done'
+           AND t.due_date IS NOT NULL AND t.due_date <= $1${ownerFilter(2, "t.owner_id")}
+           AND NOT EXISTS (
+             SELECT 1 FROM task_events e
+             WHERE e.task_id = t.id AND e.type = 'overdue' AND e.created_at >= t.due_date
+           )
+         ORDER BY t.due_date, t.id`,
+        [now, ...ownerParam]
+      );
+      return result.rows.map(fromDbRow);
+    },
+
+    // The series' first task after `occurrence`, soft-deleted or not, or null.
+    async getLaterOccurrence(seriesId, occurrence) {
+      const result = await db.query(
+        `SELECT * FROM tasks WHERE series_id = $1 AND occurrence > $2${ownerFilter(3)}
+         ORDER BY occurrence LIMIT 1`,
+        [seriesId, occurrence, ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    async createTask(fields) {
+      const now = nowIso();
+      const values = TASK_COLUMNS.map((col) => toDbValue(col, fields[col]));
+      values[TASK_COLUMNS.indexOf("status")] = fields.status || "open";
+      values[TASK_COLUMNS.indexOf("occurrence")] = fields.occurrence || 1;
+      values[TASK_COLUMNS.indexOf("tracked_seconds")] = fields.tracked_seconds || 0;
+      values[TASK_COLUMNS.indexOf("carry_over_count")] = fields.carry_over_count || 0;
+      const placeholders = TASK_COLUMNS.map((_, i) => `$${i + 1}`).join(", ");
+      const n = TASK_COLUMNS.length;
+
+      const result = await db.query(
+        `INSERT INTO tasks
+          (${TASK_COLUMNS.join(", ")}, owner_id, created_at, updated_at)
+         VALUES
+          (${placeholders}, $${n + 1}, $${n + 2}, $${n + 3})
+         RETURNING *`,
+        [
+          ...values,
+          ownerId ?? fields.owner_id ?? null,
+          fields.created_at || now,
+          fields.updated_at || now,
+        ]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    async updateTask(id, fields) {
+      const columns = Object.keys(fields).filter((col) => TASK_COLUMNS.includes(col));
+      const setClause = columns.map((col, i) => `${col} = $${i + 2}`);
+      setClause.push(`updated_at = $${columns.length + 2}`);
+
+      const result = await db.query(
+        `UPDATE tasks
+         SET ${setClause.join(", ")}
+         WHERE id = $1 AND deleted_at IS NULL${ownerFilter(columns.length + 3)}
+         RETURNING *`,
+        [id, ...columns.map((col) => toDbValue(col, fields[col])), nowIso(), ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    // Score columns only: no updated_at bump, so re-scoring isn't an edit.
+    async setTaskScores(id, scores) {
+      const columns = ["leverage_score", "urgency_score", "risk_score", "friction_score"];
+      await db.query(
+        `UPDATE tasks
+         SET ${columns.map((col, i) => `${col} = $${i + 2}`).join(", ")}
+         WHERE id = $1${ownerFilter(columns.length + 2)}`,
+        [id, ...columns.map((col) => scores[col]), ...ownerParam]
+      );
+    },
+
+    // Soft delete: the row and its history stay until restored.
+    async deleteTask(id) {
+      const now = nowIso();
+      const result = await db.query(
+        `UPDATE tasks SET deleted_at = $2, updated_at = $2
+         WHERE id = $1 AND deleted_at IS NULL${ownerFilter(3)}
+         RETURNING *`,
+        [id, now, ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    async restoreTask(id) {
+      const result = await db.query(
+        `UPDATE tasks SET deleted_at = NULL, updated_at = $2
+         WHERE id = $1 AND deleted_at IS NOT NULL${ownerFilter(3)}
+         RETURNING *`,
+        [id, nowIso(), ...ownerParam]
+      );
+      return fromDbRow(result.rows[0]);
+    },
+
+    // Every blocker edge with both ends' status, for blocked/unblocks flags.
+    // Edges only ever join tasks of one owner, so filtering the blocked side is enough.
+    // includeDeleted keeps edges of deleted tasks, which come back on restore.
+    async listDependencies({ includeDeleted = false } = {}) {
+      const live = includeDeleted
+        ? "1 = 1"
+        : "blocker.deleted_at IS NULL AND blocked.deleted_at IS NULL";
+      const result = await db.query(
+        `SELECT d.blocker_id, d.blocked_id,
+                blocker.status AS blocker_status,
+                blocked.status AS blocked_status
+         FROM task_dependencies d
+         JOIN tasks blocker ON blocker.id = d.blocker_id
+         JOIN tasks blocked ON blocked.id = d.blocked_id
+         WHERE ${live}${ownerFilter(1, "blocked.owner_id")}`,
+        ownerParam
+      );
+      return result.rows;
+    },
+
+    // Hold off other dependency writers until this transaction ends, so two
+    // edges that only form a cycle together can't both pass the check. SQLite
+    // transactions are already serialized on the one connection.
+    async lockDependencies() {
+      if (db.dialect !== "postgres") return;
+      await db.query("LOCK TABLE task_dependencies IN SHARE ROW EXCLUSIVE MODE");
+    },
+
+    async addDependency(blockerId, blockedId) {
+      const result = await db.query(
+        `INSERT INTO task_dependencies (blocker_id, blocked_id, created_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+        [blockerId, blockedId, nowIso()]
+      );
+      return result.rowCount > 0;
+    },
+
+    async removeDependency(blockerId, blockedId) {
+      const result = await db.query(
+        `DELETE FROM task_dependencies WHERE blocker_id = $1 AND blocked_id = $2`,
+        [blockerId, blockedId]
+      );
+      return result.rowCount > 0;
+    },
+
+    // { parent_id, total, done } per parent with at least one subtask.
+    async subtaskCounts() {
+      const result = await db.query(
+        `SELECT parent_id,
+                COUNT(*) AS total,
+                SUM(CASE WHEN status = 'done' THEN 1 ELSE 0 END) AS done
+         FROM tasks
+         WHERE parent_id IS NOT NULL AND deleted_at IS NULL${ownerFilter(1)}
+         GROUP BY parent_id`,
+        ownerParam
+      );
+      return result.rows.map((r) => ({
+        parent_id: r.parent_id,
+        total: Number(r.total),
+        done: Number(r.done),
+      }));
+    },
+
+    // Hard delete, used by seed.js to start from a clean table.
+    async deleteAllTasks() {
+      const result = await db.query(`DELETE FROM tasks WHERE 1 = 1${ownerFilter(1)}`, ownerParam);
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = { createTaskRepository, TASK_COLUMNS };
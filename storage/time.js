@@ -0,0 +1,29 @@
+// storage/time.js – stopped timer sessions (time_entries)
+//
+// The running timer and the tracked total are task columns (storage/tasks.js);
+// callers check the task belongs to the user before touching its entries.
+
+function createTimeRepository(db) {
+  return {
+    async addTimeEntry({ task_id, started_at, ended_at, seconds, actor }) {
+      const result = await db.query(
+        `INSERT INTO time_entries (task_id, started_at, ended_at, seconds, actor)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [task_id, started_at, ended_at, seconds, actor]
+      );
+      return result.rows[0];
+    },
+
+    // Newest first.
+    async listTimeEntries(taskId) {
+      const result = await db.query(
+        `SELECT * FROM time_entries WHERE task_id = $1 ORDER BY started_at DESC, id DESC`,
+        [taskId]
+      );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createTimeRepository };
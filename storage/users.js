@@ -0,0 +1,191 @@
+// storage/users.js – accounts, auth tokens (sessions + personal API tokens) and calendar feeds
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Public shape of a user; password_hash never leaves the repository.
+function fromUserRow(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return user;
+}
+
+function createUserRepository(db) {
+  return {
+    async countUsers() {
+      const result = await db.query(`SELECT COUNT(*) AS n FROM users`);
+      return Number(result.rows[0].n);
+    },
+
+    async createUser({ email, name, profile = null, password_hash }) {
+      const now = nowIso();
+      const result = await db.query(
+        `INSERT INTO users (email, name, profile, password_hash, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $5)
+         RETURNING *`,
+        [email, name, profile, password_hash, now]
+      );
+      return fromUserRow(result.rows[0]);
+    },
+
+    // Ids of every account, oldest first (the scheduler walks them).
+    async listUserIds() {
+      const result = await db.query(`SELECT id FROM users ORDER BY id`);
+      return result.rows.map((r) => r.id);
+    },
+
+    async getUser(id) {
+      const result = await db.query(`SELECT * FROM users WHERE id = $1`, [id]);
+      return fromUserRow(result.rows[0]);
+    },
+
+    // Includes password_hash – only for login.
+    async getUserCredentials(email) {
+      const result = await db.query(`SELECT * FROM users WHERE email = $1`, [email]);
+      return result.rows[0] || null;
+    },
+
+    async updateUser(id, fields) {
+      const columns = Object.keys(fields).filter((col) =>
+        ["name", "profile", "password_hash"].includes(col)
+      );
+      const setClause = columns.map((col, i) => `${col} = $${i + 2}`);
+      setClause.push(`updated_at = $${columns.length + 2}`);
+
+      const result = await db.query(
+        `UPDATE users SET ${setClause.join(", ")} WHERE id = $1 RETURNING *`,
+        [id, ...columns.map((col) => fields[col]), nowIso()]
+      );
+      return fromUserRow(result.rows[0]);
+    },
+
+    // Tasks created before accounts existed belong to nobody until adopted.
+    async adoptOrphanTasks(userId) {
+      const result = await db.query(`UPDATE tasks SET owner_id = $1 WHERE owner_id IS NULL`, [
+        userId,
+      ]);
+      return result.rowCount;
+    },
+
+    async createAuthToken({
+      user_id,
+      kind,
+      name = null,
+      token_hash,
+      token_prefix,
+      expires_at = null,
+    }) {
+      const result = await db.query(
+        `INSERT INTO auth_tokens
+          (user_id, kind, name, token_hash, token_prefix, expires_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, user_id, kind, name, token_prefix, expires_at, last_used_at, created_at`,
+        [user_id, kind, name, token_hash, token_prefix, expires_at, nowIso()]
+      );
+      return result.rows[0];
+    },
+
+    // The token row plus its user, or null when unknown or expired.
+    async findAuthToken(tokenHash) {
+      const result = await db.query(
+        `SELECT t.id AS token_id, t.kind AS token_kind, t.expires_at AS token_expires_at,
+                u.id, u.email, u.name, u.profile, u.created_at, u.updated_at
+         FROM auth_tokens t
+         JOIN users u ON u.id = t.user_id
+         WHERE t.token_hash = $1`,
+        [tokenHash]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      if (row.token_expires_at && new Date(row.token_expires_at).getTime() <= Date.now()) {
+        return null;
+      }
+      const { token_id, token_kind, token_expires_at, ...user } = row;
+      return { token: { id: token_id, kind: token_kind, expires_at: token_expires_at }, user };
+    },
+
+    async touchAuthToken(id) {
+      await db.query(`UPDATE auth_tokens SET last_used_at = $2 WHERE id = $1`, [id, nowIso()]);
+    },
+
+    async listAuthTokens(userId, kind) {
+      const result = await db.query(
+        `SELECT id, kind, name, token_prefix, expires_at, last_used_at, created_at
+         FROM auth_tokens
+         WHERE user_id = $1 AND kind = $2
+         ORDER BY id`,
+        [userId, kind]
+      );
+      return result.rows;
+    },
+
+    async deleteAuthToken(userId, id) {
+      const result = await db.query(`DELETE FROM auth_tokens WHERE id = $1 AND user_id = $2`, [
+        id,
+        userId,
+      ]);
+      return result.rowCount > 0;
+    },
+
+    // Signs out every other session (a password change); API tokens are left alone.
+    async deleteOtherSessions(userId, keepTokenId) {
+      const result = await db.query(
+        `DELETE FROM auth_tokens WHERE user_id = $1 AND kind = 'session' AND id <> $2`,
+        [userId, keepTokenId ?? 0]
+      );
+      return result.rowCount;
+    },
+
+    // Calendar feeds (GET /calendar.ics?token=…): read-only, never valid as bearer tokens.
+    async createCalendarFeed({ user_id, name, token_hash, token_prefix }) {
+      const result = await db.query(
+        `INSERT INTO calendar_feeds (user_id, name, token_hash, token_prefix, created_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, token_prefix, last_used_at, created_at`,
+        [user_id, name, token_hash, token_prefix, nowIso()]
+      );
+      return result.rows[0];
+    },
+
+    // The feed plus its user, or null when unknown.
+    async findCalendarFeed(tokenHash) {
+      const result = await db.query(
+        `SELECT f.id AS feed_id, u.id, u.email, u.name, u.profile, u.created_at, u.updated_at
+         FROM calendar_feeds f
+         JOIN users u ON u.id = f.user_id
+         WHERE f.token_hash = $1`,
+        [tokenHash]
+      );
+      const row = result.rows[0];
+      if (!row) return null;
+      const { feed_id, ...user } = row;
+      return { feed: { id: feed_id }, user };
+    },
+
+    async touchCalendarFeed(id) {
+      await db.query(`UPDATE calendar_feeds SET last_used_at = $2 WHERE id = $1`, [id, nowIso()]);
+    },
+
+    async listCalendarFeeds(userId) {
+      const result = await db.query(
+        `SELECT id, name, token_prefix, last_used_at, created_at
+         FROM calendar_feeds
+         WHERE user_id = $1
+         ORDER BY id`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    async deleteCalendarFeed(userId, id) {
+      const result = await db.query(`DELETE FROM calendar_feeds WHERE id = $1 AND user_id = $2`, [
+        id,
+        userId,
+      ]);
+      return result.rowCount > 0;
+    },
+  };
+}
+
+module.exports = { createUserRepository };
@@ -0,0 +1,199 @@
+// storage/webhooks.js – webhook subscriptions, their deliveries and delivery attempts
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function parseJson(value, fallback) {
+  if (typeof value !== "string") return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function fromWebhookRow(row) {
+  if (!row) return null;
+  return { ...row, events: parseJson(row.events, []) };
+}
+
+function fromDeliveryRow(row) {
+  if (!row) return null;
+  return { ...row, payload: parseJson(row.payload, null) };
+}
+
+/**
+ * Subscriptions belong to one user; with an ownerId every method only sees
+ * that user's webhooks (and deliveries through them). The delivery worker
+ * uses the unscoped storage to pick up due deliveries for everyone.
+ */
+function createWebhookRepository(db, { ownerId = null } = {}) {
+  const ownerFilter = (n, column = "user_id") =>
+    ownerId === null ? "" : ` AND ${column} = $${n}`;
+  const ownerParam = ownerId === null ? [] : [ownerId];
+
+  return {
+    async listWebhooks() {
+      const result = await db.query(
+        `SELECT * FROM webhooks WHERE 1 = 1${ownerFilter(1)} ORDER BY id`,
+        ownerParam
+      );
+      return result.rows.map(fromWebhookRow);
+    },
+
+    async getWebhook(id) {
+      const result = await db.query(
+        `SELECT * FROM webhooks WHERE id = $1${ownerFilter(2)}`,
+        [id, ...ownerParam]
+      );
+      return fromWebhookRow(result.rows[0]);
+    },
+
+    async createWebhook({ url, events, secret, last_event_id = 0 }) {
+      if (ownerId === null) throw new Error("createWebhook needs an owner-scoped repository");
+      const now = nowIso();
+      const result = await db.query(
+        `INSERT INTO webhooks (user_id, url, events, secret, last_event_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $6)
+         RETURNING *`,
+        [ownerId, url, JSON.stringify(events), secret, last_event_id, now]
+      );
+      return fromWebhookRow(result.rows[0]);
+    },
+
+    // fields: url, events, secret, disabled_at, last_event_id
+    async updateWebhook(id, fields) {
+      const columns = Object.keys(fields).filter((col) =>
+        ["url", "events", "secret", "disabled_at", "last_event_id"].includes(col)
+      );
+      const values = columns.map((col) =>
+        col === "events" ? JSON.stringify(fields[col]) : fields[col]
+      );
+      const setClause = columns.map((col, i) => `${col} = $${i + 2}`);
+      setClause.push(`updated_at = $${columns.length + 2}`);
+
+      const result = await db.query(
+        `UPDATE webhooks SET ${setClause.join(", ")}
+         WHERE id = $1${ownerFilter(columns.length + 3)}
+         RETURNING *`,
+        [id, ...values, nowIso(), ...ownerParam]
+      );
+      return fromWebhookRow(result.rows[0]);
+    },
+
+    async deleteWebhook(id) {
+      const result = await db.query(
+        `DELETE FROM webhooks WHERE id = $1${ownerFilter(2)}`,
+        [id, ...ownerParam]
+      );
+      return result.rowCount > 0;
+    },
+
+    // Enabled subscriptions, oldest first.
+    async listActiveWebhooks() {
+      const result = await db.query(
+        `SELECT * FROM webhooks WHERE disabled_at IS NULL${ownerFilter(1)} ORDER BY id`,
+        ownerParam
+      );
+      return result.rows.map(fromWebhookRow);
+    },
+
+    // Moves the cursor only (events up to eventId have been queued).
+    async advanceWebhookCursor(id, eventId) {
+      await db.query(`UPDATE webhooks SET last_event_id = $2 WHERE id = $1`, [id, eventId]);
+    },
+
+    async createDelivery({ webhook_id, event, event_id = null, payload }) {
+      const now = nowIso();
+      const result = await db.query(
+        `INSERT INTO webhook_deliveries
+          (webhook_id, event, event_id, payload, status, attempts, next_attempt_at, created_at)
+         VALUES ($1, $2, $3, $4, 'pending', 0, $5, $5)
+         RETURNING *`,
+        [webhook_id, event, event_id, JSON.stringify(payload), now]
+      );
+      return fromDeliveryRow(result.rows[0]);
+    },
+
+    // Newest first; callers check the webhook belongs to the user.
+    async listDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+      const result = await db.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id = $1${status ? " AND status = $3" : ""}
+         ORDER BY id DESC
+         LIMIT $2`,
+        status ? [webhookId, limit, status] : [webhookId, limit]
+      );
+      return result.rows.map(fromDeliveryRow);
+    },
+
+    async getDelivery(webhookId, id) {
+      const result = await db.query(
+        `SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2`,
+        [id, webhookId]
+      );
+      return fromDeliveryRow(result.rows[0]);
+    },
+
+    // fields: status, attempts, response_status, error, next_attempt_at, delivered_at
+    async updateDelivery(id, fields) {
+      const columns = Object.keys(fields).filter((col) =>
+        [
+          "status",
+          "attempts",
+          "response_status",
+          "error",
+          "next_attempt_at",
+          "delivered_at",
+        ].includes(col)
+      );
+      const setClause = columns.map((col, i) => `${col} = $${i + 2}`);
+      const result = await db.query(
+        `UPDATE webhook_deliveries SET ${setClause.join(", ")} WHERE id = $1 RETURNING *`,
+        [id, ...columns.map((col) => fields[col])]
+      );
+      return fromDeliveryRow(result.rows[0]);
+    },
+
+    /**
+     * Pending deliveries whose next attempt is due, oldest first, with what
+     * the worker needs to send them (url, secret) from an enabled webhook.
+     */
+    async listDueDeliveries(now, limit) {
+      const result = await db.query(
+        `SELECT d.*, w.url, w.secret
+         FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.status = 'pending' AND d.next_attempt_at <= $1
+           AND w.disabled_at IS NULL${ownerFilter(3, "w.user_id")}
+         ORDER BY d.next_attempt_at, d.id
+         LIMIT $2`,
+        [now, limit, ...ownerParam]
+      );
+      return result.rows.map(fromDeliveryRow);
+    },
+
+    // Only the status is kept; response bodies are never stored.
+    async addDeliveryAttempt({ delivery_id, response_status, error, duration_ms }) {
+      const result = await db.query(
+        `INSERT INTO webhook_attempts (delivery_id, response_status, error, duration_ms, created_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [delivery_id, response_status, error, duration_ms, nowIso()]
+      );
+      return result.rows[0];
+    },
+
+    // Oldest first, so the list reads as the delivery's story.
+    async listDeliveryAttempts(deliveryId) {
+      const result = await db.query(
+        `SELECT * FROM webhook_attempts WHERE delivery_id = $1 ORDER BY id`,
+        [deliveryId]
+      );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = { createWebhookRepository };
@@ -0,0 +1,69 @@
+// auth.test.js – sign-in, sessions and per-account task scoping (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let ann;
+let bob;
+
+test.before(async () => {
+  server = await startServer();
+  ann = await server.register("ann@example.com");
+  bob = await server.register("bob@example.com");
+});
+
+test.after(() => server.close());
+
+function as(user, method, url, body) {
+  return server.request(method, url, { token: user.token, body });
+}
+
+test("task routes need a token", async () => {
+  assert.equal((await server.request("GET", "/tasks")).status, 401);
+  const forged = await server.request("GET", "/tasks", { token: "tos_session_nope" });
+  assert.equal(forged.status, 401);
+});
+
+test("one account can't see or change another account's tasks", async () => {
+  const mine = (await as(ann, "POST", "/tasks", { title: "Ann's taxes" })).body;
+  const theirs = (await as(bob, "POST", "/tasks", { title: "Bob's garden" })).body;
+
+  const listed = (await as(bob, "GET", "/tasks")).body;
+  assert.deepEqual(listed.map((t) => t.title), ["Bob's garden"]);
+  assert.equal((await as(bob, "PATCH", `/tasks/${mine.id}`, { title: "Mine now" })).status, 404);
+  assert.equal((await as(bob, "PATCH", `/tasks/${mine.id}/complete`)).status, 404);
+  assert.equal((await as(bob, "DELETE", `/tasks/${mine.id}`)).status, 404);
+  assert.equal((await as(bob, "GET", `/tasks/${mine.id}/history`)).status, 404);
+  // Nor link their own task to it.
+  const link = await as(bob, "POST", `/tasks/${theirs.id}/blockers`, { blocker_id: mine.id });
+  assert.equal(link.status, 404);
+
+  // The same holds for storage scoped with forOwner.
+  const bobs = server.storage.forOwner(bob.user.id);
+  assert.equal(await bobs.getTask(mine.id, { includeDeleted: true }), null);
+  assert.equal(await bobs.updateTask(mine.id, { title: "Mine now" }), null);
+
+  const exported = await as(bob, "GET", "/export?format=json");
+  assert.deepEqual(exported.body.tasks.map((t) => t.title), ["Bob's garden"]);
+  const untouched = (await as(ann, "GET", "/tasks")).body;
+  assert.deepEqual(untouched.map((t) => [t.title, t.status]), [["Ann's taxes", "open"]]);
+});
+
+test("a new password signs out other sessions but keeps API tokens", async () => {
+  const login = await server.request("POST", "/auth/login", {
+    body: { email: "ann@example.com", password: "correct horse battery" },
+  });
+  const other = { token: login.body.token };
+  const api = { token: (await as(ann, "POST", "/tokens", { name: "script" })).body.token };
+
+  const changed = await as(ann, "PATCH", "/me", {
+    password: "a brand new secret",
+    current_password: "correct horse battery",
+  });
+  assert.equal(changed.status, 200);
+  assert.equal((await as(ann, "GET", "/me")).status, 200);
+  assert.equal((await as(other, "GET", "/me")).status, 401);
+  assert.equal((await as(api, "GET", "/me")).status, 200);
+});
@@ -0,0 +1,60 @@
+// blockers.test.js – blocker edges never form a cycle (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  ({ token } = await server.register("ann@example.com"));
+});
+
+test.after(() => server.close());
+
+async function createTask(title) {
+  return (await server.request("POST", "/tasks", { token, body: { title } })).body;
+}
+
+function block(task, blocker) {
+  return server.request("POST", `/tasks/${task.id}/blockers`, {
+    token,
+    body: { blocker_id: blocker.id },
+  });
+}
+
+test("two concurrent requests for opposite edges add only one", async () => {
+  const a = await createTask("Sign lease");
+  const b = await createTask("Order furniture");
+
+  // Hold the transaction queue until both requests are waiting on it.
+  let release;
+  const held = server.storage.transaction(() => new Promise((resolve) => (release = resolve)));
+  const pending = [block(a, b), block(b, a)];
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  release();
+  await held;
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map((r) => r.status).sort(), [201, 409]);
+});
+
+test("a cycle through a deleted task is refused, so restoring it can't revive one", async () => {
+  const a = await createTask("Draft budget");
+  const b = await createTask("Review budget");
+  const c = await createTask("Approve budget");
+  assert.equal((await block(b, a)).status, 201);
+  assert.equal((await block(c, b)).status, 201);
+  await server.request("DELETE", `/tasks/${b.id}`, { token });
+
+  const res = await block(a, c);
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /would create a cycle/);
+});
+
+test("unknown tasks are 404 and self-blocking is 400", async () => {
+  const a = await createTask("Call bank");
+  assert.equal((await block(a, { id: 999999 })).status, 404);
+  assert.equal((await block(a, a)).status, 400);
+});
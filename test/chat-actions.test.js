@@ -0,0 +1,66 @@
+// chat-actions.test.js – confirming proposed chat actions (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+let repo;
+let thread;
+
+test.before(async () => {
+  server = await startServer();
+  const session = await server.register("ann@example.com");
+  token = session.token;
+  repo = server.storage.forOwner(session.user.id);
+  thread = await repo.createThread({ title: "Planning" });
+});
+
+test.after(() => server.close());
+
+function apply(action) {
+  return server.request("POST", `/chat/actions/${action.id}/apply`, { token });
+}
+
+test("two concurrent applies of a create_task action create one task", async () => {
+  const action = await repo.createAction(thread.id, {
+    tool: "create_task",
+    args: { title: "Book venue" },
+    summary: "Create 'Book venue'",
+  });
+  // Hold the transaction queue until both requests have read the action as
+  // proposed, like a double click landing while the first apply is running.
+  let release;
+  const held = server.storage.transaction(() => new Promise((resolve) => (release = resolve)));
+  const pending = [apply(action), apply(action)];
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  release();
+  await held;
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+
+  const applied = results.find((r) => r.status === 200).body;
+  const refused = results.find((r) => r.status === 409).body;
+  assert.equal(refused.error, "Action is already applied");
+  assert.equal(applied.action.task_id, applied.task.id);
+
+  const tasks = await server.request("GET", "/tasks", { token });
+  assert.deepEqual(tasks.body.map((t) => t.title), ["Book venue"]);
+});
+
+test("an action that no longer applies is marked failed", async () => {
+  const task = await server.request("POST", "/tasks", { token, body: { title: "Old idea" } });
+  const action = await repo.createAction(thread.id, {
+    tool: "complete_task",
+    args: { id: task.body.id },
+    summary: "Complete 'Old idea'",
+    task_id: task.body.id,
+  });
+  await server.request("DELETE", `/tasks/${task.body.id}`, { token });
+  const res = await apply(action);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, "Task no longer exists");
+  assert.equal(res.body.action.status, "failed");
+  assert.equal((await apply(action)).body.error, "Action is already failed");
+});
@@ -0,0 +1,84 @@
+// conflicts.test.js – If-Unmodified-Since preconditions on task writes (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  ({ token } = await server.register("ann@example.com"));
+});
+
+test.after(() => server.close());
+
+async function createTask(title) {
+  const task = (await server.request("POST", "/tasks", { token, body: { title } })).body;
+  await new Promise((resolve) => setTimeout(resolve, 5)); // later writes get a newer updated_at
+  return task;
+}
+
+function write(method, url, since, body) {
+  return server.request(method, url, {
+    token,
+    body,
+    headers: { "If-Unmodified-Since": since },
+  });
+}
+
+test("a write based on the current version goes through", async () => {
+  const task = await createTask("Draft contract");
+  const res = await write("PATCH", `/tasks/${task.id}`, task.updated_at, { priority: 1 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.priority, 1);
+});
+
+test("stale writes get a 409 with the current task and change nothing", async () => {
+  const task = await createTask("Book flights");
+  const edited = await write("PATCH", `/tasks/${task.id}`, task.updated_at, { priority: 2 });
+  assert.equal(edited.status, 200);
+
+  for (const [method, url, body] of [
+    ["PATCH", `/tasks/${task.id}`, { title: "Book trains" }],
+    ["PATCH", `/tasks/${task.id}/complete`],
+    ["DELETE", `/tasks/${task.id}`],
+  ]) {
+    const res = await write(method, url, task.updated_at, body);
+    assert.equal(res.status, 409, `${method} ${url}`);
+    assert.equal(res.body.task.title, "Book flights");
+    assert.equal(res.body.task.priority, 2);
+  }
+  const list = await server.request("GET", "/tasks", { token });
+  const current = list.body.find((t) => t.id === task.id);
+  assert.deepEqual([current.title, current.status], ["Book flights", "open"]);
+});
+
+test("the check runs inside the write transaction", async () => {
+  const task = await createTask("Pay invoice");
+
+  // Hold the transaction queue until both edits have passed every check made
+  // outside it; only the first to get the transaction may apply.
+  let release;
+  const held = server.storage.transaction(() => new Promise((resolve) => (release = resolve)));
+  const pending = [
+    write("PATCH", `/tasks/${task.id}`, task.updated_at, { title: "Pay invoice 1" }),
+    write("PATCH", `/tasks/${task.id}`, task.updated_at, { title: "Pay invoice 2" }),
+  ];
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  release();
+  await held;
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+
+  const winner = results.find((r) => r.status === 200).body.title;
+  const loser = results.find((r) => r.status === 409).body.task.title;
+  assert.equal(loser, winner);
+});
+
+test("an unreadable If-Unmodified-Since is a 400", async () => {
+  const task = await createTask("Water plants");
+  const res = await write("PATCH", `/tasks/${task.id}`, "last tuesday", { priority: 1 });
+  assert.equal(res.status, 400);
+});
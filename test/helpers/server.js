@@ -0,0 +1,63 @@
+// server.js – index.js on a throwaway SQLite database, for route tests
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+/**
+ * Start the app on a free port against a fresh, migrated SQLite file. env is
+ * applied before index.js loads, so call this once per test file (node --test
+ * runs every file in its own process). Returns { storage, request, register, close }.
+ */
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tonyos-test-"));
+  Object.assign(process.env, {
+    SQLITE_PATH: path.join(dir, "tasks.db"),
+    ALLOW_SIGNUP: "true",
+    ROLLOVER_TIME: "off",
+    DOTENV_CONFIG_QUIET: "true",
+    ...env,
+  });
+  const { app, storage } = require("../../index");
+  await storage.migrator.up();
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, body } for one request; JSON bodies are parsed, anything else is text.
+  async function request(method, url, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, body: json && text ? JSON.parse(text) : text };
+  }
+
+  // Signs up `email` and returns { token, user }.
+  async function register(email) {
+    const res = await request("POST", "/auth/register", {
+      body: { email, password: "correct horse battery", name: email.split("@")[0] },
+    });
+    if (res.status !== 201) throw new Error(`register ${email}: ${JSON.stringify(res.body)}`);
+    return res.body;
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    server.close();
+    await once(server, "close");
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { storage, request, register, close };
+}
+
+module.exports = { startServer };
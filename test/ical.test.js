@@ -0,0 +1,133 @@
+// ical.test.js – calendar feed writing and .ics parsing (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCalendar, parseCalendar } = require("../ical");
+
+const NOW = new Date("2026-11-20T08:00:00Z");
+
+function task(fields) {
+  return {
+    id: 1,
+    title: "Family day",
+    description: "",
+    area: "Family",
+    bucket: "later",
+    status: "open",
+    priority: 3,
+    score: 42,
+    leverage_score: 3,
+    urgency_score: 2,
+    risk_score: 1,
+    friction_score: 2,
+    unblock_score: 0,
+    updated_at: "2026-11-19T10:00:00.000Z",
+    ...fields,
+  };
+}
+
+function calendar(...entries) {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", ...entries, "END:VCALENDAR"].join("\r\n");
+}
+
+test("date-only due dates are all-day entries, timed ones are not", () => {
+  const ics = buildCalendar(
+    [
+      task({ id: 1, due_date: "2026-12-24T00:00:00.000Z" }),
+      task({ id: 2, title: "Board call", due_date: "2026-12-01T15:30:00.000Z" }),
+      task({ id: 3, title: "Someday" }),
+    ],
+    { now: NOW }
+  );
+  assert.match(ics, /DTSTART;VALUE=DATE:20261224\r\nDTEND;VALUE=DATE:20261225\r\n/);
+  assert.match(ics, /DUE;VALUE=DATE:20261224\r\n/);
+  assert.match(ics, /DTSTART:20261201T153000Z\r\nDTEND:20261201T160000Z\r\n/);
+  assert.match(ics, /DUE:20261201T153000Z\r\n/);
+  assert.doesNotMatch(ics, /Someday/);
+  assert.match(ics, /\r\nDTSTAMP:20261120T080000Z\r\n/);
+});
+
+test("the feed reads back with escaped text, categories and folded lines intact", () => {
+  const title = `Restructuring deadline; sign, file & send ${"x".repeat(80)}`;
+  const ics = buildCalendar(
+    [task({ title, description: "Line one\nLine two", due_date: "2026-12-01T15:30:00.000Z" })],
+    { now: NOW, type: "event" }
+  );
+  assert.ok(ics.split("\r\n").every((line) => Buffer.byteLength(line) <= 75));
+  const [entry] = parseCalendar(ics);
+  assert.equal(entry.type, "event");
+  assert.equal(entry.uid, "tonyos-task-1@tonyos");
+  assert.equal(entry.summary, title);
+  assert.equal(entry.description, "Line one\nLine two\n\nTonyOS score 42 (L3/U2/R1/F2)");
+  assert.deepEqual(entry.categories, ["Later", "Family"]);
+  assert.deepEqual(entry.start, { date: "2026-12-01T15:30:00.000Z", allDay: false });
+});
+
+test("parses DATE, UTC, TZID (either side of DST) and floating times", () => {
+  const entries = parseCalendar(
+    calendar(
+      "BEGIN:VEVENT",
+      "DTSTART;VALUE=DATE:20261224",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART:20261201T090000Z",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=America/New_York:20260701T090000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=America/New_York:20261201T090000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART;TZID=W. Europe Standard Time:20261201T090000",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "DTSTART:20261201T090000",
+      "END:VEVENT"
+    )
+  );
+  assert.deepEqual(
+    entries.map((e) => e.start),
+    [
+      { date: "2026-12-24T00:00:00.000Z", allDay: true },
+      { date: "2026-12-01T09:00:00.000Z", allDay: false },
+      { date: "2026-07-01T13:00:00.000Z", allDay: false },
+      { date: "2026-12-01T14:00:00.000Z", allDay: false },
+      { date: "2026-12-01T09:00:00.000Z", allDay: false },
+      { date: "2026-12-01T09:00:00.000Z", allDay: false },
+    ]
+  );
+});
+
+test("reads to-do DUE dates, RRULEs and skips nested alarms", () => {
+  const [todo, event] = parseCalendar(
+    calendar(
+      "BEGIN:VTODO",
+      "SUMMARY:File taxes",
+      "DUE;VALUE=DATE:20270415",
+      "STATUS:needs-action",
+      "END:VTODO",
+      "BEGIN:VEVENT",
+      "SUMMARY:Weekly review",
+      "DTSTART:20261130T170000Z",
+      "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20270101T000000Z",
+      "BEGIN:VALARM",
+      "DESCRIPTION:Reminder",
+      "END:VALARM",
+      "END:VEVENT"
+    )
+  );
+  assert.deepEqual(todo.start, { date: "2027-04-15T00:00:00.000Z", allDay: true });
+  assert.equal(todo.status, "NEEDS-ACTION");
+  assert.equal(event.description, undefined);
+  assert.deepEqual(event.rrule, {
+    freq: "weekly",
+    interval: 2,
+    until: "2027-01-01T00:00:00.000Z",
+    by_weekday: ["mo", "th"],
+  });
+});
+
+test("rejects text that is not a calendar", () => {
+  assert.throws(() => parseCalendar("BEGIN:VEVENT\nEND:VEVENT"), /Not an iCalendar file/);
+});
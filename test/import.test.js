@@ -0,0 +1,72 @@
+// import.test.js – POST /import matching exported ids (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { exportTasks } = require("../transfer");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+const local = [];
+
+test.before(async () => {
+  server = await startServer();
+  ({ token } = await server.register("ann@example.com"));
+  for (const title of ["Send invoices", "Book venue", "Renew passport"]) {
+    const res = await server.request("POST", "/tasks", { token, body: { title } });
+    local.push(res.body);
+  }
+});
+
+test.after(() => server.close());
+
+function importFile(format, data, mode = "upsert") {
+  return server.request("POST", "/import", { token, body: { format, data, mode } });
+}
+
+async function titles() {
+  const res = await server.request("GET", "/tasks", { token });
+  return res.body.map((t) => t.title).sort();
+}
+
+test("re-importing this account's export updates instead of copying", async () => {
+  for (const format of ["csv", "json", "md"]) {
+    const file = await server.request("GET", `/export?format=${format}`, { token });
+    const res = await importFile(format, file.body);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.created, [], format);
+    assert.equal(res.body.unchanged.length, 3, format);
+  }
+});
+
+test("a foreign export whose ids collide with local tasks creates new tasks", async () => {
+  // Another instance's tasks with the same ids, created at other times.
+  const foreign = local.map((t, i) => ({
+    id: t.id,
+    title: `Foreign ${i + 1}`,
+    status: "open",
+    bucket: "later",
+    priority: 3,
+    created_at: `2025-0${i + 1}-01T09:00:00.000Z`,
+    updated_at: `2025-0${i + 1}-01T09:00:00.000Z`,
+  }));
+  const csv = exportTasks(foreign, "csv").body;
+
+  const created = await importFile("csv", csv, "create");
+  assert.equal(created.status, 200);
+  assert.deepEqual(created.body.errors, []);
+  assert.equal(created.body.created.length, 3);
+  assert.deepEqual(await titles(), [
+    "Book venue",
+    "Foreign 1",
+    "Foreign 2",
+    "Foreign 3",
+    "Renew passport",
+    "Send invoices",
+  ]);
+
+  // The imported copies keep the foreign ids, so importing the file again matches them.
+  const again = await importFile("csv", csv);
+  assert.deepEqual(again.body.created, []);
+  assert.equal(again.body.unchanged.length, 3);
+});
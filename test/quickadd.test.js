@@ -0,0 +1,108 @@
+// quickadd.test.js – one-line quick-add parsing (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseQuickAdd } = require("../quickadd");
+
+// Monday 2026-10-19, 10:00 in New York.
+const NOW = new Date("2026-10-19T14:00:00Z");
+const NEW_YORK = { now: NOW, timeZone: "America/New_York" };
+
+test("parses the example from the form", () => {
+  const parsed = parseQuickAdd(
+    "Call CPA about trust docs tomorrow 3pm !1 #Finance @this_week",
+    NEW_YORK
+  );
+  assert.deepEqual(parsed, {
+    title: "Call CPA about trust docs",
+    title_missing: false,
+    due_date: "2026-10-20T19:00:00.000Z",
+    due_time: "15:00",
+    priority: 1,
+    area: "Finance",
+    bucket: "this_week",
+    estimated_minutes: null,
+    recurrence: null,
+    matches: [
+      { field: "due_date", text: "tomorrow" },
+      { field: "due_time", text: "3pm" },
+      { field: "priority", text: "!1" },
+      { field: "area", text: "#Finance" },
+      { field: "bucket", text: "@this_week" },
+    ],
+  });
+});
+
+test("a date without a time is due at the end of that local day", () => {
+  assert.equal(parseQuickAdd("Pay rent oct 20", NEW_YORK).due_date, "2026-10-21T03:59:00.000Z");
+  assert.equal(parseQuickAdd("Pay rent in 3 days", NEW_YORK).due_date, "2026-10-23T03:59:00.000Z");
+  assert.equal(parseQuickAdd("Pay rent oct 20", NEW_YORK).due_time, null);
+});
+
+test("a time without a date is today, or tomorrow once it has passed", () => {
+  const utc = { now: NOW, timeZone: "UTC" };
+  assert.equal(parseQuickAdd("Nap 3pm", utc).due_date, "2026-10-19T15:00:00.000Z");
+  assert.equal(parseQuickAdd("Gym 1pm", utc).due_date, "2026-10-20T13:00:00.000Z");
+  const review = parseQuickAdd("Review by 10/20 at noon", NEW_YORK);
+  assert.equal(review.due_date, "2026-10-20T16:00:00.000Z");
+});
+
+test("local times use the offset in force on that day across DST changes", () => {
+  // New York falls back at 02:00 on 2026-11-01 and springs forward on 2026-03-08.
+  const early = parseQuickAdd("Call 2026-11-01 12:30am", NEW_YORK);
+  assert.equal(early.due_date, "2026-11-01T04:30:00.000Z");
+  const late = parseQuickAdd("Change clocks 2026-11-01 2:30pm", NEW_YORK);
+  assert.equal(late.due_date, "2026-11-01T19:30:00.000Z");
+  const spring = parseQuickAdd("Spring 2026-03-08 10am", NEW_YORK);
+  assert.equal(spring.due_date, "2026-03-08T14:00:00.000Z");
+});
+
+test("estimates, recurrence and bucket aliases", () => {
+  const rent = parseQuickAdd("Pay rent next friday ~1h30m every month", NEW_YORK);
+  assert.equal(rent.title, "Pay rent");
+  assert.equal(rent.estimated_minutes, 90);
+  assert.deepEqual(rent.recurrence, { freq: "monthly" });
+
+  const backup = parseQuickAdd("Backup @someday every other week", NEW_YORK);
+  assert.equal(backup.bucket, "later");
+  assert.deepEqual(backup.recurrence, { freq: "weekly", interval: 2 });
+
+  const standup = parseQuickAdd("Standup 9:00 every weekday", { now: NOW, timeZone: "UTC" });
+  assert.deepEqual(standup.recurrence, {
+    freq: "weekly",
+    by_weekday: ["mo", "tu", "we", "th", "fr"],
+  });
+});
+
+test("a # tag needs a letter first, so issue numbers stay in the title", () => {
+  const issue = parseQuickAdd("Reply to issue #42 tomorrow", NEW_YORK);
+  assert.equal(issue.title, "Reply to issue #42");
+  assert.equal(issue.area, null);
+  const planning = parseQuickAdd("Reply to issue #42 #Q4_Planning", NEW_YORK);
+  assert.equal(planning.title, "Reply to issue #42");
+  assert.equal(planning.area, "Q4 Planning");
+});
+
+test("words inside other words stay in the title", () => {
+  const parsed = parseQuickAdd("Pick up today's mail", NEW_YORK);
+  assert.equal(parsed.title, "Pick up today's mail");
+  assert.equal(parsed.due_date, null);
+});
+
+test("flags a title that is nothing but inline syntax", () => {
+  const parsed = parseQuickAdd("!1 #Finance tomorrow", NEW_YORK);
+  assert.equal(parsed.title, "");
+  assert.equal(parsed.title_missing, true);
+  assert.equal(parsed.priority, 1);
+});
+
+test("reports date- and time-like text that isn't real and leaves it in the title", () => {
+  const meet = parseQuickAdd("Meet 25pm", NEW_YORK);
+  assert.equal(meet.title, "Meet 25pm");
+  assert.equal(meet.due_date, null);
+  assert.deepEqual(meet.matches, [{ field: "due_time", text: "25pm", ignored: true }]);
+
+  const dinner = parseQuickAdd("Dinner feb 30", NEW_YORK);
+  assert.equal(dinner.title, "Dinner feb 30");
+  assert.deepEqual(dinner.matches, [{ field: "due_date", text: "feb 30", ignored: true }]);
+});
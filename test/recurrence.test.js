@@ -0,0 +1,140 @@
+// recurrence.test.js – repeat rules and next due dates (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateRecurrence,
+  normalizeRecurrence,
+  anchorRecurrence,
+  nextOccurrence,
+  describeRecurrence,
+} = require("../recurrence");
+
+// Follow a series `n` steps from `due`, returning the dates as YYYY-MM-DD.
+function series(rule, due, n) {
+  const dates = [];
+  let from = due;
+  for (let i = 1; i <= n; i++) {
+    from = nextOccurrence(rule, from, i);
+    dates.push(from ? from.toISOString().slice(0, 10) : null);
+  }
+  return dates;
+}
+
+test("validates rules and rejects unknown fields", () => {
+  assert.deepEqual(validateRecurrence(null), []);
+  assert.deepEqual(validateRecurrence({ freq: "weekly", by_weekday: ["mo", "th"] }), []);
+  assert.deepEqual(validateRecurrence({ freq: "hourly" }), [
+    "recurrence.freq must be one of: daily, weekly, monthly, yearly.",
+  ]);
+  assert.deepEqual(validateRecurrence({ freq: "daily", by_weekday: ["mo"] }), [
+    "recurrence.by_weekday is only valid with freq 'weekly'.",
+  ]);
+  assert.deepEqual(validateRecurrence({ freq: "monthly", month_day: 32 }), [
+    "recurrence.month_day must be an integer between 1 and 31.",
+  ]);
+  const [error] = validateRecurrence({ freq: "daily", byweekday: ["mo"] });
+  assert.match(error, /^recurrence\.byweekday is not a rule field/);
+});
+
+test("normalizes to the stored form", () => {
+  assert.deepEqual(
+    normalizeRecurrence({ freq: "weekly", interval: "2", by_weekday: ["TH", "mo"], count: "10" }),
+    { freq: "weekly", interval: 2, by_weekday: ["mo", "th"], count: 10 }
+  );
+  assert.deepEqual(normalizeRecurrence({ freq: "daily", until: "2026-06-30" }), {
+    freq: "daily",
+    interval: 1,
+    until: "2026-06-30T00:00:00.000Z",
+  });
+});
+
+test("weekly on chosen weekdays, every other week", () => {
+  const rule = { freq: "weekly", interval: 2, by_weekday: ["mo", "th"] };
+  // 2026-05-04 is a Monday.
+  assert.deepEqual(series(rule, "2026-05-04T09:00:00Z", 4), [
+    "2026-05-07",
+    "2026-05-18",
+    "2026-05-21",
+    "2026-06-01",
+  ]);
+});
+
+test("monthly series due on the 31st clamp to short months and come back", () => {
+  const rule = anchorRecurrence({ freq: "monthly", interval: 1 }, "2026-01-31T17:00:00Z");
+  assert.equal(rule.month_day, 31);
+  assert.deepEqual(series(rule, "2026-01-31T17:00:00Z", 4), [
+    "2026-02-28",
+    "2026-03-31",
+    "2026-04-30",
+    "2026-05-31",
+  ]);
+  const next = nextOccurrence(rule, "2026-01-31T17:00:00Z");
+  assert.equal(next.toISOString(), "2026-02-28T17:00:00.000Z");
+});
+
+test("yearly series on Feb 29 falls back to Feb 28 until the next leap year", () => {
+  const rule = anchorRecurrence({ freq: "yearly", interval: 1 }, "2028-02-29T00:00:00Z");
+  assert.deepEqual(series(rule, "2028-02-29T00:00:00Z", 4), [
+    "2029-02-28",
+    "2030-02-28",
+    "2031-02-28",
+    "2032-02-29",
+  ]);
+});
+
+const NEW_YORK = { timeZone: "America/New_York" };
+
+test("timed series keep their local time of day across DST changes", () => {
+  // US clocks go forward on 2026-03-08 and back on 2026-11-01: 9:00 stays 9:00.
+  const daily = { freq: "daily", interval: 1 };
+  const spring = nextOccurrence(daily, "2026-03-07T14:00:00Z", 1, NEW_YORK);
+  assert.equal(spring.toISOString(), "2026-03-08T13:00:00.000Z");
+  const fall = nextOccurrence({ freq: "weekly" }, "2026-10-26T13:00:00Z", 1, NEW_YORK);
+  assert.equal(fall.toISOString(), "2026-11-02T14:00:00.000Z");
+  // Date-only due dates are calendar days in any zone.
+  const allDay = nextOccurrence(daily, "2026-03-07T00:00:00Z", 1, NEW_YORK);
+  assert.equal(allDay.toISOString(), "2026-03-08T00:00:00.000Z");
+});
+
+test("weekdays and month days are the local ones for evening tasks west of UTC", () => {
+  // Monday 2026-05-04 21:00 in New York is already Tuesday in UTC.
+  const rule = { freq: "weekly", by_weekday: ["mo", "th"] };
+  const next = nextOccurrence(rule, "2026-05-05T01:00:00Z", 1, NEW_YORK);
+  assert.equal(next.toISOString(), "2026-05-08T01:00:00.000Z"); // Thursday 21:00
+
+  // Jan 31 20:00 in New York (Feb 1 in UTC) anchors on the 31st.
+  const monthly = anchorRecurrence({ freq: "monthly" }, "2026-02-01T01:00:00Z", NEW_YORK);
+  assert.equal(monthly.month_day, 31);
+  const feb = nextOccurrence(monthly, "2026-02-01T01:00:00Z", 1, NEW_YORK);
+  assert.equal(feb.toISOString(), "2026-03-01T01:00:00.000Z"); // Feb 28 20:00
+});
+
+test("a date-only until covers the whole local last day", () => {
+  const rule = { freq: "daily", until: "2026-06-30T00:00:00.000Z" };
+  // Jun 30 21:00 in New York is Jul 1 in UTC, and still within the series.
+  const last = nextOccurrence(rule, "2026-06-30T01:00:00Z", 1, NEW_YORK);
+  assert.equal(last.toISOString(), "2026-07-01T01:00:00.000Z");
+  assert.equal(nextOccurrence(rule, last, 2, NEW_YORK), null);
+});
+
+test("series end at count or until", () => {
+  assert.equal(nextOccurrence({ freq: "daily", count: 3 }, "2026-05-01T00:00:00Z", 3), null);
+  const until = { freq: "weekly", until: "2026-05-10T00:00:00Z" };
+  assert.deepEqual(series(until, "2026-05-01T00:00:00Z", 2), ["2026-05-08", null]);
+});
+
+test("a date-only until includes occurrences later that day", () => {
+  const rule = normalizeRecurrence({ freq: "weekly", until: "2026-06-30" });
+  // 2026-06-23 and 2026-06-30 are Tuesdays.
+  assert.deepEqual(series(rule, "2026-06-23T17:00:00Z", 2), ["2026-06-30", null]);
+  const timed = { freq: "daily", until: "2026-06-30T12:00:00Z" };
+  assert.equal(nextOccurrence(timed, "2026-06-29T17:00:00Z"), null);
+});
+
+test("describes rules", () => {
+  const weekly = { freq: "weekly", interval: 2, by_weekday: ["mo", "th"], until: "2026-06-30" };
+  assert.equal(describeRecurrence(weekly), "Every 2 weeks on Mon, Thu (until Jun 30)");
+  const monthly = { freq: "monthly", interval: 1, count: 12 };
+  assert.equal(describeRecurrence(monthly), "Monthly (12 times)");
+});
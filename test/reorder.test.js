@@ -0,0 +1,93 @@
+// reorder.test.js – drag-and-drop ordering within a pipeline column (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  ({ token } = await server.register("ann@example.com"));
+});
+
+test.after(() => server.close());
+
+async function createTask(title, bucket) {
+  return (await server.request("POST", "/tasks", { token, body: { title, bucket } })).body;
+}
+
+function reorder(bucket, ids, as = token) {
+  return server.request("POST", "/tasks/reorder", { token: as, body: { bucket, task_ids: ids } });
+}
+
+// [title, manual_rank] of the column's placed tasks, in rank order
+async function column(bucket) {
+  const tasks = (await server.request("GET", "/tasks", { token })).body;
+  return tasks
+    .filter((t) => t.bucket === bucket && t.manual_rank !== null)
+    .sort((a, b) => a.manual_rank - b.manual_rank)
+    .map((t) => [t.title, t.manual_rank]);
+}
+
+test("listed tasks go first and the rest of the column is re-sequenced", async () => {
+  const a = await createTask("Call plumber", "today");
+  const b = await createTask("Buy stamps", "today");
+  const c = await createTask("File receipts", "today");
+  const d = await createTask("Plan offsite", "later");
+
+  assert.equal((await reorder("today", [a.id, b.id, c.id])).status, 200);
+  const res = await reorder("today", [d.id, c.id]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.tasks.map((t) => t.title),
+    ["Plan offsite", "File receipts", "Call plumber", "Buy stamps"]
+  );
+  assert.deepEqual(await column("today"), [
+    ["Plan offsite", 0],
+    ["File receipts", 1],
+    ["Call plumber", 2],
+    ["Buy stamps", 3],
+  ]);
+
+  const history = await server.request("GET", `/tasks/${d.id}/history`, { token });
+  const moved = history.body.find((e) => e.type === "updated");
+  assert.deepEqual(moved.changes.bucket, { old: "later", new: "today" });
+  assert.deepEqual(moved.changes.manual_rank, { old: null, new: 0 });
+});
+
+test("a reorder naming a task that isn't yours changes nothing", async () => {
+  const a = await createTask("Sort mail", "this_week");
+  const b = await createTask("Oil hinges", "this_week");
+  assert.equal((await reorder("this_week", [a.id, b.id])).status, 200);
+  const before = await column("this_week");
+
+  const bob = await server.register("bob@example.com");
+  const theirs = (
+    await server.request("POST", "/tasks", { token: bob.token, body: { title: "Bob's" } })
+  ).body;
+  const res = await reorder("this_week", [b.id, theirs.id, a.id]);
+  assert.equal(res.status, 404);
+  assert.deepEqual(await column("this_week"), before);
+});
+
+test("concurrent reorders leave one rank per task", async () => {
+  const ids = [];
+  for (const title of ["Rake leaves", "Clean gutters", "Wash car"]) {
+    ids.push((await createTask(title, "later")).id);
+  }
+
+  // Hold the transaction queue so both reorders are waiting on it together.
+  let release;
+  const held = server.storage.transaction(() => new Promise((resolve) => (release = resolve)));
+  const pending = [reorder("later", [ids[2], ids[0]]), reorder("later", [ids[1]])];
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  release();
+  await held;
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map((r) => r.status), [200, 200]);
+
+  const ranks = (await column("later")).map(([, rank]) => rank);
+  assert.deepEqual(ranks, [0, 1, 2]);
+});
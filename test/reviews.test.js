@@ -0,0 +1,75 @@
+// reviews.test.js – bucket rollover and carry-over (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let server;
+let token;
+
+test.before(async () => {
+  server = await startServer();
+  ({ token } = await server.register("ann@example.com"));
+});
+
+test.after(() => server.close());
+
+async function createTask(body) {
+  return (await server.request("POST", "/tasks", { token, body })).body;
+}
+
+async function getTask(id) {
+  const res = await server.request("GET", "/tasks", { token });
+  return res.body.find((t) => t.id === id);
+}
+
+function runReview(kind) {
+  return server.request("POST", "/reviews/run", { token, body: { kind } });
+}
+
+test("unfinished today items are carried forward and counted", async () => {
+  const stale = await createTask({ title: "Call the accountant", bucket: "today" });
+  const week = await createTask({ title: "Plan the offsite", bucket: "this_week" });
+  const soon = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const dated = await createTask({ title: "Send invoices", bucket: "later", due_date: soon });
+
+  const daily = await runReview("daily");
+  assert.equal(daily.status, 201);
+  assert.deepEqual(
+    daily.body.promoted.map((t) => [t.id, t.from, t.bucket]),
+    [[dated.id, "later", "today"]]
+  );
+  assert.deepEqual(daily.body.carried_over.map((t) => [t.id, t.times]), [[stale.id, 1]]);
+  assert.equal((await getTask(stale.id)).carry_over_count, 1);
+  assert.equal((await getTask(week.id)).carry_over_count, 0);
+
+  // Weekly reviews also carry this_week items into the new week.
+  const weekly = await runReview("weekly");
+  assert.deepEqual(
+    weekly.body.carried_over.map((t) => [t.id, t.times]).sort(),
+    [
+      [dated.id, 1],
+      [stale.id, 2],
+      [week.id, 1],
+    ].sort()
+  );
+
+  const history = await server.request("GET", `/tasks/${stale.id}/history`, { token });
+  const carried = history.body.filter((e) => e.type === "updated");
+  assert.deepEqual(
+    carried.map((e) => [e.actor, e.changes.carry_over_count.new]),
+    [
+      ["scheduler", 1],
+      ["scheduler", 2],
+    ]
+  );
+});
+
+test("moving or finishing a task resets its carry-over count", async () => {
+  const task = await createTask({ title: "Renew passport", bucket: "today" });
+  await runReview("daily");
+  assert.equal((await getTask(task.id)).carry_over_count, 1);
+
+  await server.request("PATCH", `/tasks/${task.id}`, { token, body: { bucket: "later" } });
+  assert.equal((await getTask(task.id)).carry_over_count, 0);
+});
@@ -0,0 +1,96 @@
+// transfer.test.js – CSV / Markdown readers and the export round trip (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { exportTasks, parseExportId, parseImport, mapRecord } = require("../transfer");
+
+const EXPORTED_AT = "2026-05-01T12:00:00.000Z";
+// Task 5 created at EXPORTED_AT: "tonyos:<id>:<created_at in base-36 ms>".
+const EXPORT_ID_5 = `tonyos:5:${Date.parse(EXPORTED_AT).toString(36)}`;
+
+function task(fields) {
+  return {
+    external_id: null,
+    description: "",
+    area: null,
+    status: "open",
+    bucket: "today",
+    priority: 3,
+    due_date: null,
+    recurrence: null,
+    estimated_minutes: null,
+    created_at: EXPORTED_AT,
+    updated_at: EXPORTED_AT,
+    ...fields,
+  };
+}
+
+test("CSV quoted cells keep commas, doubled quotes and line breaks", () => {
+  const csv =
+    "\uFEFFTitle,Notes,Due Date\r\n" +
+    '"Smith, Jones wedding","Venue said ""maybe""\nCall back",2026-06-13\r\n' +
+    "\r\n" +
+    "Order flowers,,\n";
+  assert.deepEqual(parseImport("csv", csv), [
+    {
+      Title: "Smith, Jones wedding",
+      Notes: 'Venue said "maybe"\nCall back',
+      "Due Date": "2026-06-13",
+    },
+    { Title: "Order flowers", Notes: "", "Due Date": "" },
+  ]);
+});
+
+test("CSV rejects an unterminated quoted cell", () => {
+  assert.throws(() => parseImport("csv", 'title\n"never closed'), /unterminated quoted cell/);
+});
+
+test("CSV records map spreadsheet columns onto task fields", () => {
+  const csv = "Wedding,Due Date,Priority,Bucket,Notes\nLee,2026-06-13,P1,This week,x\n";
+  const [record] = parseImport("csv", csv);
+  assert.deepEqual(mapRecord(record, { Wedding: "title", Notes: null }), {
+    title: "Lee",
+    due_date: "2026-06-13",
+    priority: 1,
+    bucket: "this_week",
+  });
+});
+
+test("every export format carries an external_id that imports back", () => {
+  const tasks = [
+    task({ id: 5, title: "Send invoices, Q2", priority: 2, due_date: "2026-05-01T00:00:00.000Z" }),
+    task({ id: 6, title: "Book venue", external_id: "sheet:lee", status: "done" }),
+  ];
+  for (const format of ["csv", "json", "md"]) {
+    const records = parseImport(format, exportTasks(tasks, format, EXPORTED_AT).body);
+    const ids = records.map((r) => mapRecord(r).external_id);
+    assert.deepEqual(ids, [EXPORT_ID_5, "sheet:lee"], format);
+  }
+  assert.deepEqual(parseExportId(EXPORT_ID_5), { id: 5, createdMs: Date.parse(EXPORTED_AT) });
+  assert.equal(parseExportId("tonyos:5"), null);
+  assert.equal(parseExportId("sheet:lee"), null);
+});
+
+test("Markdown checklists read back title, bucket, area and meta", () => {
+  const md = exportTasks(
+    [task({ id: 7, title: "Send invoices", area: "Work", priority: 2, description: "Q2\nQ3" })],
+    "md",
+    EXPORTED_AT
+  ).body;
+  const id = `tonyos:7:${Date.parse(EXPORTED_AT).toString(36)}`;
+  assert.ok(md.includes(`\n- [ ] Send invoices — P2 <!-- ${id} -->\n`));
+  assert.deepEqual(parseImport("md", md), [
+    {
+      title: "Send invoices",
+      bucket: "today",
+      area: "Work",
+      status: "",
+      priority: "2",
+      external_id: id,
+      description: "Q2\nQ3",
+    },
+  ]);
+  assert.deepEqual(parseImport("md", "- [x] Plain item\n"), [
+    { title: "Plain item", bucket: "", area: "", status: "done" },
+  ]);
+});
@@ -0,0 +1,104 @@
+// webhooks.test.js – webhook targets must be public (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { once } = require("events");
+const { checkWebhookTarget, sendWebhook } = require("../webhooks");
+const { startServer } = require("./helpers/server");
+
+const STRICT = { env: {} };
+
+test("refuses loopback, private, link-local and unique-local addresses", async () => {
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://localhost:8080/hook",
+    "http://10.1.2.3/hook",
+    "http://172.16.0.1/hook",
+    "http://192.168.1.10/hook",
+    "http://100.64.0.1/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://0.0.0.0/hook",
+    "http://[::1]/hook",
+    "http://[::]/hook",
+    "http://[fd12:3456::1]/hook",
+    "http://[fe80::1]/hook",
+    // IPv4-mapped IPv6 is checked against the IPv4 ranges.
+    "http://[::ffff:127.0.0.1]/hook",
+    "http://[::ffff:10.0.0.1]/hook",
+    "http://[::ffff:a9fe:a9fe]/hook",
+  ]) {
+    const error = await checkWebhookTarget(url, STRICT);
+    assert.match(String(error), /must not point at a private address/, url);
+  }
+});
+
+test("accepts public addresses, and anything with WEBHOOK_ALLOW_PRIVATE=true", async () => {
+  assert.equal(await checkWebhookTarget("https://93.184.216.34/hook", STRICT), null);
+  assert.equal(await checkWebhookTarget("https://[2606:4700::1111]/hook", STRICT), null);
+  assert.equal(await checkWebhookTarget("https://[::ffff:8.8.8.8]/hook", STRICT), null);
+  const env = { WEBHOOK_ALLOW_PRIVATE: "true" };
+  assert.equal(await checkWebhookTarget("http://127.0.0.1/hook", { env }), null);
+});
+
+test("deliveries to a private target are refused before connecting", async () => {
+  const result = await sendWebhook({
+    url: "http://127.0.0.1:9/hook",
+    secret: "whsec_0123456789abcdef",
+    event: "task.created",
+    deliveryId: 1,
+    body: "{}",
+  });
+  assert.equal(result.ok, false);
+  assert.equal(result.response_status, null);
+  assert.match(result.error, /private address \(127\.0\.0\.1\)/);
+});
+
+test("saving a webhook with a private URL is a 400", async () => {
+  const server = await startServer();
+  try {
+    const { token } = await server.register("ann@example.com");
+    const res = await server.request("POST", "/webhooks", {
+      token,
+      body: { url: "http://[::ffff:192.168.0.1]/hook", events: ["task.created"] },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.details.join(" "), /private address/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("redirects are not followed, so a public URL can't bounce to a private one", async () => {
+  let followed = false;
+  const target = http.createServer((req, res) => {
+    followed = true;
+    res.end();
+  });
+  const bounce = http.createServer((req, res) => {
+    res.writeHead(302, { Location: `http://127.0.0.1:${target.address().port}/internal` });
+    res.end();
+  });
+  target.listen(0, "127.0.0.1");
+  bounce.listen(0, "127.0.0.1");
+  await Promise.all([once(target, "listening"), once(bounce, "listening")]);
+
+  // The receiver itself is local here, so only the redirect is under test.
+  process.env.WEBHOOK_ALLOW_PRIVATE = "true";
+  try {
+    const result = await sendWebhook({
+      url: `http://127.0.0.1:${bounce.address().port}/hook`,
+      secret: "whsec_0123456789abcdef",
+      event: "task.created",
+      deliveryId: 2,
+      body: "{}",
+    });
+    assert.equal(result.ok, false);
+    assert.equal(result.response_status, 302);
+    assert.equal(followed, false);
+  } finally {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE;
+    target.close();
+    bounce.close();
+  }
+});
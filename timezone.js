@@ -0,0 +1,68 @@
+// timezone.js – wall-clock time in IANA time zones (Intl only, no tz database of our own)
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The server's own zone, used when nothing else is configured.
+function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) } in timeZone.
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(date));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: WEEKDAYS.indexOf(get("weekday").toLowerCase()),
+  };
+}
+
+// Offset (ms) of timeZone from UTC at a UTC instant; throws for unknown zones.
+function zoneOffset(utcMs, timeZone) {
+  const p = zonedParts(utcMs, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * The UTC instant of a wall-clock time in timeZone. Month is 1-12; day
+ * overflow rolls over like Date.UTC. A wall time skipped by a DST jump
+ * resolves to a nearby instant rather than failing.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  return new Date(wall - zoneOffset(wall - zoneOffset(wall, timeZone), timeZone));
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  localTimeZone,
+  zonedParts,
+  zoneOffset,
+  zonedTimeToUtc,
+};
@@ -0,0 +1,329 @@
+// transfer.js – task import/export formats (CSV, JSON, Markdown checklists)
+//
+// Export takes mapped tasks (mapTaskRow); import turns a file into plain
+// records keyed by column name, which mapRecord turns into task payloads
+// for validateTaskPayload. Nothing here touches storage.
+
+const EXPORT_FORMATS = ["csv", "json", "md"];
+
+// Task fields an import can set, in CSV column order.
+const IMPORT_FIELDS = [
+  "external_id",
+  "title",
+  "description",
+  "area",
+  "status",
+  "bucket",
+  "priority",
+  "due_date",
+  "recurrence",
+  "estimated_minutes",
+];
+
+const CSV_COLUMNS = ["id", ...IMPORT_FIELDS, "created_at", "updated_at"];
+
+const BUCKET_LABELS = { today: "Today", this_week: "This week", later: "Later" };
+const NO_AREA = "No area";
+
+// Tasks without an external_id export as "tonyos:<id>:<created>" (created_at
+// in base-36 milliseconds) so re-importing the file (mode upsert) updates them
+// instead of creating copies. The creation time keeps an export from another
+// account or instance from matching an unrelated local task with the same id.
+const EXPORT_ID_RE = /^tonyos:(\d+):([0-9a-z]+)$/;
+
+function exportId(t) {
+  if (t.external_id) return t.external_id;
+  return `tonyos:${t.id}:${new Date(t.created_at).getTime().toString(36)}`;
+}
+
+// { id, createdMs } from an exportId, or null for any other external_id.
+function parseExportId(externalId) {
+  const match = String(externalId).match(EXPORT_ID_RE);
+  return match ? { id: Number(match[1]), createdMs: parseInt(match[2], 36) } : null;
+}
+
+function dateOnly(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+// -------------------- CSV --------------------
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(tasks) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const t of tasks) {
+    lines.push(CSV_COLUMNS.map((col) => csvCell(t[col])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// RFC 4180: quoted cells may hold commas, quotes ("") and line breaks.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("CSV has an unterminated quoted cell.");
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// First row is the header; each later row becomes { header: cell }.
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(String(text).replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => {
+    const record = {};
+    keys.forEach((key, i) => {
+      if (key) record[key] = cells[i] ?? "";
+    });
+    return record;
+  });
+}
+
+// -------------------- MARKDOWN --------------------
+
+// "P2 · due 2026-05-01 · doing" after an em dash; status only when not open/done.
+function mdMeta(t) {
+  const parts = [`P${t.priority}`];
+  if (t.due_date) parts.push(`due ${dateOnly(t.due_date)}`);
+  if (t.status === "doing" || t.status === "scheduled") parts.push(t.status);
+  return parts.join(" · ");
+}
+
+/**
+ * Checklists grouped by bucket, then area:
+ *   ## Today
+ *   ### Work
+ *   - [ ] Send invoices — P2 · due 2026-05-01 <!-- tonyos:12:mbf0k2a8 -->
+ *     description lines, indented
+ * The trailing comment is the task's exportId.
+ */
+function toMarkdown(tasks, exportedAt) {
+  const lines = ["# TonyOS tasks", "", `Exported ${exportedAt}`];
+  for (const [bucket, label] of Object.entries(BUCKET_LABELS)) {
+    const inBucket = tasks.filter((t) => t.bucket === bucket);
+    if (!inBucket.length) continue;
+    lines.push("", `## ${label}`);
+
+    const areas = [...new Set(inBucket.map((t) => t.area || NO_AREA))].sort();
+    for (const area of areas) {
+      lines.push("", `### ${area}`, "");
+      for (const t of inBucket.filter((x) => (x.area || NO_AREA) === area)) {
+        const box = t.status === "done" ? "[x]" : "[ ]";
+        const title = t.title.replace(/\s+/g, " ");
+        lines.push(`- ${box} ${title} — ${mdMeta(t)} <!-- ${exportId(t)} -->`);
+        for (const line of String(t.description || "").split(/\r?\n/)) {
+          if (line.trim()) lines.push(`  ${line}`);
+        }
+      }
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Reads the layout toMarkdown writes; plain "- [ ] title" lists work too.
+function parseMarkdown(text) {
+  const records = [];
+  let bucket = "";
+  let area = "";
+  let current = null;
+
+  for (const line of String(text).split(/\r?\n/)) {
+    const heading = line.match(/^(#{2,3})\s+(.+?)\s*$/);
+    if (heading) {
+      current = null;
+      if (heading[1] === "##") {
+        const label = heading[2].toLowerCase();
+        bucket =
+          Object.keys(BUCKET_LABELS).find((b) => BUCKET_LABELS[b].toLowerCase() === label) ||
+          "";
+        area = "";
+      } else {
+        area = heading[2] === NO_AREA ? "" : heading[2];
+      }
+      continue;
+    }
+
+    const item = line.match(/^\s*[-*]\s+\[([ xX])\]\s+(.+?)\s*$/);
+    if (item) {
+      const comment = item[2].match(/^(.*)\s+<!--\s*(.*?)\s*-->$/);
+      const text = comment ? comment[1] : item[2];
+      const meta = text.lastIndexOf(" — ");
+      const record = {
+        title: (meta === -1 ? text : text.slice(0, meta)).trim(),
+        bucket,
+        area,
+        status: item[1] === " " ? "" : "done",
+      };
+      if (comment && comment[2]) record.external_id = comment[2];
+      if (meta !== -1) {
+        for (const part of text.slice(meta + 3).split(" · ")) {
+          const p = part.trim();
+          if (/^P[1-5]$/.test(p)) record.priority = p.slice(1);
+          else if (/^due \S+$/.test(p)) record.due_date = p.slice(4);
+          else if (p === "doing" || p === "scheduled") record.status = p;
+        }
+      }
+      records.push(record);
+      current = record;
+      continue;
+    }
+
+    // Indented lines under an item are its description.
+    if (current && /^\s{2,}\S/.test(line)) {
+      current.description = current.description
+        ? `${current.description}\n${line.trim()}`
+        : line.trim();
+    } else if (line.trim()) {
+      current = null;
+    }
+  }
+  return records;
+}
+
+// -------------------- EXPORT / IMPORT --------------------
+
+/**
+ * Serialize mapped tasks. Returns { body, contentType, extension }.
+ * JSON keeps every field so it can be imported back as-is; every format
+ * carries each task's exportId as its external_id.
+ */
+function exportTasks(mappedTasks, format, exportedAt = new Date().toISOString()) {
+  const tasks = mappedTasks.map((t) => ({ ...t, external_id: exportId(t) }));
+  if (format === "csv") {
+    return { body: toCsv(tasks), contentType: "text/csv; charset=utf-8", extension: "csv" };
+  }
+  if (format === "md") {
+    return {
+      body: toMarkdown(tasks, exportedAt),
+      contentType: "text/markdown; charset=utf-8",
+      extension: "md",
+    };
+  }
+  return {
+    body: JSON.stringify({ exported_at: exportedAt, tasks }, null, 2),
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+  };
+}
+
+/**
+ * Records from an uploaded file. data is the file text (csv, md, or json)
+ * or, for json, already-parsed { tasks: [...] } / [...]. Throws on unreadable input.
+ */
+function parseImport(format, data) {
+  if (format === "csv") return parseCsv(data);
+  if (format === "md") return parseMarkdown(data);
+
+  const parsed = typeof data === "string" ? JSON.parse(data) : data;
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+  if (!Array.isArray(list)) throw new Error("JSON must be an array of tasks or { tasks: [...] }.");
+  return list.map((item) => (item && typeof item === "object" ? item : {}));
+}
+
+// "Due Date" → "due_date", so spreadsheet headers match without a mapping.
+function fieldKey(column) {
+  return String(column).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+// Error strings for a { column: field } mapping; empty when valid.
+function validateMapping(mapping) {
+  if (mapping === undefined || mapping === null) return [];
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    return ["mapping must be an object of { column: field }."];
+  }
+  return Object.entries(mapping)
+    .filter(([, field]) => field !== null && !IMPORT_FIELDS.includes(field))
+    .map(([column]) => `mapping['${column}'] must be one of: ${IMPORT_FIELDS.join(", ")}.`);
+}
+
+function cleanValue(field, value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (!text) return undefined;
+
+  switch (field) {
+    case "priority":
+      return /^p?\d+$/i.test(text) ? Number(text.replace(/^p/i, "")) : text;
+    case "estimated_minutes":
+      return /^\d+$/.test(text) ? Number(text) : text;
+    case "bucket":
+      return text.toLowerCase().replace(/[\s-]+/g, "_");
+    case "status":
+      return text.toLowerCase();
+    case "recurrence":
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text; // validateRecurrence reports it
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Task payload from one record. mapping ({ "Wedding": "title", "Notes": null })
+ * renames or drops columns; unmapped columns whose names match a field are used as-is.
+ */
+function mapRecord(record, mapping = {}) {
+  const payload = {};
+  for (const [column, value] of Object.entries(record)) {
+    const field = Object.prototype.hasOwnProperty.call(mapping || {}, column)
+      ? mapping[column]
+      : fieldKey(column);
+    if (!IMPORT_FIELDS.includes(field) || payload[field] !== undefined) continue;
+    const cleaned = cleanValue(field, value);
+    if (cleaned !== undefined) payload[field] = cleaned;
+  }
+  if (payload.external_id !== undefined) payload.external_id = String(payload.external_id);
+  return payload;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  IMPORT_FIELDS,
+  exportTasks,
+  parseExportId,
+  parseImport,
+  validateMapping,
+  mapRecord,
+};
@@ -0,0 +1,178 @@
+// webhooks.js – outgoing webhook signing, validation, retry schedule and sending
+//
+// Receivers verify a delivery by recomputing
+//   HMAC-SHA256(secret, `${X-TonyOS-Timestamp}.${raw body}`)
+// and comparing it with X-TonyOS-Signature ("sha256=<hex>"). The timestamp
+// is part of the signed text so an old delivery can't be replayed as new.
+//
+// Targets must be public: a URL whose host resolves to a loopback, link-local,
+// private or unique-local address is refused when the webhook is saved and
+// again before every attempt (WEBHOOK_ALLOW_PRIVATE=true lifts this for local
+// testing). Receivers' response bodies are never read back into the log.
+// Nothing here touches storage.
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const net = require("net");
+
+const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.completed",
+  "task.deleted",
+  "task.restored",
+  "task.overdue",
+];
+
+const SECRET_PREFIX = "whsec_";
+const MIN_SECRET_LENGTH = 16;
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m … between attempts
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], // IPv4-mapped addresses are checked against the IPv4 ranges
+  ["::1", 128],
+  ["fc00::", 7], // unique-local
+  ["fe80::", 10], // link-local
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+// Error strings for POST (everything) or PATCH (partial) bodies; empty when valid.
+function validateWebhookPayload(body, { partial = false } = {}) {
+  const errors = [];
+  if (!partial || body.url !== undefined) {
+    let url = null;
+    try {
+      url = typeof body.url === "string" ? new URL(body.url) : null;
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      errors.push("url must be an http(s) URL.");
+    }
+  }
+  if (body.events !== undefined) {
+    const valid =
+      Array.isArray(body.events) &&
+      body.events.length > 0 &&
+      body.events.every((e) => WEBHOOK_EVENTS.includes(e));
+    if (!valid) {
+      errors.push(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}.`);
+    }
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== "string" || body.secret.length < MIN_SECRET_LENGTH) {
+      errors.push(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters.`);
+    }
+  }
+  if (body.active !== undefined && typeof body.active !== "boolean") {
+    errors.push("active must be true or false.");
+  }
+  return errors;
+}
+
+/**
+ * Resolves the URL's host; an error string when any address it resolves to
+ * isn't public (or it doesn't resolve), else null.
+ */
+async function checkWebhookTarget(url, { env = process.env } = {}) {
+  if (env.WEBHOOK_ALLOW_PRIVATE === "true") return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return `url host ${host} does not resolve.`;
+  }
+  const blocked = addresses.find((a) =>
+    BLOCKED_ADDRESSES.check(a.address, a.family === 6 ? "ipv6" : "ipv4")
+  );
+  return blocked ? `url must not point at a private address (${blocked.address}).` : null;
+}
+
+// Wait before the attempt after `attempts` failed ones, or null when out of attempts.
+function retryDelay(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * POST one delivery. body is the exact JSON text to send. Resolves to
+ * { ok, response_status, error, duration_ms }; never throws.
+ */
+async function sendWebhook({ url, secret, event, deliveryId, body, now = new Date() }) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  const started = Date.now();
+  const refused = await checkWebhookTarget(url);
+  if (refused) {
+    return { ok: false, response_status: null, error: refused, duration_ms: 0 };
+  }
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "TonyOS-Webhooks/1",
+        "X-TonyOS-Event": event,
+        "X-TonyOS-Delivery": String(deliveryId),
+        "X-TonyOS-Timestamp": timestamp,
+        "X-TonyOS-Signature": signPayload(secret, timestamp, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    await res.body?.cancel().catch(() => {});
+    return {
+      ok: res.status >= 200 && res.status < 300,
+      response_status: res.status,
+      error: null,
+      duration_ms: Date.now() - started,
+    };
+  } catch (err) {
+    const timedOut = err.name === "TimeoutError";
+    return {
+      ok: false,
+      response_status: null,
+      error: timedOut
+        ? `Timed out after ${SEND_TIMEOUT_MS / 1000}s`
+        : (err.cause && err.cause.message) || err.message,
+      duration_ms: Date.now() - started,
+    };
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  validateWebhookPayload,
+  checkWebhookTarget,
+  retryDelay,
+  sendWebhook,
+};